@@ -0,0 +1,168 @@
+import http from "node:http";
+import { existsSync, readFileSync, writeFileSync, renameSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+
+// =========================
+// Sync endpoint (self-hosted)
+// =========================
+// A small reference server for the app's sync protocol (see src/lib/sync.js).
+// No dependencies: run it anywhere Node 18+ runs and enter its URL under
+// Settings → Sync on every device.
+//
+//   POST /push  { deviceId, changes: [{ store, uuid, fields: { name: { value, at } }, deletedAt? }] }
+//   GET  /pull?since=<cursor>&limit=<n>  → { changes, cursor, more }
+//
+// Every field keeps the value with the latest `at`, and a deleted record stays
+// deleted. Each record that changes gets the next sequence number; a pull
+// returns the records changed after the cursor, whole, oldest change first.
+//
+// Environment:
+//   PORT            default 8787
+//   SYNC_DATA_FILE  JSON file the data is kept in; without it everything lives
+//                   in memory, which is what a throwaway test server wants
+//   SYNC_TOKEN      when set, requests need "Authorization: Bearer <token>"
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const DEFAULT_PULL_LIMIT = 500;
+
+const emptyState = () => ({ seq: 0, records: {} });
+
+const loadState = (dataFile) =>
+  dataFile && existsSync(dataFile) ? JSON.parse(readFileSync(dataFile, "utf8")) : emptyState();
+
+// Write-then-rename, so a crash mid-write never leaves half a file
+const saveState = (dataFile, state) => {
+  if (!dataFile) return;
+  writeFileSync(`${dataFile}.tmp`, JSON.stringify(state));
+  renameSync(`${dataFile}.tmp`, dataFile);
+};
+
+const isValidChange = (change) =>
+  !!change &&
+  typeof change.store === "string" &&
+  typeof change.uuid === "string" &&
+  (change.fields === undefined || (typeof change.fields === "object" && change.fields !== null));
+
+// Last writer wins per field; returns true when the stored record changed
+export const mergeChange = (state, { store, uuid, fields = {}, deletedAt }) => {
+  const key = `${store}/${uuid}`;
+  const isNew = !state.records[key];
+  const record = state.records[key] || { store, uuid, fields: {}, deletedAt: null };
+  let changed = false;
+
+  if (deletedAt && !record.deletedAt) {
+    record.deletedAt = deletedAt;
+    record.fields = {};
+    changed = true;
+  }
+
+  if (!record.deletedAt) {
+    Object.entries(fields).forEach(([name, field]) => {
+      const current = record.fields[name];
+      if (typeof field?.at !== "number" || (current && field.at <= current.at)) return;
+      record.fields[name] = { value: field.value ?? null, at: field.at };
+      changed = true;
+    });
+  }
+
+  if (!changed) return false;
+  state.seq += 1;
+  record.seq = state.seq;
+  if (isNew) state.records[key] = record;
+  return true;
+};
+
+export const pullChanges = (state, since, limit) => {
+  const changed = Object.values(state.records)
+    .filter((record) => record.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = changed.slice(0, limit);
+
+  return {
+    changes: page.map(({ store, uuid, fields, deletedAt }) => ({ store, uuid, fields, deletedAt })),
+    cursor: page.length > 0 ? page[page.length - 1].seq : since,
+    more: changed.length > limit
+  };
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    request.on("error", reject);
+  });
+
+// The app is served from another origin, so every answer allows cross-origin calls
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+/**
+ * @param {{ dataFile?: string, token?: string }} [options]
+ * @returns {http.Server} not yet listening
+ */
+export const createSyncServer = ({ dataFile, token } = {}) => {
+  const state = loadState(dataFile);
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method === "OPTIONS") return send(response, 204);
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+      return send(response, 401, { error: "Wrong or missing sync token" });
+    }
+
+    try {
+      if (request.method === "POST" && url.pathname === "/push") {
+        const { changes } = await readBody(request);
+        if (!Array.isArray(changes) || !changes.every(isValidChange)) {
+          return send(response, 400, { error: "Expected { changes: [{ store, uuid, fields }] }" });
+        }
+        const accepted = changes.filter((change) => mergeChange(state, change)).length;
+        if (accepted > 0) saveState(dataFile, state);
+        return send(response, 200, { accepted, cursor: state.seq });
+      }
+
+      if (request.method === "GET" && url.pathname === "/pull") {
+        const since = Number(url.searchParams.get("since")) || 0;
+        const limit = Number(url.searchParams.get("limit")) || DEFAULT_PULL_LIMIT;
+        return send(response, 200, pullChanges(state, since, limit));
+      }
+
+      return send(response, 404, { error: "Not found" });
+    } catch (err) {
+      return send(response, err.status || 500, { error: err.message });
+    }
+  });
+};
+
+// node server/sync-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const dataFile = process.env.SYNC_DATA_FILE;
+  createSyncServer({ dataFile, token: process.env.SYNC_TOKEN }).listen(port, () => {
+    console.log(`FieldCRM sync server on http://localhost:${port} (${dataFile || "in memory"})`);
+  });
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mergeChange, pullChanges, createSyncServer } from "./sync-server.js";
+
+const emptyState = () => ({ seq: 0, records: {} });
+
+const change = (uuid, fields, deletedAt) => ({ store: "clients", uuid, fields, deletedAt });
+
+describe("mergeChange", () => {
+  it("keeps the latest write of each field", () => {
+    const state = emptyState();
+    mergeChange(state, change("a", { name: { value: "ABC", at: 100 }, city: { value: "Edison", at: 100 } }));
+    mergeChange(state, change("a", { name: { value: "ABC Granite", at: 200 }, city: { value: "Newark", at: 50 } }));
+
+    expect(state.records["clients/a"].fields).toEqual({
+      name: { value: "ABC Granite", at: 200 },
+      city: { value: "Edison", at: 100 }
+    });
+  });
+
+  it("keeps the value already stored when two writes have the same time", () => {
+    const state = emptyState();
+    expect(mergeChange(state, change("a", { name: { value: "First", at: 100 } }))).toBe(true);
+    expect(mergeChange(state, change("a", { name: { value: "Second", at: 100 } }))).toBe(false);
+
+    expect(state.records["clients/a"].fields.name.value).toBe("First");
+    expect(state.seq).toBe(1);
+  });
+
+  it("keeps a deleted record deleted, even against a later field write", () => {
+    const state = emptyState();
+    mergeChange(state, change("a", { name: { value: "ABC", at: 100 } }));
+    expect(mergeChange(state, change("a", undefined, 150))).toBe(true);
+    expect(mergeChange(state, change("a", { name: { value: "Back again", at: 200 } }))).toBe(false);
+
+    expect(state.records["clients/a"]).toMatchObject({ deletedAt: 150, fields: {} });
+  });
+});
+
+describe("pullChanges", () => {
+  it("pages through the changes after the cursor, oldest first", () => {
+    const state = emptyState();
+    ["a", "b", "c", "d", "e"].forEach((uuid) => mergeChange(state, change(uuid, { name: { value: uuid, at: 1 } })));
+    mergeChange(state, change("a", { name: { value: "a again", at: 2 } }));
+
+    const first = pullChanges(state, 0, 2);
+    expect(first.changes.map((c) => c.uuid)).toEqual(["b", "c"]);
+    expect(first).toMatchObject({ cursor: 3, more: true });
+
+    const second = pullChanges(state, first.cursor, 2);
+    expect(second.changes.map((c) => c.uuid)).toEqual(["d", "e"]);
+    expect(second).toMatchObject({ cursor: 5, more: true });
+
+    const last = pullChanges(state, second.cursor, 2);
+    expect(last.changes).toEqual([change("a", { name: { value: "a again", at: 2 } }, null)]);
+    expect(last).toMatchObject({ cursor: 6, more: false });
+
+    expect(pullChanges(state, last.cursor, 2)).toEqual({ changes: [], cursor: 6, more: false });
+  });
+});
+
+describe("createSyncServer", () => {
+  let server;
+  let endpoint;
+
+  beforeAll(async () => {
+    server = createSyncServer({ token: "secret" });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const request = (path, { body, token = "secret" } = {}) =>
+    fetch(`${endpoint}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: body && JSON.stringify(body)
+    });
+
+  it("accepts pushes and pages pulls over HTTP", async () => {
+    const changes = ["a", "b", "c"].map((uuid) => change(uuid, { name: { value: uuid, at: 1 } }));
+    const pushed = await request("/push", { body: { deviceId: "phone", changes } });
+    expect(await pushed.json()).toEqual({ accepted: 3, cursor: 3 });
+
+    const first = await (await request("/pull?since=0&limit=2")).json();
+    expect(first.changes.map((c) => c.uuid)).toEqual(["a", "b"]);
+    expect(first).toMatchObject({ cursor: 2, more: true });
+
+    const second = await (await request(`/pull?since=${first.cursor}&limit=2`)).json();
+    expect(second.changes.map((c) => c.uuid)).toEqual(["c"]);
+    expect(second).toMatchObject({ cursor: 3, more: false });
+  });
+
+  it("turns away requests without the token or with a malformed push", async () => {
+    expect((await request("/pull", { token: "wrong" })).status).toBe(401);
+    expect((await request("/push", { body: { changes: [{ store: "clients" }] } })).status).toBe(400);
+    expect((await request("/nowhere")).status).toBe(404);
+  });
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import {
   Search,
   Plus,
@@ -10,202 +10,290 @@ import {
   CheckCircle,
   Clock,
   AlertCircle,
-  FileDown
+  FileDown,
+  Database,
+  Download,
+  Pencil,
+  Trash2,
+  Users,
+  Settings,
+  Briefcase,
+  Package,
+  X,
+  ChartColumn,
+  TextSearch,
+  SlidersHorizontal,
+  BookmarkPlus,
+  Map as MapIcon,
+  MapPin,
+  Route,
+  LocateFixed,
+  ZoomIn,
+  ZoomOut,
+  Copy,
+  Navigation
 } from "lucide-react";
+import { parseCSV, toCSV } from "./lib/csv.js";
+import {
+  IMPORT_FIELDS,
+  guessMapping,
+  loadSavedMapping,
+  saveMapping,
+  missingRequiredFields,
+  CLIENT_ROW_ACTIONS,
+  planClientImport,
+  buildClientImportBatch,
+  planVisitImport,
+  planProductImport,
+  buildErrorReport,
+  detectVisitDayFirst
+} from "./lib/csvImport.js";
+import {
+  formatDate,
+  todayKey,
+  addDays,
+  weekdayOf,
+  compareDateKeys,
+  compareDateKeysDesc,
+  isDateKey,
+  daysBetween,
+  getFollowUpStatus,
+  formatTime,
+  DISPLAY_LOCALES,
+  getDisplayLocale,
+  setDisplayLocale
+} from "./lib/dates.js";
+import {
+  buildFollowUpEvent,
+  buildCalendar,
+  ALARM_LEAD_OPTIONS,
+  getAlarmLeadMinutes,
+  setAlarmLeadMinutes,
+  buildFollowUpFeed,
+  getLastFeedExport
+} from "./lib/ics.js";
+import { clientExportRows, visitExportRows, followUpExportRows, productExportRows } from "./lib/csvExport.js";
+import { buildXlsx, XLSX_MIME } from "./lib/xlsx.js";
+import UpdatePrompt from "./UpdatePrompt.jsx";
+import UndoToast from "./UndoToast.jsx";
+import { findLikelyDuplicates, findDuplicateGroups, mergeClientRecords, applyClientUpdate } from "./lib/clients.js";
+import { DB_VERSION } from "./db/migrations.js";
+import { buildBackup, validateBackup, upgradeBackup, listAutoBackups } from "./db/backup.js";
+import { openDatabase } from "./db/database.js";
+import { syncNow, requestSync, setSyncListener, enableSync, disableSync, countPendingChanges } from "./db/sync.js";
+import { getSyncSettings } from "./lib/sync.js";
+import { describeAuditEntry, offerUndo, getDeviceName, saveDeviceName } from "./lib/audit.js";
+import {
+  createSearchIndex,
+  updateSearchIndex,
+  searchIndex,
+  queryWords,
+  containsClientText,
+  highlightText
+} from "./lib/search.js";
+import {
+  emptyClientFilters,
+  CLIENT_FILTER_GROUPS,
+  NOT_VISITED_OPTIONS,
+  clientFilterOptions,
+  countActiveFilters,
+  applyClientFilters,
+  CLIENT_SORTS,
+  DEFAULT_CLIENT_SORT,
+  sortClients,
+  getSavedClientViews,
+  saveClientView,
+  deleteClientView,
+  viewFilters,
+  isSameView
+} from "./lib/clientViews.js";
+import {
+  hasLocation,
+  isValidLocation,
+  placeKeys,
+  locateFromPlaces,
+  parsePlaceTable,
+  distanceKm,
+  formatDistance,
+  makeProjection,
+  fitBox,
+  gridStep
+} from "./lib/geo.js";
+import { planRoute, mapsLinks, directionsLink } from "./lib/route.js";
+import { pathForView, resolveLocation } from "./lib/routes.js";
+import {
+  clientRepo,
+  visitRepo,
+  opportunityRepo,
+  productRepo,
+  quoteRepo,
+  auditRepo,
+  placeRepo,
+  exportAll,
+  restoreBackup,
+  importBatch
+} from "./db/repository.js";
+import { emptyProduct, planProductLinks, applyProductLink, visitProductNames, searchProducts } from "./lib/products.js";
+import {
+  OPPORTUNITY_STAGES,
+  stageLabel,
+  isOpenOpportunity,
+  emptyOpportunity,
+  parseValue,
+  formatValue,
+  pipelineTotals
+} from "./lib/opportunities.js";
+import {
+  REPORT_RANGES,
+  resolveRange,
+  visitsInRange,
+  visitsByTouchType,
+  signalMix,
+  uncontactedClients,
+  followUpStats,
+  topGroups,
+  ACTIVITY_GROUPS,
+  formatPeriod,
+  COVERAGE_THRESHOLDS
+} from "./lib/reports.js";
+import {
+  QUOTE_KINDS,
+  QUOTE_STATUSES,
+  QUOTE_EXPIRY_LEAD_DAYS,
+  kindLabel,
+  quoteStatusLabel,
+  emptyQuote,
+  emptyQuoteItem,
+  quoteTotal,
+  describeItems,
+  daysUntilExpiry,
+  planQuoteSweep
+} from "./lib/quotes.js";
 
 // =========================
-// IndexedDB Setup (native)
-// =========================
-const DB_NAME = "FieldCRM";
-const DB_VERSION = 1;
-
-let db;
-
-const initDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = () => reject(request.error);
-
-    request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const upgradedDB = event.target.result;
-
-      if (!upgradedDB.objectStoreNames.contains("clients")) {
-        const clientStore = upgradedDB.createObjectStore("clients", {
-          keyPath: "id",
-          autoIncrement: true
-        });
-        clientStore.createIndex("name", "name", { unique: false });
-      }
-
-      if (!upgradedDB.objectStoreNames.contains("visits")) {
-        const visitStore = upgradedDB.createObjectStore("visits", {
-          keyPath: "id",
-          autoIncrement: true
-        });
-        visitStore.createIndex("clientId", "clientId", { unique: false });
-        visitStore.createIndex("date", "date", { unique: false });
-      }
-    };
-  });
-};
-
-// =========================
-// DB Operations
+// Utilities
 // =========================
-const dbOps = {
-  addClient: (client) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["clients"], "readwrite");
-      const store = transaction.objectStore("clients");
-      const request = store.add(client);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  getAllClients: () => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["clients"], "readonly");
-      const store = transaction.objectStore("clients");
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+// Chart colours: series in order, and fixed ones for visit signals
+const SERIES_COLORS = ["bg-blue-500", "bg-green-500", "bg-amber-500", "bg-purple-500", "bg-pink-500", "bg-teal-500"];
+const SIGNAL_COLORS = { Hot: "bg-red-500", Warm: "bg-amber-400", Cold: "bg-blue-400", "Not set": "bg-gray-300" };
+
+// Search results: visits shown under each client, and how much of a long note
+const SEARCH_VISITS_PER_CLIENT = 3;
+const SEARCH_SNIPPET_LENGTH = 160;
+
+// Map drawing area (SVG units; it scales with the screen width)
+const MAP_WIDTH = 600;
+const MAP_HEIGHT = 420;
+
+// Same colours as SIGNAL_COLORS, as SVG fills
+const SIGNAL_MAP_COLORS = { Hot: "#ef4444", Warm: "#fbbf24", Cold: "#60a5fa", "Not set": "#d1d5db" };
+const DAYS_SINCE_VISIT_COLORS = ["#22c55e", "#eab308", "#f97316", "#ef4444"];
+
+// How points on the map are coloured
+const MAP_COLOR_MODES = [
+  {
+    key: "signal",
+    label: "Latest signal",
+    legend: Object.entries(SIGNAL_MAP_COLORS).map(([label, color]) => ({ label, color })),
+    colorOf: (client) => SIGNAL_MAP_COLORS[client.lastSignal] || SIGNAL_MAP_COLORS["Not set"]
   },
-
-  getClient: (id) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["clients"], "readonly");
-      const store = transaction.objectStore("clients");
-      const request = store.get(id);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  updateClient: (client) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["clients"], "readwrite");
-      const store = transaction.objectStore("clients");
-      const request = store.put(client);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  addVisit: (visit) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["visits"], "readwrite");
-      const store = transaction.objectStore("visits");
-      const request = store.add(visit);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  getVisitsByClient: (clientId) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["visits"], "readonly");
-      const store = transaction.objectStore("visits");
-      const index = store.index("clientId");
-      const request = index.getAll(clientId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  getAllVisits: () => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["visits"], "readonly");
-      const store = transaction.objectStore("visits");
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  },
-
-  updateVisit: (visit) => {
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["visits"], "readwrite");
-      const store = transaction.objectStore("visits");
-      const request = store.put(visit);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+  {
+    key: "daysSinceVisit",
+    label: "Days since last visit",
+    legend: [
+      ...COVERAGE_THRESHOLDS.map((days, i) => ({
+        label: i === 0 ? `Under ${days}` : `${COVERAGE_THRESHOLDS[i - 1]}–${days - 1}`,
+        color: DAYS_SINCE_VISIT_COLORS[i]
+      })),
+      {
+        label: `${COVERAGE_THRESHOLDS[COVERAGE_THRESHOLDS.length - 1]}+ or never`,
+        color: DAYS_SINCE_VISIT_COLORS[COVERAGE_THRESHOLDS.length]
+      }
+    ],
+    colorOf: (client, today) => {
+      const days = client.lastVisitDate ? daysBetween(client.lastVisitDate, today) : Infinity;
+      const bucket = COVERAGE_THRESHOLDS.findIndex((threshold) => days < threshold);
+      return DAYS_SINCE_VISIT_COLORS[bucket === -1 ? COVERAGE_THRESHOLDS.length : bucket];
+    }
   }
-};
-
-// =========================
-// Utilities
-// =========================
-const formatDate = (date) => {
-  if (!date) return "";
-  const d = new Date(date);
-  return d.toLocaleDateString("en-US", {
-    month: "short",
-    day: "numeric",
-    year: "numeric"
-  });
-};
+];
 
-const getFollowUpStatus = (date) => {
-  if (!date) return null;
+// Changes listed in a client's history before "Show all"
+const CLIENT_HISTORY_PREVIEW = 10;
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+// Minutes offered for a timed follow-up
+const FOLLOW_UP_DURATIONS = [15, 30, 60, 90, 120];
 
-  const followUp = new Date(date);
-  followUp.setHours(0, 0, 0, 0);
-
-  const diff = Math.floor((followUp - today) / (1000 * 60 * 60 * 24));
+// Snoozing counts from today, or from the current follow-up date if that is still ahead
+const SNOOZE_OPTIONS = [
+  { label: "+1 day", getDate: (base) => addDays(base, 1) },
+  { label: "+3 days", getDate: (base) => addDays(base, 3) },
+  {
+    label: "Next Mon",
+    getDate: (base) => addDays(base, (8 - weekdayOf(base)) % 7 || 7)
+  }
+];
 
-  if (diff < 0) return "overdue";
-  if (diff === 0) return "today";
-  if (diff <= 7) return "upcoming";
-  return null;
+const snoozeBase = (followUpDate) => {
+  const today = todayKey();
+  return followUpDate && followUpDate > today ? followUpDate : today;
 };
 
-// =========================
-// Calendar Export (.ics)
-// =========================
-const exportToCalendar = (client, visit) => {
-  const startDate = new Date(visit.followUpDate);
-  const endDate = new Date(startDate.getTime() + 60 * 60 * 1000);
-
-  const formatICSDate = (date) => {
-    return date.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-  };
-
-  const icsContent = [
-    "BEGIN:VCALENDAR",
-    "VERSION:2.0",
-    "PRODID:-//Field CRM//EN",
-    "BEGIN:VEVENT",
-    `DTSTART:${formatICSDate(startDate)}`,
-    `DTEND:${formatICSDate(endDate)}`,
-    `SUMMARY:Follow up: ${client.name}`,
-    `DESCRIPTION:Next Action: ${visit.nextAction || "Follow up"}\\n\\nLast Meeting: ${visit.note || ""}`,
-    "BEGIN:VALARM",
-    "TRIGGER:-PT15M",
-    "ACTION:DISPLAY",
-    "DESCRIPTION:Reminder",
-    "END:VALARM",
-    "END:VEVENT",
-    "END:VCALENDAR"
-  ].join("\r\n");
-
-  const blob = new Blob([icsContent], { type: "text/calendar;charset=utf-8" });
+// Fields stored on a client record (everything else on `clients` state is derived in loadData)
+const CLIENT_FIELDS = [
+  "name",
+  "city",
+  "state",
+  "contact",
+  "phone",
+  "email",
+  "segment",
+  "status",
+  "notes",
+  "address",
+  "zip",
+  "lat",
+  "lng",
+  "geoSource"
+];
+const CLIENT_STATUSES = ["Active", "Prospect", "Inactive"];
+
+// Views that only show data. Every other view keeps typed input in its own
+// state, which a re-render wipes (the views are defined inside FieldCRM, so
+// each render remounts them): changes pulled by sync wait until it closes.
+const LIVE_VIEWS = new Set(["home", "clients", "clientDetail", "pipeline", "products", "reports"]);
+
+const emptyClient = () => ({
+  name: "",
+  city: "",
+  state: "",
+  contact: "",
+  phone: "",
+  email: "",
+  segment: "",
+  status: "Active",
+  notes: "",
+  address: "",
+  zip: "",
+  lat: "",
+  lng: "",
+  geoSource: ""
+});
+
+const pickClientFields = (client) => Object.fromEntries(CLIENT_FIELDS.map((field) => [field, client[field] ?? ""]));
+
+// Coordinates for the client's ZIP / city from the place table (lib/geo.js), or null
+const lookUpLocation = async (client) => locateFromPlaces(client, await placeRepo.find(placeKeys(client)));
+
+const GEO_SOURCE_LABELS = { manual: "Typed in", zip: "From the ZIP", city: "From the city" };
+
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
 
   const link = document.createElement("a");
   link.href = url;
-  link.download = `followup-${client.name.replace(/\s/g, "-")}.ics`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
@@ -213,6 +301,37 @@ const exportToCalendar = (client, visit) => {
   URL.revokeObjectURL(url);
 };
 
+const SPREADSHEET_EXPORTS = [
+  { key: "clients", label: "Clients", buildRows: (visits, clients) => clientExportRows(clients) },
+  { key: "visits", label: "Visits", buildRows: visitExportRows },
+  { key: "followups", label: "Follow-ups", buildRows: followUpExportRows },
+  { key: "products", label: "Products", buildRows: (visits, clients, products) => productExportRows(products) }
+];
+
+// Product page filter; `since` gives the first date key included (null = all time)
+const MENTION_PERIODS = [
+  { key: "all", label: "All time", since: () => null },
+  {
+    key: "quarter",
+    label: "This quarter",
+    since: (today) => {
+      const firstMonth = Math.floor((Number(today.slice(5, 7)) - 1) / 3) * 3 + 1;
+      return `${today.slice(0, 4)}-${String(firstMonth).padStart(2, "0")}-01`;
+    }
+  },
+  { key: "days90", label: "Last 90 days", since: (today) => addDays(today, -90) },
+  { key: "year", label: "This year", since: (today) => `${today.slice(0, 4)}-01-01` }
+];
+
+// =========================
+// Calendar Export (.ics)
+// =========================
+const exportToCalendar = (client, visit) => {
+  const icsContent = buildCalendar(buildFollowUpEvent(client, visit));
+
+  downloadFile(icsContent, `followup-${client.name.replace(/\s/g, "-")}.ics`, "text/calendar;charset=utf-8");
+};
+
 // =========================
 // Main App
 // =========================
@@ -221,242 +340,344 @@ export default function FieldCRM() {
   const [clients, setClients] = useState([]);
   const [visits, setVisits] = useState([]);
   const [selectedClient, setSelectedClient] = useState(null);
+  const [selectedVisit, setSelectedVisit] = useState(null);
+  const [opportunities, setOpportunities] = useState([]);
+  const [selectedOpportunity, setSelectedOpportunity] = useState(null);
+  // Where the opportunity screen goes back to: it opens from the pipeline and from a client
+  const [opportunityReturnView, setOpportunityReturnView] = useState("pipeline");
+  const [products, setProducts] = useState([]);
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [quotes, setQuotes] = useState([]);
+  const [selectedQuote, setSelectedQuote] = useState(null);
+  // The visit a new quote / sample is being logged from (null when added from the client)
+  const [quoteVisit, setQuoteVisit] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
+  const [clientFilters, setClientFilters] = useState(emptyClientFilters);
+  const [clientSort, setClientSort] = useState(DEFAULT_CLIENT_SORT);
+  const [showClientFilters, setShowClientFilters] = useState(false);
+  const [savedClientViews, setSavedClientViews] = useState(getSavedClientViews);
+  // Full-text index over clients and visits, built on first use (lib/search.js)
+  const textIndex = useRef(null);
+  // What was last typed on the search screen, kept while a result is open
+  const lastTextSearch = useRef("");
+  // Map colouring and the day's route, kept while a client is open from the map
+  const mapState = useRef({ colorMode: "signal", routeIds: [], start: null });
   const [isLoading, setIsLoading] = useState(true);
+  const [locale, setLocale] = useState(getDisplayLocale);
+  const [isRouteReady, setIsRouteReady] = useState(false);
+  // Sync pulled changes that aren't on screen yet
+  const hasPendingPull = useRef(false);
 
   useEffect(() => {
-    initDB().then(() => {
-      loadData();
-    });
+    openDatabase()
+      .then(() => loadData())
+      .then(() => requestSync())
+      .then(() => auditRepo.prune())
+      .catch((err) => {
+        // The upgrade transaction was aborted, so the old database is still intact
+        setIsLoading(false);
+        alert(`Could not open the database, your data was not changed.\n${err?.message || err}`);
+      });
+  }, []);
+
+  // Sync runs in the background (db/sync.js): catch up when the connection
+  // comes back or the app is brought to the front
+  useEffect(() => {
+    const syncWhenOnline = () => requestSync();
+    const syncWhenVisible = () => document.visibilityState === "visible" && requestSync();
+    window.addEventListener("online", syncWhenOnline);
+    document.addEventListener("visibilitychange", syncWhenVisible);
+    return () => {
+      window.removeEventListener("online", syncWhenOnline);
+      document.removeEventListener("visibilitychange", syncWhenVisible);
+    };
   }, []);
 
-  const loadData = async () => {
-    setIsLoading(true);
+  // Changes pulled from another device show without the loading screen; on a
+  // view with a form open they wait until the user leaves it (see LIVE_VIEWS)
+  useEffect(() => {
+    const isLive = LIVE_VIEWS.has(currentView);
+    if (isLive && hasPendingPull.current) loadData({ quiet: true });
+    setSyncListener(() => {
+      if (isLive) loadData({ quiet: true });
+      else hasPendingPull.current = true;
+    });
+    return () => setSyncListener(null);
+  }, [currentView]);
+
+  // Shows whatever the URL points at: once the data is loaded (refresh, deep
+  // link, home-screen shortcut) and on every back / forward
+  useEffect(() => {
+    if (isLoading) return;
+
+    const showLocation = () => {
+      const target = resolveLocation(window.location.pathname, {
+        clients,
+        visits,
+        opportunities,
+        products,
+        quotes
+      });
+      if (target.client) setSelectedClient(target.client);
+      if (target.visit) setSelectedVisit(target.visit);
+      if (target.opportunity) setSelectedOpportunity(target.opportunity);
+      if (target.product) setSelectedProduct(target.product);
+      if (target.quote) setSelectedQuote(target.quote);
+      setCurrentView(target.view);
+      if (target.path !== window.location.pathname) window.history.replaceState(null, "", target.path);
+    };
+
+    if (!isRouteReady) {
+      showLocation();
+      setIsRouteReady(true);
+    }
 
-    const clientsData = await dbOps.getAllClients();
-    const visitsData = await dbOps.getAllVisits();
+    window.addEventListener("popstate", showLocation);
+    return () => window.removeEventListener("popstate", showLocation);
+  }, [isLoading, isRouteReady, clients, visits, opportunities, products, quotes]);
+
+  // Every screen change becomes a history entry, so the back gesture stays in the app
+  useEffect(() => {
+    if (!isRouteReady) return;
+
+    const path = pathForView(currentView, {
+      clientId: selectedClient?.id,
+      visitId: selectedVisit?.id,
+      opportunityId: selectedOpportunity?.id,
+      productId: selectedProduct?.id,
+      quoteId: selectedQuote?.id
+    });
+    if (path && path !== window.location.pathname) window.history.pushState(null, "", path);
+  }, [
+    isRouteReady,
+    currentView,
+    selectedClient?.id,
+    selectedVisit?.id,
+    selectedOpportunity?.id,
+    selectedProduct?.id,
+    selectedQuote?.id
+  ]);
+
+  // quiet: refresh what is on screen in place, without the loading screen
+  const loadData = async ({ quiet = false } = {}) => {
+    if (!quiet) setIsLoading(true);
+    hasPendingPull.current = false;
+
+    // Expire lapsed quotes and add follow-ups for ones about to lapse before
+    // reading visits, so the new follow-ups show up straight away
+    const sweep = planQuoteSweep(await quoteRepo.getAll(), todayKey());
+    if (sweep.expire.length > 0 || sweep.reminders.length > 0) await quoteRepo.applySweep(sweep);
+
+    const clientsData = await clientRepo.getAll();
+    const visitsData = await visitRepo.getAll();
+    const opportunitiesData = await opportunityRepo.getAll();
+    const productsData = await productRepo.getAll();
+    const quotesData = await quoteRepo.getAll();
 
     const enrichedClients = clientsData.map((client) => {
       const clientVisits = visitsData.filter((v) => v.clientId === client.id);
-      const sortedVisits = clientVisits.sort((a, b) => new Date(b.date) - new Date(a.date));
+      const sortedVisits = clientVisits.sort((a, b) => compareDateKeysDesc(a.date, b.date));
       const lastVisit = sortedVisits[0];
 
       return {
         ...client,
         lastVisitDate: lastVisit?.date,
         lastVisitSummary: lastVisit?.note,
+        lastSignal: sortedVisits.find((v) => v.signal)?.signal,
         openFollowUps: clientVisits.filter((v) => v.followUpDate && !v.completed).length
       };
     });
 
     setClients(enrichedClients);
     setVisits(visitsData);
+    setOpportunities(opportunitiesData);
+    setProducts(productsData.sort((a, b) => a.name.localeCompare(b.name)));
+    setQuotes(quotesData);
     setIsLoading(false);
   };
 
-  // =========================
-  // Import Clients (CSV)
-  // =========================
-  const handleImportClients = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-
-    reader.onload = async (event) => {
-      const text = event.target.result;
-      const lines = text.split("\n").filter((line) => line.trim());
-
-      const delimiter = text.includes("\t") ? "\t" : ",";
-
-      const rows = lines.map((line) => {
-        const result = [];
-        let current = "";
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-          const char = line[i];
-
-          if (char === '"') {
-            inQuotes = !inQuotes;
-          } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = "";
-          } else {
-            current += char;
-          }
-        }
-
-        result.push(current.trim());
-        return result;
-      });
-
-      const headers = rows[0].map((h) => h.toLowerCase().trim());
-      let imported = 0;
-
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i].length < 2 || !rows[i][0]) continue;
-
-        const clientRow = {};
-        headers.forEach((header, idx) => {
-          clientRow[header] = rows[i][idx]?.trim().replace(/^"|"$/g, "") || "";
-        });
-
-        await dbOps.addClient({
-          name: clientRow.client || clientRow.name || "",
-          city: clientRow.city || "",
-          state: clientRow.state || "",
-          contact: clientRow.contact || "",
-          phone: clientRow.phone || "",
-          email: clientRow.email || "",
-          segment: clientRow.segment || "",
-          status: clientRow.status || "Active",
-          notes: clientRow.notes || ""
-        });
-
-        imported++;
-      }
-
-      await loadData();
-      alert(`${imported} clients imported successfully!`);
-    };
+  // The search index catches up with whatever changed since it was last used
+  const getTextIndex = () => {
+    if (!textIndex.current) textIndex.current = createSearchIndex();
+    return updateSearchIndex(textIndex.current, { clients, visits, products });
+  };
 
-    reader.readAsText(file);
+  // From the Undo toast: reverts the offered write and shows the result
+  const undoChange = async (batch) => {
+    await auditRepo.undo(batch);
+    await loadData();
   };
 
   // =========================
-  // Import Visits (CSV)
+  // Opportunities
   // =========================
-  const handleImportVisits = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-
-    reader.onload = async (event) => {
-      const text = event.target.result;
-      const lines = text.split("\n").filter((line) => line.trim());
-
-      const delimiter = text.includes("\t") ? "\t" : ",";
-
-      const rows = lines.map((line) => {
-        const result = [];
-        let current = "";
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-          const char = line[i];
-
-          if (char === '"') {
-            inQuotes = !inQuotes;
-          } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = "";
-          } else {
-            current += char;
-          }
-        }
-
-        result.push(current.trim());
-        return result;
-      });
-
-      const headers = rows[0].map((h) => h.toLowerCase().trim().replace(/[^a-z0-9]/g, ""));
-      let imported = 0;
-      let skipped = 0;
-
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i].length < 2 || !rows[i][0] || !rows[i][1]) {
-          skipped++;
-          continue;
-        }
-
-        const visitRow = {};
-        headers.forEach((header, idx) => {
-          visitRow[header] = rows[i][idx]?.trim().replace(/^"|"$/g, "") || "";
-        });
-
-        const clientName = visitRow.client || visitRow.name || visitRow.clientname;
-        if (!clientName) {
-          skipped++;
-          continue;
-        }
+  const openOpportunity = (opportunity, returnView) => {
+    setSelectedClient(clients.find((c) => c.id === opportunity.clientId) || null);
+    setSelectedOpportunity(opportunity);
+    setOpportunityReturnView(returnView);
+    setCurrentView("editOpportunity");
+  };
 
-        // IMPORTANT: use latest clients from state
-        const match = clients.find(
-          (c) => c.name.toLowerCase().trim() === clientName.toLowerCase().trim()
-        );
+  // Applies the "move opportunity to" choice from the visit form
+  const advanceOpportunity = async (opportunityId, stage) => {
+    const opportunity = opportunities.find((o) => o.id === opportunityId);
+    if (!opportunity || !stage || stage === opportunity.stage) return;
+    try {
+      await opportunityRepo.put({ ...opportunity, stage });
+    } catch (err) {
+      // The visit itself is saved by then, so the form still closes
+      alert(`Could not move "${opportunity.title}" to ${stageLabel(stage)}.\n${err?.message || err}`);
+    }
+  };
 
-        if (!match) {
-          skipped++;
-          continue;
-        }
+  // =========================
+  // Quotes and samples
+  // =========================
+  const startQuote = (visit) => {
+    setSelectedQuote(null);
+    setQuoteVisit(visit);
+    setCurrentView("addQuote");
+  };
 
-        // Date parsing
-        let visitDate = visitRow.date;
-        if (visitDate) {
-          const parts = visitDate.split("/");
-          if (parts.length === 3) {
-            const month = parts[0].padStart(2, "0");
-            const day = parts[1].padStart(2, "0");
-            const year = parts[2];
-            visitDate = `${year}-${month}-${day}`;
-          }
-        } else {
-          visitDate = new Date().toISOString().split("T")[0];
-        }
+  const openQuote = (quote) => {
+    setSelectedClient(clients.find((c) => c.id === quote.clientId) || null);
+    setSelectedQuote(quote);
+    setCurrentView("editQuote");
+  };
 
-        // Follow-up parsing
-        let followUpDate = visitRow.followupdate || visitRow.followup;
-        if (followUpDate) {
-          const parts = followUpDate.split("/");
-          if (parts.length === 3) {
-            const month = parts[0].padStart(2, "0");
-            const day = parts[1].padStart(2, "0");
-            const year = parts[2];
-            followUpDate = `${year}-${month}-${day}`;
-          }
-        } else {
-          followUpDate = null;
-        }
+  // One line per quote / sample: status, total and how close it is to expiring
+  const QuoteSummary = ({ quote }) => {
+    const daysLeft = daysUntilExpiry(quote, todayKey());
+    const isExpiring = daysLeft !== null && daysLeft <= QUOTE_EXPIRY_LEAD_DAYS;
+    const total = quoteTotal(quote);
 
-        await dbOps.addVisit({
-          clientId: match.id,
-          date: visitDate,
-          touchType: visitRow.touchtype || visitRow.type || "Call",
-          outcome: visitRow.outcome || "",
-          products: visitRow.products || visitRow.product || "",
-          signal: visitRow.signal || "",
-          note: visitRow.nextaction || visitRow.outcome || "",
-          nextAction: visitRow.nextaction || "",
-          followUpDate: followUpDate,
-          priority: visitRow.priority || "medium",
-          completed: followUpDate ? false : true
-        });
+    return (
+      <div
+        onClick={() => openQuote(quote)}
+        className={`border rounded-lg p-3 mb-2 cursor-pointer hover:shadow-md transition-shadow ${
+          isExpiring ? "bg-orange-50 border-orange-200" : "bg-white"
+        }`}
+      >
+        <div className="flex justify-between items-start gap-3">
+          <p className="text-sm font-medium text-gray-800 break-words">
+            {kindLabel(quote.kind)}: {describeItems(quote) || "no items listed"}
+          </p>
+          <span className="text-xs bg-gray-100 px-2 py-1 rounded whitespace-nowrap">
+            {quoteStatusLabel(quote.status)}
+          </span>
+        </div>
+        <p className={`text-xs mt-1 ${isExpiring ? "text-orange-700" : "text-gray-600"}`}>
+          {[
+            total > 0 && formatValue(total),
+            quote.validUntil && `valid until ${formatDate(quote.validUntil)}`,
+            isExpiring && (daysLeft === 0 ? "expires today" : `${daysLeft} day${daysLeft === 1 ? "" : "s"} left`)
+          ]
+            .filter(Boolean)
+            .join(" · ")}
+        </p>
+      </div>
+    );
+  };
 
-        imported++;
-      }
+  // =========================
+  // Follow-up snooze
+  // =========================
+  const snoozeFollowUp = async (visit, followUpDate) => {
+    if (!followUpDate) return;
+    try {
+      await visitRepo.put({ ...visit, followUpDate, completed: false });
+    } catch (err) {
+      alert(`Could not move the follow-up.\n${err?.message || err}`);
+      return;
+    }
+    await loadData();
+  };
 
-      await loadData();
-      alert(
-        `${imported} visits imported successfully!` +
-          (skipped > 0 ? `\n${skipped} rows skipped (no matching client)` : "")
-      );
-    };
+  const SnoozeControls = ({ visit }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const base = snoozeBase(visit.followUpDate);
 
-    reader.readAsText(file);
+    return (
+      <div className="flex flex-wrap items-center gap-2 mt-2" onClick={(e) => e.stopPropagation()}>
+        {!isOpen ? (
+          <button
+            onClick={() => setIsOpen(true)}
+            className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-800"
+          >
+            <Clock size={14} />
+            Snooze
+          </button>
+        ) : (
+          <>
+            {SNOOZE_OPTIONS.map((option) => (
+              <button
+                key={option.label}
+                onClick={() => snoozeFollowUp(visit, option.getDate(base))}
+                className="text-xs bg-white border rounded-full px-3 py-1 hover:bg-gray-50"
+              >
+                {option.label}
+              </button>
+            ))}
+            <input
+              type="date"
+              min={todayKey()}
+              onChange={(e) => snoozeFollowUp(visit, e.target.value)}
+              className="text-xs bg-white border rounded-full px-2 py-1"
+              aria-label="Snooze until"
+            />
+            <button onClick={() => setIsOpen(false)} className="text-xs text-gray-500 px-1">
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+    );
   };
 
   // =========================
   // Home View
   // =========================
   const HomeView = () => {
-    const followUps = visits.filter((v) => v.followUpDate && !v.completed);
+    const followUps = visits
+      .filter((v) => v.followUpDate && !v.completed)
+      .sort((a, b) => compareDateKeys(a.followUpDate, b.followUpDate));
 
     const overdue = followUps.filter((v) => getFollowUpStatus(v.followUpDate) === "overdue");
     const today = followUps.filter((v) => getFollowUpStatus(v.followUpDate) === "today");
     const upcoming = followUps.filter((v) => getFollowUpStatus(v.followUpDate) === "upcoming");
 
+    const [showExport, setShowExport] = useState(false);
+    const [exportScope, setExportScope] = useState("days");
+    const [exportDays, setExportDays] = useState(14);
+    const lastFeedExport = getLastFeedExport();
+
+    const handleExportFeed = () => {
+      const today = todayKey();
+      const inScope = followUps.filter((v) => {
+        if (!isDateKey(v.followUpDate)) return false;
+        const diff = daysBetween(today, v.followUpDate);
+        if (exportScope === "overdue") return diff < 0;
+        if (exportScope === "today") return diff === 0;
+        if (exportScope === "days") return diff <= exportDays;
+        return true;
+      });
+
+      const entries = inScope
+        .map((visit) => ({ visit, client: clients.find((c) => c.id === visit.clientId) }))
+        .filter((entry) => entry.client);
+      const openUuids = followUps.map((v) => v.uuid);
+      const feed = buildFollowUpFeed(entries, openUuids);
+
+      if (entries.length === 0 && feed.cancelledCount === 0) {
+        alert("No follow-ups to export for that range.");
+        return;
+      }
+
+      downloadFile(feed.content, `followups-${today}.ics`, "text/calendar;charset=utf-8");
+      feed.commit();
+      setShowExport(false);
+    };
+
     const FollowUpCard = ({ visit, status }) => {
       const client = clients.find((c) => c.id === visit.clientId);
       if (!client) return null;
@@ -479,14 +700,24 @@ export default function FieldCRM() {
             <div className="flex-1">
               <h3 className="font-semibold text-gray-800">{client.name}</h3>
               <p className="text-sm text-gray-600 mt-1">{visit.nextAction}</p>
-              <p className="text-xs text-gray-500 mt-2">{formatDate(visit.followUpDate)}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {formatDate(visit.followUpDate)}
+                {visit.followUpTime && ` · ${formatTime(visit.followUpTime)}`}
+              </p>
+              <SnoozeControls visit={visit} />
             </div>
 
             <button
               onClick={(e) => {
                 e.stopPropagation();
                 const updatedVisit = { ...visit, completed: true };
-                dbOps.updateVisit(updatedVisit).then(() => loadData());
+                visitRepo.put(updatedVisit).then(
+                  () => {
+                    offerUndo(`Follow-up for ${client.name} marked done`, auditRepo.lastBatch());
+                    loadData();
+                  },
+                  (err) => alert(`Could not mark the follow-up done.\n${err?.message || err}`)
+                );
               }}
               className="text-green-600 hover:text-green-800"
               title="Mark done"
@@ -500,7 +731,58 @@ export default function FieldCRM() {
 
     return (
       <div className="pt-4">
-        <h1 className="text-2xl font-bold mb-6">Follow-ups</h1>
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">Follow-ups</h1>
+          {(followUps.length > 0 || lastFeedExport) && (
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+            >
+              <FileDown size={18} />
+              <span>Export to Calendar</span>
+            </button>
+          )}
+        </div>
+
+        {showExport && (
+          <div className="bg-white border rounded-lg p-4 mb-6 max-w-xl">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Which follow-ups</label>
+            <div className="flex gap-2 flex-wrap mb-3">
+              <select
+                value={exportScope}
+                onChange={(e) => setExportScope(e.target.value)}
+                className="flex-1 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="overdue">Overdue</option>
+                <option value="today">Today</option>
+                <option value="days">Overdue + next days…</option>
+                <option value="all">All open follow-ups</option>
+              </select>
+              {exportScope === "days" && (
+                <input
+                  type="number"
+                  min={1}
+                  max={365}
+                  value={exportDays}
+                  onChange={(e) => setExportDays(Math.max(1, Number(e.target.value) || 1))}
+                  className="w-24 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  aria-label="Number of days"
+                />
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              One .ics file with every follow-up. Importing a newer file updates the same events, and follow-ups marked
+              done since the last export are removed from the calendar.
+              {lastFeedExport && ` Last export: ${formatDate(lastFeedExport)}.`}
+            </p>
+            <button
+              onClick={handleExportFeed}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700"
+            >
+              Download Calendar File
+            </button>
+          </div>
+        )}
 
         <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
           {overdue.length > 0 && (
@@ -553,22 +835,119 @@ export default function FieldCRM() {
   // =========================
   // Clients View
   // =========================
+  const FilterChip = ({ isActive, onClick, children }) => (
+    <button
+      onClick={onClick}
+      className={`text-xs border rounded-full px-3 py-1 whitespace-nowrap ${
+        isActive ? "bg-blue-600 border-blue-600 text-white" : "bg-white text-gray-700 hover:bg-gray-50"
+      }`}
+    >
+      {children}
+    </button>
+  );
+
   const ClientsView = () => {
-    const filteredClients = clients
-      .filter(
-        (c) =>
-          c.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          c.city?.toLowerCase().includes(searchQuery.toLowerCase())
-      )
-      .sort((a, b) => {
-        if (!a.lastVisitDate) return 1;
-        if (!b.lastVisitDate) return -1;
-        return new Date(b.lastVisitDate) - new Date(a.lastVisitDate);
+    // Clients whose own fields (name, contact, city, state, address, zip,
+    // phone, email, segment, notes) match every word typed, typos allowed,
+    // plus those whose name or city contains the query as typed
+    const matchingIds = (() => {
+      if (queryWords(searchQuery).length === 0) return null;
+      const { words, groups } = searchIndex(getTextIndex(), searchQuery, { limit: Infinity });
+      const ids = new Set(groups.filter((g) => g.client?.covered.size === words.length).map((g) => g.clientId));
+      clients.forEach((client) => containsClientText(client, searchQuery) && ids.add(client.id));
+      return ids;
+    })();
+
+    const filteredClients = sortClients(
+      applyClientFilters(
+        clients.filter((c) => !matchingIds || matchingIds.has(c.id)),
+        clientFilters,
+        todayKey()
+      ),
+      clientSort
+    );
+    const filterOptions = clientFilterOptions(clients, clientFilters);
+    const activeFilterCount = countActiveFilters(clientFilters);
+    const isCustomized = activeFilterCount > 0 || clientSort !== DEFAULT_CLIENT_SORT;
+    const activeView = savedClientViews.find((view) => isSameView(view, clientFilters, clientSort));
+
+    const openTextSearch = () => {
+      lastTextSearch.current = searchQuery;
+      setCurrentView("search");
+    };
+
+    const toggleFilterValue = (key, value) => {
+      const values = clientFilters[key];
+      setClientFilters({
+        ...clientFilters,
+        [key]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value]
       });
+    };
+
+    const applyView = (view) => {
+      setClientFilters(viewFilters(view));
+      setClientSort(view.sort);
+    };
+
+    const resetView = () => {
+      setClientFilters(emptyClientFilters());
+      setClientSort(DEFAULT_CLIENT_SORT);
+    };
+
+    const handleSaveView = () => {
+      const name = prompt("Name this view (e.g. Hot fabricators in NJ)", activeView?.name || "");
+      if (!name?.trim()) return;
+      saveClientView(name.trim(), clientFilters, clientSort);
+      setSavedClientViews(getSavedClientViews());
+    };
+
+    const handleDeleteView = (view) => {
+      if (!confirm(`Delete the saved view "${view.name}"?`)) return;
+      deleteClientView(view.id);
+      setSavedClientViews(getSavedClientViews());
+    };
+
+    // What is filtered on, as chips that remove themselves
+    const activeChips = [
+      ...CLIENT_FILTER_GROUPS.flatMap(({ key }) =>
+        clientFilters[key].map((value) => ({
+          key: `${key}:${value}`,
+          label: value,
+          remove: () => toggleFilterValue(key, value)
+        }))
+      ),
+      ...(clientFilters.hasOpenFollowUps
+        ? [
+            {
+              key: "open",
+              label: "Open follow-ups",
+              remove: () => setClientFilters({ ...clientFilters, hasOpenFollowUps: false })
+            }
+          ]
+        : []),
+      ...(clientFilters.notVisitedDays
+        ? [
+            {
+              key: "notVisited",
+              label: `Not visited in ${clientFilters.notVisitedDays}+ days`,
+              remove: () => setClientFilters({ ...clientFilters, notVisitedDays: null })
+            }
+          ]
+        : [])
+    ];
 
     return (
       <div className="pt-4">
-        <h1 className="text-2xl font-bold mb-4">Clients</h1>
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-2xl font-bold">Clients</h1>
+          <button
+            onClick={() => setCurrentView("settings")}
+            className="text-gray-600 hover:text-gray-800"
+            title="Settings"
+          >
+            <Settings size={22} />
+          </button>
+        </div>
 
         <div className="flex items-center gap-3 mb-6">
           <div className="relative flex-1">
@@ -581,29 +960,212 @@ export default function FieldCRM() {
               className="w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
           </div>
+
+          <button
+            onClick={openTextSearch}
+            className="text-gray-600 hover:text-gray-800"
+            title="Search visits, notes and products"
+          >
+            <TextSearch size={22} />
+          </button>
+
+          <button
+            onClick={() => setCurrentView("map")}
+            className="text-gray-600 hover:text-gray-800"
+            title="Map and day route"
+          >
+            <MapIcon size={22} />
+          </button>
         </div>
 
-        <div className="mb-4 flex gap-2 flex-wrap">
-          <label className="flex-1 min-w-[140px] cursor-pointer">
-            <input type="file" accept=".csv" onChange={handleImportClients} className="hidden" />
-            <div className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
-              <Upload size={18} />
-              <span className="text-sm">Import Clients</span>
-            </div>
-          </label>
+        {searchQuery.trim() && (
+          <button onClick={openTextSearch} className="text-sm text-blue-600 hover:text-blue-800 -mt-4 mb-4 px-1">
+            Search visits and notes for “{searchQuery.trim()}”
+          </button>
+        )}
 
-          <label className="flex-1 min-w-[140px] cursor-pointer">
-            <input type="file" accept=".csv" onChange={handleImportVisits} className="hidden" />
-            <div className="flex items-center justify-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600">
-              <Upload size={18} />
-              <span className="text-sm">Import Visits</span>
+        {savedClientViews.length > 0 && (
+          <div className="flex gap-2 flex-wrap mb-3">
+            {savedClientViews.map((view) => (
+              <span key={view.id} className="flex items-center gap-1">
+                <FilterChip
+                  isActive={view === activeView}
+                  onClick={() => (view === activeView ? resetView() : applyView(view))}
+                >
+                  {view.name}
+                </FilterChip>
+                {view === activeView && (
+                  <button
+                    onClick={() => handleDeleteView(view)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete saved view"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center gap-2 flex-wrap mb-3">
+          <button
+            onClick={() => setShowClientFilters(!showClientFilters)}
+            className={`flex items-center gap-1 text-sm border rounded-lg px-3 py-2 ${
+              activeFilterCount > 0 ? "border-blue-600 text-blue-700" : "bg-white text-gray-700"
+            }`}
+          >
+            <SlidersHorizontal size={16} />
+            Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+          </button>
+
+          <select
+            value={clientSort}
+            onChange={(e) => setClientSort(e.target.value)}
+            className="text-sm border rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Sort clients by"
+          >
+            {CLIENT_SORTS.map((sort) => (
+              <option key={sort.key} value={sort.key}>
+                Sort: {sort.label}
+              </option>
+            ))}
+          </select>
+
+          {isCustomized && !activeView && (
+            <button
+              onClick={handleSaveView}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+            >
+              <BookmarkPlus size={16} />
+              Save view
+            </button>
+          )}
+          {isCustomized && (
+            <button onClick={resetView} className="text-sm text-gray-500 hover:text-gray-700">
+              Clear
+            </button>
+          )}
+        </div>
+
+        {showClientFilters && (
+          <div className="bg-white border rounded-lg p-4 mb-3 space-y-3">
+            {CLIENT_FILTER_GROUPS.filter(({ key }) => filterOptions[key].length > 0).map(({ key, label }) => (
+              <div key={key}>
+                <p className="text-xs font-medium text-gray-500 mb-1">{label}</p>
+                <div className="flex gap-2 flex-wrap">
+                  {filterOptions[key].map((value) => (
+                    <FilterChip
+                      key={value}
+                      isActive={clientFilters[key].includes(value)}
+                      onClick={() => toggleFilterValue(key, value)}
+                    >
+                      {value}
+                    </FilterChip>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div>
+              <p className="text-xs font-medium text-gray-500 mb-1">Follow-ups and visits</p>
+              <div className="flex gap-2 flex-wrap">
+                <FilterChip
+                  isActive={clientFilters.hasOpenFollowUps}
+                  onClick={() =>
+                    setClientFilters({ ...clientFilters, hasOpenFollowUps: !clientFilters.hasOpenFollowUps })
+                  }
+                >
+                  Has open follow-ups
+                </FilterChip>
+                {NOT_VISITED_OPTIONS.map((days) => (
+                  <FilterChip
+                    key={days}
+                    isActive={clientFilters.notVisitedDays === days}
+                    onClick={() =>
+                      setClientFilters({
+                        ...clientFilters,
+                        notVisitedDays: clientFilters.notVisitedDays === days ? null : days
+                      })
+                    }
+                  >
+                    Not visited in {days}+ days
+                  </FilterChip>
+                ))}
+              </div>
             </div>
-          </label>
+          </div>
+        )}
+
+        {!showClientFilters && activeChips.length > 0 && (
+          <div className="flex gap-2 flex-wrap mb-3">
+            {activeChips.map((chip) => (
+              <FilterChip key={chip.key} isActive onClick={chip.remove}>
+                {chip.label} ×
+              </FilterChip>
+            ))}
+          </div>
+        )}
+
+        {(isCustomized || matchingIds) && (
+          <p className="text-xs text-gray-500 mb-3 px-1">
+            {filteredClients.length} of {clients.length} clients
+          </p>
+        )}
+
+        <div className="mb-4 flex gap-2 flex-wrap">
+          <button
+            onClick={() => setCurrentView("addClient")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Plus size={18} />
+            <span className="text-sm">Add Client</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("importClients")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600"
+          >
+            <Upload size={18} />
+            <span className="text-sm">Import Clients</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("importVisits")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600"
+          >
+            <Upload size={18} />
+            <span className="text-sm">Import Visits</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("products")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-white border text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            <Package size={18} />
+            <span className="text-sm">Products</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("duplicates")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-white border text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            <Users size={18} />
+            <span className="text-sm">Find Duplicates</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("backup")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800"
+          >
+            <Database size={18} />
+            <span className="text-sm">Backup / Export</span>
+          </button>
         </div>
 
         <p className="text-xs text-gray-500 mb-4 px-1">
-          💡 Tip: Export sheets as CSV. Clients: Client, City, State, Contact, Phone, Email, Segment, Status, Notes | Visits:
-          Date, Client, Contact, Touch Type, Outcome, Products, Signal, Next Action, Follow-up Date, Priority
+          💡 Tip: Export sheets as CSV (or tab-separated). You'll match the columns to CRM fields and preview everything
+          before it's imported.
         </p>
 
         {/* Responsive grid that auto-adapts */}
@@ -642,32 +1204,696 @@ export default function FieldCRM() {
         {filteredClients.length === 0 && (
           <div className="text-center py-12 text-gray-500">
             <p>No clients found</p>
-            <p className="text-sm mt-2">Import your CSV to get started</p>
+            <p className="text-sm mt-2">Add a client or import your CSV to get started</p>
           </div>
         )}
       </div>
     );
   };
 
+  // =========================
+  // Search View (clients, visits, notes, products)
+  // =========================
+  const SearchView = () => {
+    const [query, setQuery] = useState(lastTextSearch.current);
+    const results = queryWords(query).length > 0 ? searchIndex(getTextIndex(), query) : null;
+    const clientsById = new Map(clients.map((c) => [c.id, c]));
+    const visitsById = new Map(visits.map((v) => [v.id, v]));
+    const productsById = new Map(products.map((p) => [p.id, p]));
+
+    const highlighted = (text, maxLength) =>
+      highlightText(text, results.matchedWords, maxLength).map((part, index) =>
+        part.isMatch ? (
+          <mark key={index} className="bg-yellow-200 rounded-sm">
+            {part.text}
+          </mark>
+        ) : (
+          <span key={index}>{part.text}</span>
+        )
+      );
+
+    // Matched fields other than the ones already in the card heading
+    const fieldLines = (record, fields, labels, textOf = (name) => record[name]) =>
+      Object.entries(labels)
+        .filter(([name]) => fields.has(name) && textOf(name))
+        .map(([name, label]) => (
+          <p key={name} className="text-xs text-gray-600 mt-1 break-words">
+            {label}: {highlighted(textOf(name), SEARCH_SNIPPET_LENGTH)}
+          </p>
+        ));
+
+    const openVisit = (client, visit) => {
+      setSelectedClient(client);
+      setSelectedVisit(visit);
+      setCurrentView("editVisit");
+    };
+
+    const openClient = (client) => {
+      setSelectedClient(client);
+      setCurrentView("clientDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-3xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-4">Search</h1>
+
+        <div className="relative mb-2">
+          <Search className="absolute left-3 top-3 text-gray-400" size={20} />
+          <input
+            type="search"
+            autoFocus
+            placeholder="Client, city, note, product…"
+            value={query}
+            onChange={(e) => {
+              lastTextSearch.current = e.target.value;
+              setQuery(e.target.value);
+            }}
+            className="w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mb-6 px-1">
+          Looks through client details and every visit&apos;s note, outcome, products and next action. Small typos are
+          fine.
+        </p>
+
+        {results && results.groups.length === 0 && (
+          <p className="text-center py-12 text-gray-500">Nothing matches “{query.trim()}”.</p>
+        )}
+
+        {results &&
+          results.groups.map((group) => {
+            const client = clientsById.get(group.clientId);
+            if (!client) return null;
+            const clientFields = group.client?.fields || new Set();
+            const shownVisits = group.visits.slice(0, SEARCH_VISITS_PER_CLIENT);
+
+            return (
+              <div key={group.clientId} className="bg-white border rounded-lg p-4 mb-3">
+                <button onClick={() => openClient(client)} className="text-left w-full">
+                  <h2 className="font-semibold text-gray-800">{highlighted(client.name)}</h2>
+                  <p className="text-sm text-gray-600">
+                    {highlighted([client.city, client.state].filter(Boolean).join(", "))}
+                  </p>
+                  {fieldLines(client, clientFields, {
+                    contact: "Contact",
+                    phone: "Phone",
+                    email: "Email",
+                    segment: "Segment",
+                    notes: "Notes"
+                  })}
+                </button>
+
+                {shownVisits.length > 0 && (
+                  <div className="mt-3 space-y-2">
+                    {shownVisits.map((hit) => {
+                      const visit = visitsById.get(hit.id);
+                      if (!visit) return null;
+                      return (
+                        <button
+                          key={hit.id}
+                          onClick={() => openVisit(client, visit)}
+                          className="block w-full text-left border-l-2 border-blue-200 pl-3 hover:bg-gray-50"
+                        >
+                          <p className="text-xs text-gray-500">
+                            {formatDate(visit.date)}
+                            {visit.touchType && ` · ${visit.touchType}`}
+                          </p>
+                          {fieldLines(
+                            visit,
+                            hit.fields,
+                            { note: "Note", outcome: "Outcome", products: "Products", nextAction: "Next action" },
+                            (name) =>
+                              name === "products" ? visitProductNames(visit, productsById).join(", ") : visit[name]
+                          )}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {group.visits.length > shownVisits.length && (
+                  <button onClick={() => openClient(client)} className="text-sm text-blue-600 hover:text-blue-800 mt-2">
+                    {group.visits.length - shownVisits.length} more matching visit
+                    {group.visits.length - shownVisits.length === 1 ? "" : "s"}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+      </div>
+    );
+  };
+
+  // =========================
+  // Map View
+  // =========================
+  const MapView = () => {
+    const [colorMode, setColorMode] = useState(mapState.current.colorMode);
+    const [routeIds, setRouteIds] = useState(mapState.current.routeIds);
+    const [start, setStart] = useState(mapState.current.start);
+    const [box, setBox] = useState(null);
+    const [placeCount, setPlaceCount] = useState(null);
+    const [isLocating, setIsLocating] = useState(false);
+    const svgRef = useRef(null);
+    const drag = useRef(null);
+
+    useEffect(() => {
+      placeRepo.count().then(setPlaceCount);
+    }, []);
+
+    useEffect(() => {
+      mapState.current = { colorMode, routeIds, start };
+    }, [colorMode, routeIds, start]);
+
+    const today = todayKey();
+    const shown = applyClientFilters(clients, clientFilters, today);
+    const located = shown.filter(hasLocation);
+    const unlocated = shown.filter((c) => !hasLocation(c));
+    const activeFilterCount = countActiveFilters(clientFilters);
+    const mode = MAP_COLOR_MODES.find((m) => m.key === colorMode) || MAP_COLOR_MODES[0];
+
+    const { project, unproject } = makeProjection(located);
+    const view = box || fitBox(located.map(project), MAP_WIDTH / MAP_HEIGHT);
+    const toScreen = (point) => {
+      const { x, y } = project(point);
+      return { sx: ((x - view.x) * MAP_WIDTH) / view.w, sy: ((y - view.y) * MAP_HEIGHT) / view.h };
+    };
+
+    const route = useMemo(() => {
+      const byId = new Map(clients.map((c) => [c.id, c]));
+      const stops = routeIds.map((id) => byId.get(id)).filter((c) => c && hasLocation(c));
+      return planRoute(stops, { start });
+    }, [routeIds, start]);
+    const routeIndex = new Map(route.stops.map((client, i) => [client.id, i + 1]));
+    const links = mapsLinks(route.stops, { start });
+
+    const toggleStop = (id) =>
+      setRouteIds(routeIds.includes(id) ? routeIds.filter((stopId) => stopId !== id) : [...routeIds, id]);
+
+    const openClient = (client) => {
+      setSelectedClient(client);
+      setCurrentView("clientDetail");
+    };
+
+    const zoom = (factor) =>
+      setBox({
+        x: view.x + (view.w * (1 - factor)) / 2,
+        y: view.y + (view.h * (1 - factor)) / 2,
+        w: view.w * factor,
+        h: view.h * factor
+      });
+
+    // Dragging pans; a press that barely moves is a tap on whatever is under it
+    const handlePointerDown = (e) => {
+      drag.current = { x: e.clientX, y: e.clientY, view, moved: false };
+    };
+
+    const handlePointerMove = (e) => {
+      if (!drag.current) return;
+      const [dx, dy] = [e.clientX - drag.current.x, e.clientY - drag.current.y];
+      if (!drag.current.moved && Math.hypot(dx, dy) < 5) return;
+      drag.current.moved = true;
+      const unitsPerPixel = drag.current.view.w / svgRef.current.clientWidth;
+      setBox({
+        ...drag.current.view,
+        x: drag.current.view.x - dx * unitsPerPixel,
+        y: drag.current.view.y - dy * unitsPerPixel
+      });
+    };
+
+    const handlePointerUp = () => {
+      setTimeout(() => (drag.current = null));
+    };
+
+    const handleTapClient = (id) => {
+      if (!drag.current?.moved) toggleStop(id);
+    };
+
+    const handleUseLocation = (checked) => {
+      if (!checked) {
+        setStart(null);
+        return;
+      }
+      if (!navigator.geolocation) {
+        alert("This device can't share its location.");
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (position) => setStart({ lat: position.coords.latitude, lng: position.coords.longitude }),
+        (err) => alert(`Could not get your location.\n${err.message}`),
+        { enableHighAccuracy: false, timeout: 15000 }
+      );
+    };
+
+    const handleLocate = async () => {
+      setIsLocating(true);
+      const found = await placeRepo.find(unlocated.flatMap(placeKeys));
+      const updates = unlocated
+        .map((client) => ({ id: client.id, location: locateFromPlaces(client, found) }))
+        .filter((u) => u.location);
+      if (updates.length === 0) {
+        setIsLocating(false);
+        alert(
+          "None of these ZIP codes or cities are in the place table. Import one below, or type coordinates on each client."
+        );
+        return;
+      }
+
+      try {
+        await importBatch({
+          clientUpdates: updates.map(({ id, location: { lat, lng, geoSource } }) => ({
+            id,
+            update: (stored) => ({ ...stored, lat, lng, geoSource })
+          }))
+        });
+      } catch (err) {
+        setIsLocating(false);
+        alert(`Could not save the locations.\n${err?.message || err}`);
+        return;
+      }
+      offerUndo(`Located ${updates.length} client${updates.length === 1 ? "" : "s"}`, auditRepo.lastBatch());
+      await loadData();
+    };
+
+    const handleSelectPlaces = (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        const { places, skipped, error } = parsePlaceTable(parseCSV(event.target.result));
+        if (error || places.length === 0) {
+          alert(`Could not read places from ${file.name}.\n${error || "It has no rows with coordinates."}`);
+          return;
+        }
+        try {
+          await placeRepo.putMany(places);
+        } catch (err) {
+          alert(`Could not save the places, none were loaded.\n${err?.message || err}`);
+          return;
+        }
+        setPlaceCount(await placeRepo.count());
+        alert(
+          `Loaded ${places.length.toLocaleString()} places.` +
+            (skipped > 0 ? ` Skipped ${skipped} rows without a ZIP, city or valid coordinates.` : "")
+        );
+      };
+      reader.readAsText(file);
+      e.target.value = "";
+    };
+
+    const handleClearPlaces = async () => {
+      if (!confirm("Remove the imported place table? Client locations already found are kept.")) return;
+      await placeRepo.clear();
+      setPlaceCount(0);
+    };
+
+    const routeText = () =>
+      [
+        `Route for ${formatDate(today)}`,
+        ...route.stops.map((client, i) =>
+          [
+            `${i + 1}. ${client.name}`,
+            [client.address, client.city, client.state, client.zip].filter(Boolean).join(", "),
+            client.phone,
+            route.legs[i] > 0 && formatDistance(route.legs[i], locale)
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        ),
+        `Total ${formatDistance(route.totalKm, locale)} in a straight line`,
+        ...links
+      ].join("\n");
+
+    const handleCopyRoute = async () => {
+      try {
+        await navigator.clipboard.writeText(routeText());
+        alert("Route copied.");
+      } catch {
+        downloadFile(routeText(), `route-${today}.txt`, "text/plain;charset=utf-8");
+      }
+    };
+
+    // Grid lines every `step` degrees, labelled at the edges
+    const topLeft = unproject({ x: view.x, y: view.y });
+    const bottomRight = unproject({ x: view.x + view.w, y: view.y + view.h });
+    const step = gridStep(topLeft.lat - bottomRight.lat);
+    const gridValues = (from, to) => {
+      const values = [];
+      for (let v = Math.ceil(from / step) * step; v <= to; v += step) values.push(Number(v.toFixed(4)));
+      return values;
+    };
+    const pathPoints = [...(start ? [start] : []), ...route.stops].map(toScreen);
+
+    return (
+      <div className="pt-4 max-w-4xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-2">Map</h1>
+        <p className="text-sm text-gray-600 mb-4">
+          {located.length} client{located.length === 1 ? "" : "s"} on the map
+          {activeFilterCount > 0 && (
+            <>
+              {" "}
+              · matching the Clients list filters{" "}
+              <button onClick={() => setClientFilters(emptyClientFilters())} className="text-blue-600">
+                Clear
+              </button>
+            </>
+          )}
+        </p>
+
+        <div className="flex gap-2 flex-wrap mb-3">
+          {MAP_COLOR_MODES.map((m) => (
+            <FilterChip key={m.key} isActive={m.key === mode.key} onClick={() => setColorMode(m.key)}>
+              {m.label}
+            </FilterChip>
+          ))}
+        </div>
+
+        <div className="relative bg-white border rounded-lg overflow-hidden">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+            className="w-full h-auto touch-none select-none cursor-grab"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          >
+            {gridValues(bottomRight.lat, topLeft.lat).map((lat) => {
+              const { sy } = toScreen({ lat, lng: topLeft.lng });
+              return (
+                <g key={`lat${lat}`}>
+                  <line x1={0} x2={MAP_WIDTH} y1={sy} y2={sy} stroke="#e5e7eb" />
+                  <text x={4} y={sy - 3} fontSize={10} fill="#9ca3af">
+                    {lat}°
+                  </text>
+                </g>
+              );
+            })}
+            {gridValues(topLeft.lng, bottomRight.lng).map((lng) => {
+              const { sx } = toScreen({ lat: topLeft.lat, lng });
+              return (
+                <g key={`lng${lng}`}>
+                  <line x1={sx} x2={sx} y1={0} y2={MAP_HEIGHT} stroke="#e5e7eb" />
+                  <text x={sx + 3} y={MAP_HEIGHT - 4} fontSize={10} fill="#9ca3af">
+                    {lng}°
+                  </text>
+                </g>
+              );
+            })}
+
+            {pathPoints.length > 1 && (
+              <polyline
+                points={pathPoints.map(({ sx, sy }) => `${sx},${sy}`).join(" ")}
+                fill="none"
+                stroke="#2563eb"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+              />
+            )}
+
+            {located.map((client) => {
+              const { sx, sy } = toScreen(client);
+              const stop = routeIndex.get(client.id);
+              return (
+                <g key={client.id} onClick={() => handleTapClient(client.id)} className="cursor-pointer">
+                  <title>{client.name}</title>
+                  <circle
+                    cx={sx}
+                    cy={sy}
+                    r={stop ? 10 : 7}
+                    fill={mode.colorOf(client, today)}
+                    stroke={stop ? "#1e3a8a" : "#ffffff"}
+                    strokeWidth={2}
+                  />
+                  {stop && (
+                    <text x={sx} y={sy + 4} textAnchor="middle" fontSize={11} fontWeight="bold" fill="#111827">
+                      {stop}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+
+            {start && (
+              <rect
+                x={toScreen(start).sx - 6}
+                y={toScreen(start).sy - 6}
+                width={12}
+                height={12}
+                fill="#2563eb"
+                stroke="#ffffff"
+                strokeWidth={2}
+              >
+                <title>Your location</title>
+              </rect>
+            )}
+          </svg>
+
+          {located.length === 0 && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-500 p-6 text-center">
+              No clients with a location yet. Add a ZIP or coordinates to a client, or locate them below.
+            </p>
+          )}
+
+          <div className="absolute top-2 right-2 flex flex-col gap-1">
+            <button onClick={() => zoom(0.5)} className="bg-white border rounded p-1 shadow" title="Zoom in">
+              <ZoomIn size={18} />
+            </button>
+            <button onClick={() => zoom(2)} className="bg-white border rounded p-1 shadow" title="Zoom out">
+              <ZoomOut size={18} />
+            </button>
+            <button onClick={() => setBox(null)} className="bg-white border rounded p-1 shadow" title="Fit all">
+              <LocateFixed size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex gap-3 flex-wrap mt-2 mb-6">
+          {mode.legend.map(({ label, color }) => (
+            <span key={label} className="flex items-center gap-1 text-xs text-gray-600">
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+              {label}
+            </span>
+          ))}
+        </div>
+
+        <div className="bg-white border rounded-lg p-4 mb-6">
+          <h2 className="font-semibold text-gray-800 mb-1 flex items-center gap-2">
+            <Route size={18} />
+            Plan my day
+          </h2>
+          <p className="text-xs text-gray-500 mb-3">
+            Tap clients on the map or in the list below. Stops are put in the shortest order; distances are in a
+            straight line.
+          </p>
+
+          <label className="flex items-center gap-2 text-sm mb-3">
+            <input type="checkbox" checked={!!start} onChange={(e) => handleUseLocation(e.target.checked)} />
+            Start from my location
+          </label>
+
+          {route.stops.length === 0 ? (
+            <p className="text-sm text-gray-500">No stops yet.</p>
+          ) : (
+            <>
+              <ol className="space-y-2 mb-3">
+                {route.stops.map((client, i) => (
+                  <li key={client.id} className="flex items-center gap-3 text-sm">
+                    <span className="w-6 h-6 rounded-full bg-blue-600 text-white text-xs flex items-center justify-center">
+                      {i + 1}
+                    </span>
+                    <button onClick={() => openClient(client)} className="flex-1 min-w-0 text-left">
+                      <span className="font-medium text-gray-800">{client.name}</span>
+                      <span className="text-gray-500"> · {client.address || client.city}</span>
+                    </button>
+                    {route.legs[i] > 0 && (
+                      <span className="text-xs text-gray-500 whitespace-nowrap">
+                        {formatDistance(route.legs[i], locale)}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => toggleStop(client.id)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove stop"
+                    >
+                      <X size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+
+              <p className="text-sm text-gray-700 mb-3">
+                Total {formatDistance(route.totalKm, locale)} in a straight line
+              </p>
+
+              <div className="flex gap-2 flex-wrap">
+                {links.map((link, i) => (
+                  <a
+                    key={link}
+                    href={link}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-1 bg-blue-600 text-white text-sm px-3 py-2 rounded-lg"
+                  >
+                    <Navigation size={16} />
+                    {links.length > 1 ? `Maps, part ${i + 1}` : "Open in Maps"}
+                  </a>
+                ))}
+                <button
+                  onClick={handleCopyRoute}
+                  className="flex items-center gap-1 border text-sm px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  <Copy size={16} />
+                  Copy list
+                </button>
+                <button onClick={() => setRouteIds([])} className="text-sm text-gray-500 hover:text-gray-700 px-2">
+                  Clear
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        {located.length > 0 && (
+          <div className="mb-6">
+            <h2 className="font-semibold text-gray-800 mb-3">Clients on the map</h2>
+            <div className="bg-white border rounded-lg divide-y">
+              {[...located]
+                .sort((a, b) => (start ? distanceKm(start, a) - distanceKm(start, b) : a.name.localeCompare(b.name)))
+                .map((client) => (
+                  <label key={client.id} className="flex items-center gap-3 px-4 py-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={routeIds.includes(client.id)}
+                      onChange={() => toggleStop(client.id)}
+                    />
+                    <span
+                      className="inline-block w-3 h-3 rounded-full"
+                      style={{ backgroundColor: mode.colorOf(client, today) }}
+                    />
+                    <span className="flex-1 min-w-0 truncate">
+                      {client.name}
+                      <span className="text-gray-500"> · {client.city}</span>
+                    </span>
+                    {start && (
+                      <span className="text-xs text-gray-500">{formatDistance(distanceKm(start, client), locale)}</span>
+                    )}
+                  </label>
+                ))}
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white border rounded-lg p-4">
+          <h2 className="font-semibold text-gray-800 mb-1">Locating clients</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            {unlocated.length === 0
+              ? "Every client shown has a location."
+              : `${unlocated.length} client${unlocated.length === 1 ? " has" : "s have"} no location yet.`}
+          </p>
+
+          {unlocated.length > 0 && (
+            <button
+              onClick={handleLocate}
+              disabled={isLocating}
+              className="flex items-center gap-1 bg-blue-600 text-white text-sm px-3 py-2 rounded-lg mb-4 disabled:opacity-50"
+            >
+              <MapPin size={16} />
+              Locate from ZIP / city
+            </button>
+          )}
+
+          <p className="text-xs text-gray-500 mb-2">
+            Locations are looked up on this device from a place table: any CSV with a ZIP column, or city and state
+            columns, plus latitude and longitude, such as the US Census Gazetteer ZIP or places files. Without one, only
+            larger cities are known.
+          </p>
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <span className="text-gray-700">
+              {placeCount === null ? "…" : `${placeCount.toLocaleString()} places loaded`}
+            </span>
+            <label className="flex items-center gap-1 text-blue-600 hover:text-blue-800 cursor-pointer">
+              <Upload size={16} />
+              Import place table
+              <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleSelectPlaces} className="hidden" />
+            </label>
+            {placeCount > 0 && (
+              <button onClick={handleClearPlaces} className="text-gray-500 hover:text-red-600">
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // =========================
   // Client Detail View (responsive split)
   // =========================
   const ClientDetailView = () => {
     const [clientVisits, setClientVisits] = useState([]);
+    const [showClosedQuotes, setShowClosedQuotes] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [showFullHistory, setShowFullHistory] = useState(false);
 
     useEffect(() => {
       if (!selectedClient) return;
 
-      dbOps.getVisitsByClient(selectedClient.id).then((v) => {
-        const sorted = v.sort((a, b) => new Date(b.date) - new Date(a.date));
+      visitRepo.getByClient(selectedClient.id).then((v) => {
+        const sorted = v.sort((a, b) => compareDateKeysDesc(a.date, b.date));
         setClientVisits(sorted);
       });
+      auditRepo.getByClient(selectedClient.id).then(setHistory);
     }, [selectedClient]);
 
     if (!selectedClient) return null;
 
     const lastVisit = clientVisits[0];
     const openFollowUps = clientVisits.filter((v) => v.followUpDate && !v.completed);
+    const clientOpportunities = opportunities.filter((o) => o.clientId === selectedClient.id);
+    const clientQuotes = quotes.filter((q) => q.clientId === selectedClient.id);
+    // Outstanding first, soonest to expire at the top; no valid-until date sorts last
+    const pendingQuotes = clientQuotes
+      .filter((q) => q.status === "pending")
+      .sort((a, b) => compareDateKeys(a.validUntil || "9999-12-31", b.validUntil || "9999-12-31"));
+    const closedQuotes = clientQuotes.filter((q) => q.status !== "pending");
+    const productsById = new Map(products.map((p) => [p.id, p]));
+    const shownHistory = showFullHistory ? history : history.slice(0, CLIENT_HISTORY_PREVIEW);
+
+    const handleDeleteClient = async () => {
+      // Everything that belongs to the client goes with it
+      const owned = [
+        [clientVisits.length, "visit", "visits"],
+        [clientOpportunities.length, "opportunity", "opportunities"],
+        [clientQuotes.length, "quote or sample", "quotes and samples"]
+      ]
+        .filter(([count]) => count > 0)
+        .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`);
+      const ownedList = owned.length > 1 ? `${owned.slice(0, -1).join(", ")} and ${owned.at(-1)}` : owned[0];
+      const ok = confirm(`Delete ${selectedClient.name}?` + (ownedList ? `\n\nThis also deletes ${ownedList}.` : ""));
+      if (!ok) return;
+
+      try {
+        await clientRepo.delete(selectedClient.id);
+      } catch (err) {
+        alert(`Could not delete ${selectedClient.name}.\n${err?.message || err}`);
+        return;
+      }
+      offerUndo(`${selectedClient.name} deleted`, auditRepo.lastBatch());
+      setSelectedClient(null);
+      await loadData();
+      setCurrentView("clients");
+    };
 
     return (
       <div className="pt-4">
@@ -683,6 +1909,11 @@ export default function FieldCRM() {
               <p className="text-blue-100">
                 {selectedClient.city}, {selectedClient.state}
               </p>
+              {(selectedClient.address || selectedClient.zip) && (
+                <p className="text-blue-100 text-sm">
+                  {[selectedClient.address, selectedClient.zip].filter(Boolean).join(" · ")}
+                </p>
+              )}
 
               <div className="flex gap-3 mt-4 flex-wrap">
                 {selectedClient.phone && (
@@ -704,6 +1935,24 @@ export default function FieldCRM() {
                     <span className="text-sm">Email</span>
                   </a>
                 )}
+
+                {(hasLocation(selectedClient) || selectedClient.address) && (
+                  <a
+                    href={directionsLink(
+                      hasLocation(selectedClient)
+                        ? selectedClient
+                        : [selectedClient.address, selectedClient.city, selectedClient.state, selectedClient.zip]
+                            .filter(Boolean)
+                            .join(", ")
+                    )}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-2 bg-blue-500 px-4 py-2 rounded-lg"
+                  >
+                    <Navigation size={16} />
+                    <span className="text-sm">Directions</span>
+                  </a>
+                )}
               </div>
             </div>
 
@@ -714,6 +1963,24 @@ export default function FieldCRM() {
               <Plus size={20} />
               Log Visit
             </button>
+
+            <div className="flex gap-3 mt-3">
+              <button
+                onClick={() => setCurrentView("editClient")}
+                className="flex-1 border border-gray-300 bg-white text-gray-700 py-2 rounded-lg flex items-center justify-center gap-2 hover:bg-gray-50"
+              >
+                <Pencil size={16} />
+                <span className="text-sm">Edit</span>
+              </button>
+
+              <button
+                onClick={handleDeleteClient}
+                className="flex-1 border border-red-300 bg-white text-red-600 py-2 rounded-lg flex items-center justify-center gap-2 hover:bg-red-50"
+              >
+                <Trash2 size={16} />
+                <span className="text-sm">Delete</span>
+              </button>
+            </div>
           </aside>
 
           {/* RIGHT column */}
@@ -735,7 +2002,11 @@ export default function FieldCRM() {
                     <div className="flex justify-between items-start gap-3">
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-gray-800 break-words">{visit.nextAction}</p>
-                        <p className="text-xs text-gray-600 mt-1">{formatDate(visit.followUpDate)}</p>
+                        <p className="text-xs text-gray-600 mt-1">
+                          {formatDate(visit.followUpDate)}
+                          {visit.followUpTime && ` · ${formatTime(visit.followUpTime)}`}
+                        </p>
+                        <SnoozeControls visit={visit} />
                       </div>
 
                       <button
@@ -751,14 +2022,99 @@ export default function FieldCRM() {
               </div>
             )}
 
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="font-semibold text-gray-800">Opportunities</h2>
+                <button
+                  onClick={() => setCurrentView("addOpportunity")}
+                  className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} />
+                  <span>Add</span>
+                </button>
+              </div>
+
+              {clientOpportunities.length === 0 ? (
+                <p className="text-sm text-gray-500">No opportunities yet.</p>
+              ) : (
+                clientOpportunities.map((opportunity) => (
+                  <div
+                    key={opportunity.id}
+                    onClick={() => openOpportunity(opportunity, "clientDetail")}
+                    className="border rounded-lg p-3 mb-2 bg-white cursor-pointer hover:shadow-md transition-shadow"
+                  >
+                    <div className="flex justify-between items-start gap-3">
+                      <p className="text-sm font-medium text-gray-800 break-words">{opportunity.title}</p>
+                      <span className="text-xs bg-gray-100 px-2 py-1 rounded whitespace-nowrap">
+                        {stageLabel(opportunity.stage)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {formatValue(opportunity.value)}
+                      {opportunity.expectedCloseDate && ` · closes ${formatDate(opportunity.expectedCloseDate)}`}
+                    </p>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="font-semibold text-gray-800">Quotes &amp; Samples</h2>
+                <button
+                  onClick={() => startQuote(null)}
+                  className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} />
+                  <span>Add</span>
+                </button>
+              </div>
+
+              {pendingQuotes.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing outstanding.</p>
+              ) : (
+                pendingQuotes.map((quote) => <QuoteSummary key={quote.id} quote={quote} />)
+              )}
+
+              {closedQuotes.length > 0 && (
+                <button
+                  onClick={() => setShowClosedQuotes(!showClosedQuotes)}
+                  className="text-sm text-gray-600 hover:text-gray-800 mt-1"
+                >
+                  {showClosedQuotes ? "Hide" : "Show"} {closedQuotes.length} closed
+                </button>
+              )}
+              {showClosedQuotes && (
+                <div className="mt-2">
+                  {closedQuotes.map((quote) => (
+                    <QuoteSummary key={quote.id} quote={quote} />
+                  ))}
+                </div>
+              )}
+            </div>
+
             <h2 className="font-semibold text-gray-800 mb-3">Visit History</h2>
 
             <div className="space-y-3">
               {clientVisits.map((visit) => (
-                <div key={visit.id} className="border rounded-lg p-3 bg-white">
+                <div
+                  key={visit.id}
+                  onClick={() => {
+                    setSelectedVisit(visit);
+                    setCurrentView("editVisit");
+                  }}
+                  className="border rounded-lg p-3 bg-white cursor-pointer hover:shadow-md transition-shadow"
+                >
                   <div className="flex justify-between items-start mb-2 gap-3">
                     <span className="text-xs text-gray-500">{formatDate(visit.date)}</span>
-                    <span className="text-xs bg-gray-100 px-2 py-1 rounded whitespace-nowrap">{visit.touchType}</span>
+                    <div className="flex gap-2">
+                      {visit.followUpDate && visit.completed && (
+                        <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded whitespace-nowrap">
+                          Follow-up done
+                        </span>
+                      )}
+                      <span className="text-xs bg-gray-100 px-2 py-1 rounded whitespace-nowrap">{visit.touchType}</span>
+                    </div>
                   </div>
 
                   <p className="text-sm text-gray-700 whitespace-pre-wrap">{visit.note}</p>
@@ -766,9 +2122,59 @@ export default function FieldCRM() {
                   {visit.outcome && (
                     <p className="text-xs text-gray-600 mt-1 break-words">Outcome: {visit.outcome}</p>
                   )}
+
+                  {visitProductNames(visit, productsById).length > 0 && (
+                    <p className="text-xs text-gray-600 mt-1 break-words">
+                      Products: {visitProductNames(visit, productsById).join(", ")}
+                    </p>
+                  )}
+
+                  {visit.opportunityId && (
+                    <p className="text-xs text-blue-700 mt-1 break-words">
+                      Opportunity: {clientOpportunities.find((o) => o.id === visit.opportunityId)?.title}
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
+
+            <h2 className="font-semibold text-gray-800 mt-6 mb-3">History</h2>
+
+            {history.length === 0 ? (
+              <p className="text-sm text-gray-500">No changes recorded yet.</p>
+            ) : (
+              <ol className="border-l-2 border-gray-200 ml-1 space-y-4">
+                {shownHistory.map((entry) => {
+                  const change = describeAuditEntry(entry);
+                  return (
+                    <li key={entry.id} className="pl-4">
+                      <p className="text-sm text-gray-800 break-words">
+                        <span className="font-medium">{change.title}</span>
+                        {change.subject && ` · ${change.subject}`}
+                      </p>
+                      {change.changes.map((field, index) => (
+                        <p key={index} className="text-xs text-gray-600 mt-1 break-words">
+                          {field.label}
+                          {field.from === null ? " changed" : `: ${field.from} → ${field.to}`}
+                        </p>
+                      ))}
+                      <p className="text-xs text-gray-500 mt-1">
+                        {change.who} · {change.when}
+                      </p>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+
+            {history.length > CLIENT_HISTORY_PREVIEW && (
+              <button
+                onClick={() => setShowFullHistory(!showFullHistory)}
+                className="text-sm text-gray-600 hover:text-gray-800 mt-3"
+              >
+                {showFullHistory ? "Show less" : `Show all ${history.length} changes`}
+              </button>
+            )}
           </main>
         </div>
       </div>
@@ -776,150 +2182,2803 @@ export default function FieldCRM() {
   };
 
   // =========================
-  // Add Visit View
+  // Product Picker (catalog multi-select with autocomplete)
   // =========================
-  const AddVisitView = () => {
-    const [formData, setFormData] = useState({
-      date: new Date().toISOString().split("T")[0],
-      touchType: "Call",
-      outcome: "",
-      products: "",
-      signal: "Warm",
-      note: "",
-      nextAction: "",
-      followUpDate: ""
-    });
+  const ProductPicker = ({ selectedIds, onChange }) => {
+    const [query, setQuery] = useState("");
+    const selected = selectedIds.map((id) => products.find((p) => p.id === id)).filter(Boolean);
+    const suggestions = searchProducts(
+      products.filter((p) => !selectedIds.includes(p.id)),
+      query
+    );
 
-    const handleSubmit = async (e) => {
-      e.preventDefault();
+    const pick = (product) => {
+      onChange([...selectedIds, product.id]);
+      setQuery("");
+    };
 
-      await dbOps.addVisit({
-        clientId: selectedClient.id,
-        ...formData,
-        completed: false,
-        priority: "medium"
-      });
+    return (
+      <div>
+        {selected.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {selected.map((product) => (
+              <span
+                key={product.id}
+                className="flex items-center gap-1 bg-blue-100 text-blue-800 text-sm px-2 py-1 rounded"
+              >
+                {product.name}
+                <button
+                  type="button"
+                  onClick={() => onChange(selectedIds.filter((id) => id !== product.id))}
+                  aria-label={`Remove ${product.name}`}
+                >
+                  <X size={14} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
 
-      const updatedClient = {
-        ...selectedClient,
-        lastVisitDate: formData.date,
-        lastVisitSummary: formData.note
-      };
+        <div className="relative">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              // Enter picks the top suggestion instead of submitting the visit
+              if (e.key !== "Enter") return;
+              e.preventDefault();
+              if (suggestions.length > 0) pick(suggestions[0]);
+            }}
+            placeholder="Search the catalog by name or SKU"
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          {suggestions.length > 0 && (
+            <ul className="absolute z-10 left-0 right-0 mt-1 bg-white border rounded-lg shadow-lg max-h-60 overflow-y-auto">
+              {suggestions.map((product) => (
+                <li key={product.id}>
+                  <button
+                    type="button"
+                    onClick={() => pick(product)}
+                    className="w-full text-left px-4 py-2 hover:bg-gray-50"
+                  >
+                    <span className="text-sm text-gray-800">{product.name}</span>
+                    {(product.sku || product.category) && (
+                      <span className="text-xs text-gray-500 ml-2">
+                        {[product.sku, product.category].filter(Boolean).join(" · ")}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    );
+  };
 
-      await dbOps.updateClient(updatedClient);
+  // =========================
+  // Visit Form (shared by add / edit)
+  // =========================
+  const VisitForm = ({ initialValues, submitLabel, onSubmit, opportunities = [] }) => {
+    const [formData, setFormData] = useState({
+      opportunityId: null,
+      opportunityStage: "",
+      productIds: [],
+      ...initialValues
+    });
+    const linkedOpportunity = opportunities.find((o) => o.id === formData.opportunityId);
 
-      await loadData();
-      setCurrentView("clientDetail");
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onSubmit(formData);
     };
 
     return (
-      <div className="pt-4 max-w-2xl mx-auto">
-        <button onClick={() => setCurrentView("clientDetail")} className="mb-4">
-          <ArrowLeft size={24} />
-        </button>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+          <input
+            type="date"
+            value={formData.date}
+            onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+        </div>
 
-        <h1 className="text-2xl font-bold mb-6">Log Visit</h1>
-        <p className="text-gray-600 mb-6">Client: {selectedClient?.name}</p>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Touch Type</label>
+          <select
+            value={formData.touchType}
+            onChange={(e) => setFormData({ ...formData, touchType: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="Call">Call</option>
+            <option value="Site Visit">Site Visit</option>
+            <option value="Meeting">Meeting</option>
+            <option value="Email">Email</option>
+            {/* Created for quotes about to expire, never picked by hand */}
+            {formData.touchType === "Reminder" && <option value="Reminder">Reminder</option>}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Outcome</label>
+          <input
+            type="text"
+            value={formData.outcome}
+            onChange={(e) => setFormData({ ...formData, outcome: e.target.value })}
+            placeholder="e.g., Discussed Project, Sent pics, etc."
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
+        {products.length > 0 && (
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
-            <input
-              type="date"
-              value={formData.date}
-              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              required
+            <label className="block text-sm font-medium text-gray-700 mb-1">Products Discussed</label>
+            <ProductPicker
+              selectedIds={formData.productIds}
+              onChange={(productIds) => setFormData({ ...formData, productIds })}
             />
           </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {products.length > 0 ? "Other products (not in catalog)" : "Products Discussed"}
+          </label>
+          <input
+            type="text"
+            value={formData.products}
+            onChange={(e) => setFormData({ ...formData, products: e.target.value })}
+            placeholder="e.g., Calacatta Avenza, Harmony gold"
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Signal</label>
+          <select
+            value={formData.signal}
+            onChange={(e) => setFormData({ ...formData, signal: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="Hot">Hot 🔥</option>
+            <option value="Warm">Warm</option>
+            <option value="Cold">Cold</option>
+          </select>
+        </div>
 
+        {opportunities.length > 0 && (
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Touch Type</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Opportunity (optional)</label>
             <select
-              value={formData.touchType}
-              onChange={(e) => setFormData({ ...formData, touchType: e.target.value })}
+              value={formData.opportunityId ?? ""}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  opportunityId: e.target.value ? Number(e.target.value) : null,
+                  opportunityStage: ""
+                })
+              }
               className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              <option value="Call">Call</option>
-              <option value="Site Visit">Site Visit</option>
-              <option value="Meeting">Meeting</option>
-              <option value="Email">Email</option>
+              <option value="">None</option>
+              {opportunities.map((opportunity) => (
+                <option key={opportunity.id} value={opportunity.id}>
+                  {opportunity.title} ({stageLabel(opportunity.stage)})
+                </option>
+              ))}
             </select>
           </div>
+        )}
 
+        {linkedOpportunity && (
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Outcome</label>
-            <input
-              type="text"
-              value={formData.outcome}
-              onChange={(e) => setFormData({ ...formData, outcome: e.target.value })}
-              placeholder="e.g., Discussed Project, Sent pics, etc."
-              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Products Discussed</label>
-            <input
-              type="text"
-              value={formData.products}
-              onChange={(e) => setFormData({ ...formData, products: e.target.value })}
-              placeholder="e.g., Calacatta Avenza, Harmony gold"
-              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Signal</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Move opportunity to</label>
             <select
-              value={formData.signal}
-              onChange={(e) => setFormData({ ...formData, signal: e.target.value })}
+              value={formData.opportunityStage}
+              onChange={(e) => setFormData({ ...formData, opportunityStage: e.target.value })}
               className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
-              <option value="Hot">Hot 🔥</option>
-              <option value="Warm">Warm</option>
-              <option value="Cold">Cold</option>
+              <option value="">Keep at {stageLabel(linkedOpportunity.stage)}</option>
+              {OPPORTUNITY_STAGES.filter((stage) => stage.key !== linkedOpportunity.stage).map((stage) => (
+                <option key={stage.key} value={stage.key}>
+                  {stage.label}
+                </option>
+              ))}
             </select>
           </div>
+        )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Notes (typed)</label>
-            <textarea
-              value={formData.note}
-              onChange={(e) => setFormData({ ...formData, note: e.target.value })}
-              placeholder="What happened during this visit?"
-              rows={6}
-              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              required
-            />
-          </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes (typed)</label>
+          <textarea
+            value={formData.note}
+            onChange={(e) => setFormData({ ...formData, note: e.target.value })}
+            placeholder="What happened during this visit?"
+            rows={6}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+        </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Next Action</label>
-            <input
-              type="text"
-              value={formData.nextAction}
-              onChange={(e) => setFormData({ ...formData, nextAction: e.target.value })}
-              placeholder="What needs to happen next?"
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Next Action</label>
+          <input
+            type="text"
+            value={formData.nextAction}
+            onChange={(e) => setFormData({ ...formData, nextAction: e.target.value })}
+            placeholder="What needs to happen next?"
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Follow-up Date (optional)</label>
+          <input
+            type="date"
+            value={formData.followUpDate}
+            onChange={(e) => setFormData({ ...formData, followUpDate: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Only set if there's a real deadline</p>
+        </div>
+
+        {formData.followUpDate && (
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Time (optional)</label>
+              <input
+                type="time"
+                value={formData.followUpTime}
+                onChange={(e) => setFormData({ ...formData, followUpTime: e.target.value })}
+                className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Duration</label>
+              <select
+                value={formData.followUpDuration}
+                onChange={(e) => setFormData({ ...formData, followUpDuration: Number(e.target.value) })}
+                disabled={!formData.followUpTime}
+                className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {FOLLOW_UP_DURATIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes < 60 ? `${minutes} min` : `${minutes / 60} hr`}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <p className="col-span-2 text-xs text-gray-500 -mt-2">No time = all-day event in your calendar</p>
+          </div>
+        )}
+
+        {"completed" in formData && formData.followUpDate && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.completed}
+              onChange={(e) => setFormData({ ...formData, completed: e.target.checked })}
+            />
+            Follow-up done
+          </label>
+        )}
+
+        <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
+          {submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  // =========================
+  // Add Visit View
+  // =========================
+  const AddVisitView = () => {
+    const handleSubmit = async ({ opportunityStage, ...formData }) => {
+      await visitRepo.add({
+        clientId: selectedClient.id,
+        ...formData,
+        completed: false,
+        priority: "medium"
+      });
+      await advanceOpportunity(formData.opportunityId, opportunityStage);
+
+      // The client's last visit date and summary are derived from its visits in loadData
+      await loadData();
+      setCurrentView("clientDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clientDetail")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Log Visit</h1>
+        <p className="text-gray-600 mb-6">Client: {selectedClient?.name}</p>
+
+        <VisitForm
+          initialValues={{
+            date: todayKey(),
+            touchType: "Call",
+            outcome: "",
+            products: "",
+            signal: "Warm",
+            note: "",
+            nextAction: "",
+            followUpDate: "",
+            followUpTime: "",
+            followUpDuration: 30
+          }}
+          submitLabel="Save Visit"
+          onSubmit={handleSubmit}
+          opportunities={opportunities.filter((o) => o.clientId === selectedClient?.id && isOpenOpportunity(o))}
+        />
+      </div>
+    );
+  };
+
+  // =========================
+  // Edit Visit View
+  // =========================
+  const EditVisitView = () => {
+    if (!selectedVisit) return null;
+
+    // Logged from this visit, or the expiry reminder this visit was created for
+    const visitQuotes = quotes.filter((q) => q.visitId === selectedVisit.id || q.id === selectedVisit.quoteId);
+
+    const handleSubmit = async ({ opportunityStage, ...formData }) => {
+      // "Follow-up done" is saved as ticked; a visit without a follow-up counts as done
+      await visitRepo.put({
+        ...selectedVisit,
+        ...formData,
+        followUpDate: formData.followUpDate || null,
+        completed: formData.followUpDate ? formData.completed : true
+      });
+      await advanceOpportunity(formData.opportunityId, opportunityStage);
+
+      await loadData();
+      setSelectedVisit(null);
+      setCurrentView("clientDetail");
+    };
+
+    const handleDelete = async () => {
+      if (!confirm(`Delete the ${selectedVisit.touchType} from ${formatDate(selectedVisit.date)}?`)) return;
+
+      await visitRepo.delete(selectedVisit.id);
+      offerUndo(`${selectedVisit.touchType || "Visit"} deleted`, auditRepo.lastBatch());
+      await loadData();
+      setSelectedVisit(null);
+      setCurrentView("clientDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clientDetail")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Edit Visit</h1>
+        <p className="text-gray-600 mb-6">Client: {selectedClient?.name}</p>
+
+        <VisitForm
+          initialValues={{
+            date: selectedVisit.date || "",
+            touchType: selectedVisit.touchType || "Call",
+            outcome: selectedVisit.outcome || "",
+            products: selectedVisit.products || "",
+            signal: selectedVisit.signal || "Warm",
+            note: selectedVisit.note || "",
+            nextAction: selectedVisit.nextAction || "",
+            followUpDate: selectedVisit.followUpDate || "",
+            followUpTime: selectedVisit.followUpTime || "",
+            followUpDuration: selectedVisit.followUpDuration || 30,
+            // A visit without a follow-up is stored as done; one added here starts open
+            completed: !!selectedVisit.followUpDate && !!selectedVisit.completed,
+            opportunityId: selectedVisit.opportunityId ?? null,
+            productIds: selectedVisit.productIds || []
+          }}
+          submitLabel="Save Changes"
+          onSubmit={handleSubmit}
+          opportunities={opportunities.filter(
+            (o) =>
+              o.clientId === selectedVisit.clientId && (isOpenOpportunity(o) || o.id === selectedVisit.opportunityId)
+          )}
+        />
+
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold text-gray-800">Quotes &amp; Samples</h2>
+            <button
+              onClick={() => startQuote(selectedVisit)}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Plus size={16} />
+              <span>Log quote / sample</span>
+            </button>
+          </div>
+          {visitQuotes.map((quote) => (
+            <QuoteSummary key={quote.id} quote={quote} />
+          ))}
+        </div>
+
+        <button
+          onClick={handleDelete}
+          className="w-full mt-3 border border-red-300 text-red-600 py-3 rounded-lg font-semibold flex items-center justify-center gap-2 hover:bg-red-50"
+        >
+          <Trash2 size={18} />
+          Delete Visit
+        </button>
+      </div>
+    );
+  };
+
+  // =========================
+  // Client Form (shared by edit / add)
+  // =========================
+  const ClientForm = ({ initialValues, submitLabel, onSubmit }) => {
+    const [formData, setFormData] = useState(initialValues);
+
+    const statusOptions = CLIENT_STATUSES.includes(formData.status)
+      ? CLIENT_STATUSES
+      : [...CLIENT_STATUSES, formData.status].filter(Boolean);
+
+    const field = (key, label, props = {}) => (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+        <input
+          type="text"
+          value={formData[key]}
+          onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          {...props}
+        />
+      </div>
+    );
+
+    // Typing a coordinate makes the location the user's own
+    const handleCoordinate = (key) => (e) => setFormData({ ...formData, [key]: e.target.value, geoSource: "manual" });
+
+    const setLocation = (location) =>
+      setFormData({ ...formData, lat: location.lat, lng: location.lng, geoSource: location.geoSource });
+
+    const handleLookUp = async () => {
+      const location = await lookUpLocation(formData);
+      if (location) setLocation(location);
+      else alert("No coordinates found for this ZIP or city. Import a place table on the Map screen, or type them in.");
+    };
+
+    // Typed coordinates are kept as they are; looked-up ones follow the ZIP and
+    // city, so they are looked up again when those change
+    const locationFor = async (values) => {
+      const placeChanged = ["zip", "city", "state"].some((key) => values[key] !== (initialValues[key] ?? ""));
+      const blank = values.lat === "" && values.lng === "";
+      if (blank || (values.geoSource !== "manual" && placeChanged)) {
+        return (await lookUpLocation(values)) || { lat: null, lng: null, geoSource: "" };
+      }
+      const [lat, lng] = [Number(values.lat), Number(values.lng)];
+      return isValidLocation(lat, lng) ? { lat, lng, geoSource: values.geoSource || "manual" } : null;
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      const trimmed = Object.fromEntries(
+        Object.entries(formData).map(([key, value]) => [key, typeof value === "string" ? value.trim() : value])
+      );
+      const location = await locationFor(trimmed);
+      if (!location) {
+        alert("Latitude must be between -90 and 90 and longitude between -180 and 180, or leave both empty.");
+        return;
+      }
+      onSubmit({ ...trimmed, lat: location.lat, lng: location.lng, geoSource: location.geoSource });
+    };
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {field("name", "Client Name", { required: true, placeholder: "e.g., ABC Granite" })}
+
+        <div className="grid grid-cols-2 gap-3">
+          {field("city", "City")}
+          {field("state", "State")}
+        </div>
+
+        {field("address", "Address", { placeholder: "Street" })}
+
+        <div className="grid grid-cols-2 gap-3">
+          {field("zip", "ZIP")}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+            <button
+              type="button"
+              onClick={handleLookUp}
+              className="w-full flex items-center justify-center gap-1 px-4 py-2 border rounded-lg text-sm text-blue-600 hover:bg-blue-50"
+            >
+              <MapPin size={16} />
+              Look up
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {field("lat", "Latitude", {
+            inputMode: "decimal",
+            placeholder: "e.g., 40.5187",
+            onChange: handleCoordinate("lat")
+          })}
+          {field("lng", "Longitude", {
+            inputMode: "decimal",
+            placeholder: "e.g., -74.4121",
+            onChange: handleCoordinate("lng")
+          })}
+        </div>
+        <p className="text-xs text-gray-500 -mt-2">
+          {GEO_SOURCE_LABELS[formData.geoSource] ||
+            "Left empty, they are looked up from the ZIP or city when you save."}
+        </p>
+
+        {field("contact", "Contact Person")}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {field("phone", "Phone", { type: "tel" })}
+          {field("email", "Email", { type: "email" })}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          {field("segment", "Segment", { placeholder: "e.g., Fabricator" })}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={formData.status}
+              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {statusOptions.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            rows={4}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
+          {submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  // =========================
+  // Edit Client View
+  // =========================
+  const EditClientView = () => {
+    if (!selectedClient) return null;
+
+    const handleSave = async (values) => {
+      try {
+        // Merge onto the stored record so derived fields from loadData never get persisted
+        const stored = await clientRepo.get(selectedClient.id);
+        await clientRepo.put({ ...stored, ...values });
+      } catch (err) {
+        alert(`Could not save the client.\n${err?.message || err}`);
+        return;
+      }
+
+      setSelectedClient({ ...selectedClient, ...values });
+      await loadData();
+      setCurrentView("clientDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clientDetail")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Edit Client</h1>
+
+        <ClientForm initialValues={pickClientFields(selectedClient)} submitLabel="Save Changes" onSubmit={handleSave} />
+      </div>
+    );
+  };
+
+  // =========================
+  // Add Client View
+  // =========================
+  const AddClientView = () => {
+    const [pendingClient, setPendingClient] = useState(null);
+    const [duplicates, setDuplicates] = useState([]);
+
+    const openClient = (client) => {
+      setSelectedClient(client);
+      setCurrentView("clientDetail");
+    };
+
+    const saveClient = async (values) => {
+      let id;
+      try {
+        id = await clientRepo.add(values);
+      } catch (err) {
+        alert(`Could not add the client.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      openClient({ id, ...values, openFollowUps: 0 });
+    };
+
+    const handleSubmit = (values) => {
+      const matches = findLikelyDuplicates(clients, values);
+      if (matches.length > 0) {
+        setPendingClient(values);
+        setDuplicates(matches);
+        return;
+      }
+      saveClient(values);
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Add Client</h1>
+
+        {duplicates.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6">
+            <p className="text-sm font-medium text-gray-800 mb-3">This looks like a client you already have:</p>
+
+            {duplicates.map((client) => (
+              <button
+                key={client.id}
+                onClick={() => openClient(client)}
+                className="w-full text-left bg-white border rounded-lg p-3 mb-2 hover:shadow-md transition-shadow"
+              >
+                <p className="font-semibold text-gray-800">{client.name}</p>
+                <p className="text-xs text-gray-600">
+                  {client.city}, {client.state}
+                  {client.lastVisitDate && ` · Last visit: ${formatDate(client.lastVisitDate)}`}
+                </p>
+              </button>
+            ))}
+
+            <div className="flex gap-3 mt-3">
+              <button
+                onClick={() => setDuplicates([])}
+                className="flex-1 border border-gray-300 bg-white text-gray-700 py-2 rounded-lg text-sm"
+              >
+                Go back
+              </button>
+              <button
+                onClick={() => saveClient(pendingClient)}
+                className="flex-1 bg-yellow-500 text-white py-2 rounded-lg text-sm font-semibold"
+              >
+                Save anyway
+              </button>
+            </div>
+          </div>
+        )}
+
+        <ClientForm initialValues={emptyClient()} submitLabel="Save Client" onSubmit={handleSubmit} />
+      </div>
+    );
+  };
+
+  // =========================
+  // Opportunity Form (shared by add / edit)
+  // =========================
+  const OpportunityForm = ({ initialValues, submitLabel, onSubmit }) => {
+    const [formData, setFormData] = useState(initialValues);
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onSubmit({ ...formData, title: formData.title.trim(), value: parseValue(formData.value) });
+    };
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+          <input
+            type="text"
+            value={formData.title}
+            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+            placeholder="e.g., Miller kitchen remodel"
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Stage</label>
+            <select
+              value={formData.stage}
+              onChange={(e) => setFormData({ ...formData, stage: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {OPPORTUNITY_STAGES.map((stage) => (
+                <option key={stage.key} value={stage.key}>
+                  {stage.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Estimated value</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={formData.value}
+              onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+              placeholder="e.g., 12000"
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Products</label>
+          <input
+            type="text"
+            value={formData.products}
+            onChange={(e) => setFormData({ ...formData, products: e.target.value })}
+            placeholder="e.g., Calacatta Avenza, Harmony gold"
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expected close date</label>
+          <input
+            type="date"
+            value={formData.expectedCloseDate}
+            onChange={(e) => setFormData({ ...formData, expectedCloseDate: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            rows={3}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
+          {submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  // =========================
+  // Add Opportunity View
+  // =========================
+  const AddOpportunityView = () => {
+    if (!selectedClient) return null;
+
+    const handleSubmit = async (values) => {
+      try {
+        await opportunityRepo.add({ ...values, clientId: selectedClient.id, createdAt: todayKey() });
+      } catch (err) {
+        alert(`Could not save the opportunity.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      setCurrentView("clientDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clientDetail")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">New Opportunity</h1>
+        <p className="text-gray-600 mb-6">Client: {selectedClient.name}</p>
+
+        <OpportunityForm
+          initialValues={emptyOpportunity(selectedClient.id)}
+          submitLabel="Save Opportunity"
+          onSubmit={handleSubmit}
+        />
+      </div>
+    );
+  };
+
+  // =========================
+  // Edit Opportunity View
+  // =========================
+  const EditOpportunityView = () => {
+    if (!selectedOpportunity) return null;
+
+    const client = clients.find((c) => c.id === selectedOpportunity.clientId);
+    const linkedVisits = visits.filter((v) => v.opportunityId === selectedOpportunity.id);
+
+    const goBack = () => {
+      setSelectedOpportunity(null);
+      setCurrentView(opportunityReturnView);
+    };
+
+    const handleSubmit = async (values) => {
+      try {
+        await opportunityRepo.put({ ...selectedOpportunity, ...values });
+      } catch (err) {
+        alert(`Could not save the opportunity.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      goBack();
+    };
+
+    const handleDelete = async () => {
+      const ok = confirm(
+        `Delete "${selectedOpportunity.title}"?` +
+          (linkedVisits.length > 0
+            ? `\n\n${linkedVisits.length} visit${linkedVisits.length === 1 ? " is" : "s are"} kept, just no longer linked to it.`
+            : "")
+      );
+      if (!ok) return;
+
+      try {
+        await opportunityRepo.delete(selectedOpportunity.id);
+      } catch (err) {
+        alert(`Could not delete "${selectedOpportunity.title}".\n${err?.message || err}`);
+        return;
+      }
+      offerUndo(`"${selectedOpportunity.title}" deleted`, auditRepo.lastBatch());
+      await loadData();
+      goBack();
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={goBack} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Edit Opportunity</h1>
+        {client && (
+          <button
+            onClick={() => {
+              setSelectedClient(client);
+              setCurrentView("clientDetail");
+            }}
+            className="text-blue-600 hover:text-blue-800 mb-6"
+          >
+            Client: {client.name}
+          </button>
+        )}
+
+        <OpportunityForm
+          initialValues={{
+            ...emptyOpportunity(selectedOpportunity.clientId),
+            ...selectedOpportunity,
+            value: selectedOpportunity.value ? String(selectedOpportunity.value) : ""
+          }}
+          submitLabel="Save Changes"
+          onSubmit={handleSubmit}
+        />
+
+        {linkedVisits.length > 0 && (
+          <div className="mt-6">
+            <h2 className="font-semibold text-gray-800 mb-3">Visits</h2>
+            {linkedVisits
+              .sort((a, b) => compareDateKeysDesc(a.date, b.date))
+              .map((visit) => (
+                <div key={visit.id} className="border rounded-lg p-3 mb-2 bg-white">
+                  <span className="text-xs text-gray-500">
+                    {formatDate(visit.date)} · {visit.touchType}
+                  </span>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap mt-1">{visit.note}</p>
+                </div>
+              ))}
+          </div>
+        )}
+
+        <button
+          onClick={handleDelete}
+          className="w-full mt-3 border border-red-300 text-red-600 py-3 rounded-lg font-semibold flex items-center justify-center gap-2 hover:bg-red-50"
+        >
+          <Trash2 size={18} />
+          Delete Opportunity
+        </button>
+      </div>
+    );
+  };
+
+  // =========================
+  // Quote Form (shared by add / edit)
+  // =========================
+  const QuoteForm = ({ initialValues, submitLabel, onSubmit }) => {
+    const [formData, setFormData] = useState(initialValues);
+    const productsByName = new Map(products.map((p) => [p.name.toLowerCase(), p]));
+
+    const updateItem = (index, changes) =>
+      setFormData({
+        ...formData,
+        items: formData.items.map((item, i) => (i === index ? { ...item, ...changes } : item))
+      });
+
+    // A description that is exactly a catalog name links the line to that product
+    const setDescription = (index, description) =>
+      updateItem(index, { description, productId: productsByName.get(description.trim().toLowerCase())?.id ?? null });
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      const items = formData.items
+        .map((item) => ({
+          ...item,
+          description: item.description.trim(),
+          quantity: Number(item.quantity) || 1,
+          unitPrice: parseValue(item.unitPrice)
+        }))
+        .filter((item) => item.description);
+      onSubmit({ ...formData, items, notes: formData.notes.trim() });
+    };
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={formData.kind}
+              onChange={(e) => setFormData({ ...formData, kind: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {QUOTE_KINDS.map((kind) => (
+                <option key={kind.key} value={kind.key}>
+                  {kind.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={formData.status}
+              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {QUOTE_STATUSES.map((status) => (
+                <option key={status.key} value={status.key}>
+                  {status.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Items</label>
+          <datalist id="quote-products">
+            {products.map((product) => (
+              <option key={product.id} value={product.name} />
+            ))}
+          </datalist>
+
+          <div className="space-y-2">
+            {formData.items.map((item, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  list="quote-products"
+                  value={item.description}
+                  onChange={(e) => setDescription(index, e.target.value)}
+                  placeholder="Product or description"
+                  className="flex-1 min-w-0 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={item.quantity}
+                  onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                  aria-label="Quantity"
+                  className="w-16 px-2 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={item.unitPrice}
+                  onChange={(e) => updateItem(index, { unitPrice: e.target.value })}
+                  placeholder="Price"
+                  aria-label="Unit price"
+                  className="w-24 px-2 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, items: formData.items.filter((_, i) => i !== index) })}
+                  aria-label="Remove item"
+                  className="text-gray-500 hover:text-red-600"
+                >
+                  <X size={18} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between mt-2">
+            <button
+              type="button"
+              onClick={() => setFormData({ ...formData, items: [...formData.items, emptyQuoteItem()] })}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Plus size={16} />
+              <span>Add item</span>
+            </button>
+            <span className="text-sm text-gray-700">
+              Total:{" "}
+              {formatValue(
+                quoteTotal({ items: formData.items.map((i) => ({ ...i, unitPrice: parseValue(i.unitPrice) })) })
+              )}
+            </span>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Valid until</label>
+          <input
+            type="date"
+            value={formData.validUntil}
+            onChange={(e) => setFormData({ ...formData, validUntil: e.target.value })}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            A follow-up is added {QUOTE_EXPIRY_LEAD_DAYS} days before this date while it is still pending.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            rows={3}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
+          {submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  // =========================
+  // Add Quote View
+  // =========================
+  const AddQuoteView = () => {
+    if (!selectedClient) return null;
+
+    const goBack = () => {
+      setQuoteVisit(null);
+      setCurrentView(quoteVisit ? "editVisit" : "clientDetail");
+    };
+
+    const handleSubmit = async (values) => {
+      try {
+        await quoteRepo.add({ ...values, createdAt: todayKey() });
+      } catch (err) {
+        alert(`Could not save the ${kindLabel(values.kind).toLowerCase()}.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      goBack();
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={goBack} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Log Quote / Sample</h1>
+        <p className="text-gray-600 mb-6">
+          Client: {selectedClient.name}
+          {quoteVisit && ` · ${quoteVisit.touchType} on ${formatDate(quoteVisit.date)}`}
+        </p>
+
+        <QuoteForm
+          initialValues={emptyQuote(selectedClient.id, quoteVisit?.id ?? null)}
+          submitLabel="Save"
+          onSubmit={handleSubmit}
+        />
+      </div>
+    );
+  };
+
+  // =========================
+  // Edit Quote View
+  // =========================
+  const EditQuoteView = () => {
+    if (!selectedQuote) return null;
+
+    const goBack = () => {
+      setSelectedQuote(null);
+      setCurrentView("clientDetail");
+    };
+
+    const handleSubmit = async (values) => {
+      try {
+        await quoteRepo.put(
+          { ...selectedQuote, ...values },
+          { resetReminder: values.validUntil !== selectedQuote.validUntil }
+        );
+      } catch (err) {
+        alert(`Could not save the ${kindLabel(values.kind).toLowerCase()}.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      goBack();
+    };
+
+    const handleDelete = async () => {
+      if (!confirm(`Delete this ${kindLabel(selectedQuote.kind).toLowerCase()}?`)) return;
+
+      try {
+        await quoteRepo.delete(selectedQuote);
+      } catch (err) {
+        alert(`Could not delete the ${kindLabel(selectedQuote.kind).toLowerCase()}.\n${err?.message || err}`);
+        return;
+      }
+      offerUndo(`${kindLabel(selectedQuote.kind)} deleted`, auditRepo.lastBatch());
+      await loadData();
+      goBack();
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={goBack} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Edit {kindLabel(selectedQuote.kind)}</h1>
+        <p className="text-gray-600 mb-6">
+          Client: {selectedClient?.name}
+          {selectedQuote.createdAt && ` · logged ${formatDate(selectedQuote.createdAt)}`}
+        </p>
+
+        <QuoteForm
+          initialValues={{
+            ...emptyQuote(selectedQuote.clientId),
+            ...selectedQuote,
+            items: selectedQuote.items.map((item) => ({
+              ...item,
+              unitPrice: item.unitPrice ? String(item.unitPrice) : ""
+            }))
+          }}
+          submitLabel="Save Changes"
+          onSubmit={handleSubmit}
+        />
+
+        <button
+          onClick={handleDelete}
+          className="w-full mt-3 border border-red-300 text-red-600 py-3 rounded-lg font-semibold flex items-center justify-center gap-2 hover:bg-red-50"
+        >
+          <Trash2 size={18} />
+          Delete
+        </button>
+      </div>
+    );
+  };
+
+  // =========================
+  // Pipeline View (board by stage)
+  // =========================
+  const PipelineView = () => {
+    const { byStage, openValue } = pipelineTotals(opportunities);
+    const openCount = opportunities.filter(isOpenOpportunity).length;
+    const today = todayKey();
+
+    const handleMoveStage = async (opportunity, stage) => {
+      try {
+        await opportunityRepo.put({ ...opportunity, stage });
+      } catch (err) {
+        alert(`Could not move "${opportunity.title}" to ${stageLabel(stage)}.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+    };
+
+    return (
+      <div className="pt-4">
+        <h1 className="text-2xl font-bold mb-1">Pipeline</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          {formatValue(openValue)} open across {openCount} {openCount === 1 ? "opportunity" : "opportunities"}
+        </p>
+
+        {opportunities.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Briefcase size={48} className="mx-auto mb-4 opacity-50" />
+            <p>No opportunities yet</p>
+            <p className="text-sm mt-2">Add one from a client's page</p>
+          </div>
+        ) : (
+          <div className="flex gap-3 overflow-x-auto pb-4 -mx-4 px-4">
+            {OPPORTUNITY_STAGES.map((stage) => {
+              const stageOpportunities = opportunities
+                .filter((o) => o.stage === stage.key)
+                .sort((a, b) => compareDateKeys(a.expectedCloseDate, b.expectedCloseDate));
+
+              return (
+                <div key={stage.key} className="w-64 shrink-0 bg-gray-100 rounded-lg p-3">
+                  <div className="mb-3">
+                    <h2 className="font-semibold text-gray-800">{stage.label}</h2>
+                    <p className="text-xs text-gray-600">
+                      {byStage[stage.key].count} · {formatValue(byStage[stage.key].value)}
+                    </p>
+                  </div>
+
+                  {stageOpportunities.map((opportunity) => {
+                    const client = clients.find((c) => c.id === opportunity.clientId);
+                    const isLate =
+                      isOpenOpportunity(opportunity) &&
+                      opportunity.expectedCloseDate &&
+                      opportunity.expectedCloseDate < today;
+
+                    return (
+                      <div
+                        key={opportunity.id}
+                        onClick={() => openOpportunity(opportunity, "pipeline")}
+                        className="bg-white border rounded-lg p-3 mb-2 cursor-pointer hover:shadow-md transition-shadow"
+                      >
+                        <p className="text-sm font-medium text-gray-800 break-words">{opportunity.title}</p>
+                        <p className="text-xs text-gray-600">{client?.name}</p>
+                        <p className="text-xs text-gray-700 mt-1">{formatValue(opportunity.value)}</p>
+                        {opportunity.expectedCloseDate && (
+                          <p className={`text-xs mt-1 ${isLate ? "text-red-600" : "text-gray-500"}`}>
+                            Closes {formatDate(opportunity.expectedCloseDate)}
+                          </p>
+                        )}
+
+                        <select
+                          value={opportunity.stage}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={(e) => handleMoveStage(opportunity, e.target.value)}
+                          className="w-full mt-2 px-2 py-1 border rounded text-xs text-gray-700"
+                        >
+                          {OPPORTUNITY_STAGES.map((s) => (
+                            <option key={s.key} value={s.key}>
+                              {s.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // =========================
+  // Products View (catalog)
+  // =========================
+  const ProductsView = () => {
+    const [query, setQuery] = useState("");
+    const shown = query.trim() ? searchProducts(products, query, products.length) : products;
+    const links = planProductLinks(visits, products);
+
+    const mentionCount = (productId) => visits.filter((v) => v.productIds?.includes(productId)).length;
+
+    const handleLinkVisits = async () => {
+      const ok = confirm(
+        `${links.length} visit${links.length === 1 ? "" : "s"} mention catalog products in the free-text products field. ` +
+          "Link them to the catalog? Names that don't match stay as text."
+      );
+      if (!ok) return;
+
+      try {
+        await visitRepo.putMany(links.map(applyProductLink));
+      } catch (err) {
+        alert(`Could not link the visits, none were changed.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      alert(`${links.length} visits linked to the catalog.`);
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Products</h1>
+
+        <div className="relative mb-4">
+          <Search className="absolute left-3 top-3 text-gray-400" size={20} />
+          <input
+            type="text"
+            placeholder="Search by name or SKU..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="w-full pl-10 pr-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div className="mb-4 flex gap-2 flex-wrap">
+          <button
+            onClick={() => setCurrentView("addProduct")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Plus size={18} />
+            <span className="text-sm">Add Product</span>
+          </button>
+
+          <button
+            onClick={() => setCurrentView("importProducts")}
+            className="flex-1 min-w-[140px] flex items-center justify-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600"
+          >
+            <Upload size={18} />
+            <span className="text-sm">Import Products</span>
+          </button>
+        </div>
+
+        {links.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 flex items-center justify-between gap-3">
+            <p className="text-sm text-gray-700">
+              {links.length} older visit{links.length === 1 ? "" : "s"} name catalog products as free text
+            </p>
+            <button
+              onClick={handleLinkVisits}
+              className="text-sm font-semibold text-blue-600 hover:text-blue-800 whitespace-nowrap"
+            >
+              Link them
+            </button>
+          </div>
+        )}
+
+        {shown.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Package size={48} className="mx-auto mb-4 opacity-50" />
+            <p>{products.length === 0 ? "No products yet" : "No matching products"}</p>
+            {products.length === 0 && <p className="text-sm mt-2">Add them one by one or import a price list CSV</p>}
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {shown.map((product) => (
+              <div
+                key={product.id}
+                onClick={() => {
+                  setSelectedProduct(product);
+                  setCurrentView("productDetail");
+                }}
+                className="border rounded-lg p-3 bg-white cursor-pointer hover:shadow-md transition-shadow"
+              >
+                <div className="flex justify-between items-start gap-3">
+                  <p className="font-medium text-gray-800">{product.name}</p>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{mentionCount(product.id)} visits</span>
+                </div>
+                <p className="text-xs text-gray-600 mt-1">
+                  {[product.sku, product.category, product.finish, product.priceTier].filter(Boolean).join(" · ")}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // =========================
+  // Product Form (shared by add / edit)
+  // =========================
+  const ProductForm = ({ initialValues, submitLabel, onSubmit }) => {
+    const [formData, setFormData] = useState(initialValues);
+
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      onSubmit({ ...formData, name: formData.name.trim() });
+    };
+
+    const field = (key, label, placeholder) => (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+        <input
+          type="text"
+          value={formData[key]}
+          onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+          placeholder={placeholder}
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required={key === "name"}
+        />
+      </div>
+    );
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {field("name", "Name", "e.g., Calacatta Avenza")}
+        <div className="grid grid-cols-2 gap-3">
+          {field("sku", "SKU", "e.g., CAL-AV-3CM")}
+          {field("category", "Category", "e.g., Quartz")}
+          {field("finish", "Finish", "e.g., Polished")}
+          {field("priceTier", "Price tier", "e.g., Group C")}
+        </div>
+
+        <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
+          {submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  // =========================
+  // Add Product View
+  // =========================
+  const AddProductView = () => {
+    const handleSubmit = async (values) => {
+      let id;
+      try {
+        id = await productRepo.add(values);
+      } catch (err) {
+        alert(`Could not add the product.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      setSelectedProduct({ id, ...values });
+      setCurrentView("productDetail");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("products")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Add Product</h1>
+
+        <ProductForm initialValues={emptyProduct()} submitLabel="Save Product" onSubmit={handleSubmit} />
+      </div>
+    );
+  };
+
+  // =========================
+  // Product Detail View (who asked about it)
+  // =========================
+  const ProductDetailView = () => {
+    const [productVisits, setProductVisits] = useState([]);
+    const [period, setPeriod] = useState("all");
+    const [isEditing, setIsEditing] = useState(false);
+
+    useEffect(() => {
+      if (!selectedProduct) return;
+
+      visitRepo.getByProduct(selectedProduct.id).then((v) => {
+        setProductVisits(v.sort((a, b) => compareDateKeysDesc(a.date, b.date)));
+      });
+    }, []);
+
+    if (!selectedProduct) return null;
+
+    const since = MENTION_PERIODS.find((p) => p.key === period).since(todayKey());
+    const inPeriod = productVisits.filter((v) => !since || (v.date && v.date >= since));
+
+    // Grouped by client, most recent mention first (visits are already sorted)
+    const byClient = [];
+    inPeriod.forEach((visit) => {
+      let group = byClient.find((g) => g.clientId === visit.clientId);
+      if (!group) {
+        group = { clientId: visit.clientId, client: clients.find((c) => c.id === visit.clientId), visits: [] };
+        byClient.push(group);
+      }
+      group.visits.push(visit);
+    });
+
+    const handleSave = async (values) => {
+      const updated = { ...selectedProduct, ...values };
+      try {
+        await productRepo.put(updated);
+      } catch (err) {
+        alert(`Could not save the product.\n${err?.message || err}`);
+        return;
+      }
+      await loadData();
+      setSelectedProduct(updated);
+    };
+
+    const handleDelete = async () => {
+      const ok = confirm(
+        `Delete ${selectedProduct.name} from the catalog?` +
+          (productVisits.length > 0
+            ? `\n\n${productVisits.length} visit${productVisits.length === 1 ? "" : "s"} keep the name as text.`
+            : "")
+      );
+      if (!ok) return;
+
+      try {
+        await productRepo.delete(selectedProduct.id);
+      } catch (err) {
+        alert(`Could not delete ${selectedProduct.name}.\n${err?.message || err}`);
+        return;
+      }
+      offerUndo(`${selectedProduct.name} deleted`, auditRepo.lastBatch());
+      setSelectedProduct(null);
+      await loadData();
+      setCurrentView("products");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("products")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        {isEditing ? (
+          <div className="mb-6">
+            <h1 className="text-2xl font-bold mb-6">Edit Product</h1>
+            <ProductForm
+              initialValues={{ ...emptyProduct(), ...selectedProduct }}
+              submitLabel="Save Changes"
+              onSubmit={handleSave}
+            />
+          </div>
+        ) : (
+          <>
+            <h1 className="text-2xl font-bold">{selectedProduct.name}</h1>
+            <p className="text-sm text-gray-600 mb-4">
+              {[selectedProduct.sku, selectedProduct.category, selectedProduct.finish, selectedProduct.priceTier]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+
+            <div className="flex gap-3 mb-6">
+              <button
+                onClick={() => setIsEditing(true)}
+                className="flex-1 border border-gray-300 bg-white text-gray-700 py-2 rounded-lg flex items-center justify-center gap-2 hover:bg-gray-50"
+              >
+                <Pencil size={16} />
+                <span className="text-sm">Edit</span>
+              </button>
+
+              <button
+                onClick={handleDelete}
+                className="flex-1 border border-red-300 bg-white text-red-600 py-2 rounded-lg flex items-center justify-center gap-2 hover:bg-red-50"
+              >
+                <Trash2 size={16} />
+                <span className="text-sm">Delete</span>
+              </button>
+            </div>
+          </>
+        )}
+
+        <div className="flex items-center justify-between gap-3 mb-3">
+          <h2 className="font-semibold text-gray-800">
+            Mentioned by {byClient.length} client{byClient.length === 1 ? "" : "s"}
+          </h2>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="border rounded px-2 py-1 text-sm"
+          >
+            {MENTION_PERIODS.map((p) => (
+              <option key={p.key} value={p.key}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {byClient.length === 0 && <p className="text-sm text-gray-500">No visits in this period.</p>}
+
+        {byClient.map((group) => (
+          <div key={group.clientId} className="bg-white border rounded-lg p-3 mb-3">
+            <button
+              onClick={() => {
+                if (!group.client) return;
+                setSelectedClient(group.client);
+                setCurrentView("clientDetail");
+              }}
+              className="font-semibold text-gray-800 hover:text-blue-600"
+            >
+              {group.client?.name || "Unknown client"}
+            </button>
+
+            {group.visits.map((visit) => (
+              <div
+                key={visit.id}
+                onClick={() => {
+                  setSelectedClient(group.client);
+                  setSelectedVisit(visit);
+                  setCurrentView("editVisit");
+                }}
+                className="border-t mt-2 pt-2 cursor-pointer"
+              >
+                <p className="text-xs text-gray-500">
+                  {formatDate(visit.date)} · {visit.touchType}
+                  {visit.signal && ` · ${visit.signal}`}
+                </p>
+                <p className="text-sm text-gray-700 line-clamp-2">{visit.note}</p>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // =========================
+  // Import Wizard (CSV → mapping → preview)
+  // =========================
+  const ImportView = ({ type }) => {
+    const [step, setStep] = useState("pick");
+    const [fileName, setFileName] = useState("");
+    const [headers, setHeaders] = useState([]);
+    const [records, setRecords] = useState([]);
+    const [mapping, setMapping] = useState([]);
+    const [usedSavedMapping, setUsedSavedMapping] = useState(false);
+    const [rowActions, setRowActions] = useState({});
+    // Clients to match against (clients / visits), or the catalog (products)
+    const [existingRecords, setExistingRecords] = useState([]);
+    const [matchNearMisses, setMatchNearMisses] = useState(true);
+    const [createMissingClients, setCreateMissingClients] = useState(false);
+    const [dateOrder, setDateOrder] = useState("auto");
+    const [isImporting, setIsImporting] = useState(false);
+
+    const fields = IMPORT_FIELDS[type];
+    const label = { clients: "Clients", visits: "Visits", products: "Products" }[type];
+    // Client and product rows can update a record that already exists
+    const hasRowActions = type !== "visits";
+    const exitView = type === "products" ? "products" : "clients";
+    const missing = missingRequiredFields(type, mapping);
+
+    const handleSelectFile = (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+
+      reader.onload = async (event) => {
+        const parsed = parseCSV(event.target.result);
+        if (parsed.length < 2) {
+          alert("That file has no data rows.");
+          return;
+        }
+
+        const headerCells = parsed[0].cells.map((h) => h.trim());
+        const saved = loadSavedMapping(type, headerCells);
+
+        // Match against what's in the database right now, not React state
+        setExistingRecords(await (type === "products" ? productRepo.getAll() : clientRepo.getAll()));
+        setFileName(file.name);
+        setHeaders(headerCells);
+        setRecords(parsed.slice(1));
+        setMapping(saved || guessMapping(type, headerCells));
+        setUsedSavedMapping(!!saved);
+        setStep("map");
+      };
+
+      reader.readAsText(file);
+      e.target.value = "";
+    };
+
+    const detectedDayFirst = type === "visits" && detectVisitDayFirst(records, mapping);
+    const dayFirst = dateOrder === "auto" ? detectedDayFirst : dateOrder === "dmy";
+
+    const plan =
+      step === "preview"
+        ? type === "clients"
+          ? planClientImport(records, mapping, existingRecords)
+          : type === "products"
+            ? planProductImport(records, mapping, existingRecords)
+            : planVisitImport(records, mapping, existingRecords, { matchNearMisses, createMissingClients, dayFirst })
+        : null;
+
+    const actionFor = (row) => rowActions[row.line] || row.action || "create";
+    const countAction = (action) => (plan ? plan.create.filter((row) => actionFor(row) === action).length : 0);
+    const toWrite = plan ? plan.create.filter((row) => actionFor(row) !== "skip") : [];
+
+    const handleImport = async () => {
+      setIsImporting(true);
+      saveMapping(type, headers, mapping);
+
+      // One transaction for the whole file: a failure leaves the database untouched
+      try {
+        if (type === "visits") {
+          await importBatch({
+            newClients: plan.newClients,
+            visits: toWrite.map((row) => ({
+              record: row.record,
+              newClientKey: row.matchType === "new" ? row.newClientKey : undefined
+            }))
+          });
+        } else if (type === "products") {
+          await productRepo.importBatch({
+            newProducts: toWrite.filter((row) => actionFor(row) === "create").map((row) => row.record),
+            productUpdates: toWrite
+              .filter((row) => actionFor(row) === "update")
+              .map((row) => ({ id: row.match.id, update: (stored) => applyClientUpdate(stored, row.values) }))
+          });
+        } else {
+          await importBatch(buildClientImportBatch(toWrite, actionFor));
+        }
+      } catch (err) {
+        setIsImporting(false);
+        alert(`Import failed, nothing was saved.\n${err?.message || err}`);
+        return;
+      }
+
+      await loadData();
+      const skipped = plan.skipped.length + countAction("skip");
+      alert(
+        (hasRowActions
+          ? `${countAction("create")} ${type} created, ${countAction("update")} updated`
+          : `${toWrite.length} visits imported successfully!` +
+            (plan.newClients.length > 0 ? `\n${plan.newClients.length} new clients created` : "")) +
+          (skipped > 0 ? `\n${skipped} rows skipped` : "")
+      );
+      setCurrentView(exitView);
+    };
+
+    const previewColumns =
+      type === "clients"
+        ? [
+            ["name", "Client"],
+            ["city", "City"],
+            ["state", "State"],
+            ["contact", "Contact"],
+            ["segment", "Segment"],
+            ["status", "Status"]
+          ]
+        : type === "products"
+          ? [
+              ["name", "Product"],
+              ["sku", "SKU"],
+              ["category", "Category"],
+              ["finish", "Finish"],
+              ["priceTier", "Price Tier"]
+            ]
+          : [
+              ["clientName", "Client"],
+              ["date", "Date"],
+              ["touchType", "Type"],
+              ["outcome", "Outcome"],
+              ["signal", "Signal"],
+              ["followUpDate", "Follow-up"]
+            ];
+
+    return (
+      <div className="pt-4 max-w-3xl mx-auto">
+        <button
+          onClick={() => (step === "pick" ? setCurrentView(exitView) : setStep(step === "preview" ? "map" : "pick"))}
+          className="mb-4"
+        >
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-2">Import {label}</h1>
+        {fileName && <p className="text-sm text-gray-600 mb-6">{fileName}</p>}
+
+        {step === "pick" && (
+          <label className="block cursor-pointer mt-6">
+            <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleSelectFile} className="hidden" />
+            <div className="flex flex-col items-center justify-center gap-2 px-4 py-10 border-2 border-dashed rounded-lg text-gray-700 hover:bg-gray-50">
+              <Upload size={28} />
+              <span className="text-sm">Choose a CSV file</span>
+              <span className="text-xs text-gray-500">Expected columns: {fields.map((f) => f.label).join(", ")}</span>
+            </div>
+          </label>
+        )}
+
+        {step === "map" && (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              Match each column to a CRM field.
+              {usedSavedMapping && " Using the mapping you saved for this sheet layout."}
+            </p>
+
+            <div className="space-y-3 mb-6">
+              {headers.map((header, idx) => (
+                <div
+                  key={idx}
+                  className="bg-white border rounded-lg p-3 flex flex-col sm:flex-row sm:items-center gap-3"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-800 truncate">{header || `Column ${idx + 1}`}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {records
+                        .slice(0, 3)
+                        .map((r) => r.cells[idx])
+                        .filter(Boolean)
+                        .join(" · ") || "(empty)"}
+                    </p>
+                  </div>
+
+                  <select
+                    value={mapping[idx]}
+                    onChange={(e) => setMapping(mapping.map((m, i) => (i === idx ? e.target.value : m)))}
+                    className="sm:w-48 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">— Ignore —</option>
+                    {fields.map((f) => (
+                      <option key={f.key} value={f.key}>
+                        {f.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {missing.length > 0 && (
+              <p className="text-sm text-red-600 mb-3">Map a column to: {missing.map((f) => f.label).join(", ")}</p>
+            )}
+
+            <button
+              onClick={() => setStep("preview")}
+              disabled={missing.length > 0}
+              className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+            >
+              Preview Import
+            </button>
+          </>
+        )}
+
+        {step === "preview" && plan && (
+          <>
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4 text-sm text-gray-700">
+              {hasRowActions ? (
+                <>
+                  <span className="font-medium">{countAction("create")}</span> new,{" "}
+                  <span className="font-medium">{countAction("update")}</span> updated,{" "}
+                  <span className="font-medium">{plan.skipped.length + countAction("skip")}</span> skipped
+                </>
+              ) : (
+                <>
+                  <span className="font-medium">{plan.create.length}</span> visits will be created
+                  {plan.skipped.length > 0 && (
+                    <>
+                      , <span className="font-medium">{plan.skipped.length}</span> rows skipped
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+
+            {hasRowActions && plan.create.some((row) => row.match) && (
+              <p className="text-xs text-gray-600 mb-4">
+                Rows that match a {type === "products" ? "product" : "client"} you already have
+                {type === "clients" ? ", or one an earlier row creates," : ""} are set to update it (only non-empty
+                cells are copied). Change any of them to skip or create a new one.
+              </p>
+            )}
+
+            {type === "visits" && (
+              <div className="bg-white border rounded-lg p-3 mb-4 space-y-2">
+                <label className="flex items-center justify-between gap-3 text-sm">
+                  <span>Numeric dates like 05/01/2025 are</span>
+                  <select
+                    value={dateOrder}
+                    onChange={(e) => setDateOrder(e.target.value)}
+                    className="border rounded px-2 py-1"
+                  >
+                    <option value="auto">Auto ({detectedDayFirst ? "day" : "month"} first)</option>
+                    <option value="mdy">Month first (M/D/Y)</option>
+                    <option value="dmy">Day first (D/M/Y)</option>
+                  </select>
+                </label>
+                <label className="flex items-start gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={matchNearMisses}
+                    onChange={(e) => setMatchNearMisses(e.target.checked)}
+                    className="mt-1"
+                  />
+                  <span>Match near-miss names (e.g. "ABC Granite" and "ABC Granite Inc.")</span>
+                </label>
+                <label className="flex items-start gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={createMissingClients}
+                    onChange={(e) => setCreateMissingClients(e.target.checked)}
+                    className="mt-1"
+                  />
+                  <span>
+                    Create clients that don't exist yet
+                    {plan.newClients.length > 0 && ` (${plan.newClients.length} new)`}
+                  </span>
+                </label>
+              </div>
+            )}
+
+            {plan.skipped.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+                <div className="flex justify-between items-center gap-3 mb-1">
+                  <p className="text-sm font-medium text-gray-800">Skipped rows</p>
+                  <button
+                    onClick={() =>
+                      downloadFile(
+                        toCSV(buildErrorReport(headers, plan.skipped)),
+                        `${fileName.replace(/\.[^.]+$/, "")}-errors.csv`,
+                        "text/csv;charset=utf-8"
+                      )
+                    }
+                    className="text-blue-600 hover:text-blue-800 flex items-center gap-1 text-xs whitespace-nowrap"
+                  >
+                    <FileDown size={14} />
+                    Error report
+                  </button>
+                </div>
+                <ul className="text-xs text-gray-700 max-h-40 overflow-y-auto">
+                  {plan.skipped.map((row) => (
+                    <li key={row.line}>
+                      Line {row.line}: {row.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="overflow-x-auto bg-white border rounded-lg mb-6 max-h-96 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="text-left px-3 py-2 font-medium text-gray-600">Line</th>
+                    {hasRowActions && <th className="text-left px-3 py-2 font-medium text-gray-600">Action</th>}
+                    {previewColumns.map(([, heading]) => (
+                      <th key={heading} className="text-left px-3 py-2 font-medium text-gray-600">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.create.map((row) => (
+                    <tr key={row.line} className={`border-t ${actionFor(row) === "skip" ? "opacity-50" : ""}`}>
+                      <td className="px-3 py-2 text-gray-400">{row.line}</td>
+                      {hasRowActions && (
+                        <td className="px-3 py-2 whitespace-nowrap">
+                          {row.match ? (
+                            <>
+                              <select
+                                value={actionFor(row)}
+                                onChange={(e) => setRowActions({ ...rowActions, [row.line]: e.target.value })}
+                                className="border rounded px-1 py-1"
+                              >
+                                {CLIENT_ROW_ACTIONS.map((action) => (
+                                  <option key={action} value={action}>
+                                    {action === "update" ? "Update" : action === "skip" ? "Skip" : "Create new"}
+                                  </option>
+                                ))}
+                              </select>
+                              <p className="text-gray-500 mt-1">
+                                matches {row.match.name}
+                                {row.matchedLine ? ` from line ${row.matchedLine}` : ""} ({row.matchedOn})
+                              </p>
+                            </>
+                          ) : (
+                            <span className="text-green-700">New</span>
+                          )}
+                        </td>
+                      )}
+                      {previewColumns.map(([key]) => (
+                        <td key={key} className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                          {key === "clientName" ? (
+                            <>
+                              {row.clientName}
+                              {row.matchType === "fuzzy" && <span className="ml-1 text-yellow-700">(near match)</span>}
+                              {row.matchType === "new" && <span className="ml-1 text-green-700">(new client)</span>}
+                            </>
+                          ) : (
+                            row.record[key]
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <button
+              onClick={handleImport}
+              disabled={isImporting || toWrite.length === 0}
+              className="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50"
+            >
+              {isImporting ? "Importing..." : `Import ${toWrite.length} ${label}`}
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // =========================
+  // Find Duplicates View
+  // =========================
+  const DuplicatesView = () => {
+    const groups = findDuplicateGroups(clients);
+    const [keepIds, setKeepIds] = useState({});
+
+    const keepIdFor = (group) => keepIds[group[0].id] ?? group[0].id;
+
+    const handleMerge = async (group) => {
+      const keepId = keepIdFor(group);
+      const others = group.filter((c) => c.id !== keepId);
+      const ok = confirm(
+        `Merge ${others.map((c) => c.name).join(", ")} into ${group.find((c) => c.id === keepId).name}?` +
+          "\n\nTheir visits move over and the other records are deleted."
+      );
+      if (!ok) return;
+
+      // Work from the stored records so derived fields from loadData never get persisted
+      const stored = await Promise.all(group.map((c) => clientRepo.get(c.id)));
+      const primary = stored.find((c) => c.id === keepId);
+      const merged = mergeClientRecords(
+        primary,
+        stored.filter((c) => c.id !== keepId)
+      );
+
+      await clientRepo.merge(
+        merged,
+        others.map((c) => c.id)
+      );
+      offerUndo(`Merged into ${merged.name}`, auditRepo.lastBatch());
+      await loadData();
+    };
+
+    return (
+      <div className="pt-4 max-w-3xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-2">Find Duplicates</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Clients sharing a name, phone number or email. Pick the record to keep; the others are merged into it and
+          their visits move over.
+        </p>
+
+        {groups.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <CheckCircle size={48} className="mx-auto mb-4 opacity-50" />
+            <p>No duplicates found</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {groups.map((group) => (
+            <div key={group[0].id} className="bg-white border rounded-lg p-4">
+              {group.map((client) => (
+                <label key={client.id} className="flex items-start gap-3 py-2 border-b last:border-b-0 cursor-pointer">
+                  <input
+                    type="radio"
+                    name={`keep-${group[0].id}`}
+                    checked={keepIdFor(group) === client.id}
+                    onChange={() => setKeepIds({ ...keepIds, [group[0].id]: client.id })}
+                    className="mt-1"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-800 truncate">{client.name}</p>
+                    <p className="text-xs text-gray-600">
+                      {[client.city, client.state].filter(Boolean).join(", ")}
+                      {client.phone && ` · ${client.phone}`}
+                      {client.email && ` · ${client.email}`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {client.lastVisitDate ? `Last visit: ${formatDate(client.lastVisitDate)}` : "No visits"}
+                    </p>
+                  </div>
+                </label>
+              ))}
+
+              <button
+                onClick={() => handleMerge(group)}
+                className="w-full mt-3 bg-blue-600 text-white py-2 rounded-lg text-sm font-semibold hover:bg-blue-700"
+              >
+                Merge {group.length} records
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // =========================
+  // Backup View (export / restore)
+  // =========================
+  const BackupView = () => {
+    const [pendingBackup, setPendingBackup] = useState(null);
+    const [restoreErrors, setRestoreErrors] = useState([]);
+    const [restoreMode, setRestoreMode] = useState("merge");
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [autoBackups, setAutoBackups] = useState([]);
+
+    useEffect(() => {
+      listAutoBackups()
+        .then(setAutoBackups)
+        .catch(() => setAutoBackups([]));
+    }, []);
+
+    const handleExportBackup = async () => {
+      const backup = buildBackup(await exportAll());
+      const stamp = todayKey();
+      downloadFile(JSON.stringify(backup, null, 2), `fieldcrm-backup-${stamp}.json`, "application/json");
+    };
+
+    const handleDownloadAutoBackup = (snapshot) => {
+      const { id, ...backup } = snapshot;
+      const stamp = todayKey(new Date(backup.exportedAt));
+      downloadFile(JSON.stringify(backup, null, 2), `fieldcrm-auto-backup-${id}-${stamp}.json`, "application/json");
+    };
+
+    const handleSpreadsheetExport = (item, format) => {
+      const rows = item.buildRows(visits, clients, products);
+      const filename = `fieldcrm-${item.key}-${todayKey()}.${format}`;
+
+      if (format === "csv") {
+        // BOM so Excel opens UTF-8 (accents, emoji) correctly
+        downloadFile("\ufeff" + toCSV(rows), filename, "text/csv;charset=utf-8");
+      } else {
+        downloadFile(buildXlsx([{ name: item.label, rows }]), filename, XLSX_MIME);
+      }
+    };
+
+    const handleSelectBackup = (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+
+      reader.onload = (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.target.result);
+        } catch {
+          setPendingBackup(null);
+          setRestoreErrors(["File is not valid JSON"]);
+          return;
+        }
+
+        const errors = validateBackup(data);
+        setRestoreErrors(errors);
+        setPendingBackup(errors.length === 0 ? data : null);
+      };
+
+      reader.readAsText(file);
+      e.target.value = "";
+    };
+
+    const handleRestore = async () => {
+      if (restoreMode === "replace") {
+        const ok = confirm(
+          `Replace ALL data on this device with ${pendingBackup.clients.length} clients and ${pendingBackup.visits.length} visits from the backup?`
+        );
+        if (!ok) return;
+      }
+
+      setIsRestoring(true);
+      try {
+        // Older backups go through the same record backfills as an upgraded database
+        await restoreBackup(upgradeBackup(pendingBackup), restoreMode);
+      } catch (err) {
+        setIsRestoring(false);
+        alert(`Restore failed, nothing was changed.\n${err?.message || err}`);
+        return;
+      }
+
+      await loadData();
+      alert("Backup restored successfully!");
+      setCurrentView("clients");
+    };
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Backup & Export</h1>
+
+        <div className="bg-white border rounded-lg p-4 mb-6">
+          <h2 className="font-semibold text-gray-800 mb-1">Export backup</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Saves all {clients.length} clients and {visits.length} visits into one JSON file. Keep it somewhere off this
+            device (email, iCloud Drive).
+          </p>
+          <button
+            onClick={handleExportBackup}
+            className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700"
+          >
+            <Download size={18} />
+            Export Backup
+          </button>
+        </div>
+
+        <div className="bg-white border rounded-lg p-4 mb-6">
+          <h2 className="font-semibold text-gray-800 mb-1">Export to spreadsheet</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Same columns the importer reads, so files can be edited and imported back.
+          </p>
+
+          <div className="divide-y">
+            {SPREADSHEET_EXPORTS.map((item) => (
+              <div key={item.key} className="flex items-center justify-between gap-3 py-2">
+                <span className="text-sm font-medium text-gray-800">{item.label}</span>
+                <div className="flex gap-2">
+                  {["csv", "xlsx"].map((format) => (
+                    <button
+                      key={format}
+                      onClick={() => handleSpreadsheetExport(item, format)}
+                      className="flex items-center gap-1 px-3 py-1 border rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+                    >
+                      <FileDown size={14} />
+                      {format === "csv" ? "CSV" : "Excel"}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white border rounded-lg p-4">
+          <h2 className="font-semibold text-gray-800 mb-1">Restore</h2>
+          <p className="text-sm text-gray-600 mb-3">Pick a backup file to preview it before anything is written.</p>
+
+          <label className="block cursor-pointer">
+            <input type="file" accept=".json,application/json" onChange={handleSelectBackup} className="hidden" />
+            <div className="flex items-center justify-center gap-2 px-4 py-3 border-2 border-dashed rounded-lg text-gray-700 hover:bg-gray-50">
+              <Upload size={18} />
+              <span className="text-sm">Choose backup file</span>
+            </div>
+          </label>
+
+          {restoreErrors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 mt-4">
+              <p className="text-sm font-medium text-red-700 mb-1">This file can't be restored:</p>
+              <ul className="text-xs text-red-700 list-disc pl-5">
+                {restoreErrors.map((err) => (
+                  <li key={err}>{err}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {pendingBackup && (
+            <div className="mt-4">
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4 text-sm text-gray-700">
+                <p>
+                  <span className="font-medium">{pendingBackup.clients.length}</span> clients,{" "}
+                  <span className="font-medium">{pendingBackup.visits.length}</span> visits
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Exported {formatDate(pendingBackup.exportedAt)} · schema v{pendingBackup.schemaVersion}
+                </p>
+                {pendingBackup.schemaVersion < DB_VERSION && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Made by an older app version, it will be upgraded to schema v{DB_VERSION} while restoring.
+                  </p>
+                )}
+              </div>
+
+              <div className="space-y-2 mb-4">
+                <label className="flex items-start gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    checked={restoreMode === "merge"}
+                    onChange={() => setRestoreMode("merge")}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">Merge</span> – keep current data, records with the same id are
+                    overwritten by the backup
+                  </span>
+                </label>
+                <label className="flex items-start gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    checked={restoreMode === "replace"}
+                    onChange={() => setRestoreMode("replace")}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">Replace all</span> – delete everything on this device first
+                  </span>
+                </label>
+              </div>
+
+              <button
+                onClick={handleRestore}
+                disabled={isRestoring}
+                className="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50"
+              >
+                {isRestoring ? "Restoring..." : "Restore Backup"}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {autoBackups.length > 0 && (
+          <div className="bg-white border rounded-lg p-4 mt-6">
+            <h2 className="font-semibold text-gray-800 mb-1">Automatic backups</h2>
+            <p className="text-sm text-gray-600 mb-3">
+              Taken on this device before each app update that changed the database. Download one to restore it above.
+            </p>
+
+            <div className="divide-y">
+              {autoBackups.map((snapshot) => (
+                <div key={snapshot.id} className="flex items-center justify-between gap-3 py-2">
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-800">{formatDate(snapshot.exportedAt)}</p>
+                    <p className="text-xs text-gray-500">
+                      {snapshot.clients.length} clients · {snapshot.visits.length} visits · schema v
+                      {snapshot.schemaVersion}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDownloadAutoBackup(snapshot)}
+                    className="flex items-center gap-1 px-3 py-1 border rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    <Download size={14} />
+                    Download
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // =========================
+  // Settings View
+  // =========================
+  const SyncSettings = () => {
+    const [settings, setSettings] = useState(getSyncSettings);
+    const [form, setForm] = useState({ endpoint: settings.endpoint, token: settings.token });
+    const [pendingCount, setPendingCount] = useState(null);
+    const [isSyncing, setIsSyncing] = useState(false);
+
+    useEffect(() => {
+      if (settings.endpoint) countPendingChanges().then(setPendingCount);
+    }, [settings]);
+
+    const handleSyncNow = async () => {
+      setIsSyncing(true);
+      try {
+        await syncNow();
+      } catch {
+        // Shown below from settings.lastError
+      } finally {
+        setIsSyncing(false);
+        setSettings(getSyncSettings());
+      }
+    };
+
+    const handleEnable = async (e) => {
+      e.preventDefault();
+      await enableSync(form);
+      setSettings(getSyncSettings());
+      await handleSyncNow();
+    };
+
+    const handleDisable = async () => {
+      const ok = confirm(
+        "Turn off sync on this device?" +
+          (pendingCount > 0 ? `\n\n${pendingCount} change(s) not sent yet stay on this device only.` : "")
+      );
+      if (!ok) return;
+      await disableSync();
+      setSettings(getSyncSettings());
+    };
+
+    if (!settings.endpoint) {
+      return (
+        <form onSubmit={handleEnable} className="bg-white border rounded-lg p-4 mb-4 space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sync server</label>
+            <input
+              type="url"
+              value={form.endpoint}
+              onChange={(e) => setForm({ ...form, endpoint: e.target.value })}
+              placeholder="https://sync.example.com"
               className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
             />
           </div>
-
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Follow-up Date (optional)</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Token (if the server needs one)</label>
             <input
-              type="date"
-              value={formData.followUpDate}
-              onChange={(e) => setFormData({ ...formData, followUpDate: e.target.value })}
+              type="password"
+              value={form.token}
+              onChange={(e) => setForm({ ...form, token: e.target.value })}
               className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
-            <p className="text-xs text-gray-500 mt-1">Only set if there's a real deadline</p>
           </div>
-
-          <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">
-            Save Visit
+          <p className="text-xs text-gray-500">
+            Keeps this device in step with your other devices through a server you run yourself (npm run sync-server).
+            Everything already on this device is sent on the first sync.
+          </p>
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700"
+          >
+            Turn on sync
           </button>
         </form>
+      );
+    }
+
+    return (
+      <div className="bg-white border rounded-lg p-4 mb-4">
+        <div className="flex items-center justify-between gap-3 mb-2">
+          <span className="text-sm font-medium text-gray-700">Sync</span>
+          <span className="text-xs text-gray-500 truncate">{settings.endpoint}</span>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          {settings.lastSyncAt
+            ? `Last synced ${formatDate(settings.lastSyncAt)}, ${new Date(settings.lastSyncAt).toLocaleTimeString()}`
+            : "Not synced yet"}
+          {pendingCount > 0 && ` · ${pendingCount} change${pendingCount === 1 ? "" : "s"} waiting`}
+        </p>
+        {settings.lastError && <p className="text-sm text-red-600 mt-1">Last attempt failed: {settings.lastError}</p>}
+
+        <div className="flex gap-3 mt-3">
+          <button
+            onClick={handleSyncNow}
+            disabled={isSyncing}
+            className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSyncing ? "Syncing…" : "Sync now"}
+          </button>
+          <button
+            onClick={handleDisable}
+            className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+          >
+            Turn off
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const SettingsView = () => {
+    const [alarmLead, setAlarmLead] = useState(getAlarmLeadMinutes);
+    const [deviceName, setDeviceName] = useState(getDeviceName);
+    const sampleDate = todayKey();
+
+    return (
+      <div className="pt-4 max-w-2xl mx-auto">
+        <button onClick={() => setCurrentView("clients")} className="mb-4">
+          <ArrowLeft size={24} />
+        </button>
+
+        <h1 className="text-2xl font-bold mb-6">Settings</h1>
+
+        <div className="bg-white border rounded-lg p-4 mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Date format</label>
+          <select
+            value={locale}
+            onChange={(e) => {
+              setDisplayLocale(e.target.value);
+              setLocale(e.target.value);
+            }}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {DISPLAY_LOCALES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Today shows as {formatDate(sampleDate, locale)}</p>
+        </div>
+
+        <div className="bg-white border rounded-lg p-4 mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Calendar reminder</label>
+          <select
+            value={alarmLead}
+            onChange={(e) => {
+              setAlarmLeadMinutes(Number(e.target.value));
+              setAlarmLead(Number(e.target.value));
+            }}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {ALARM_LEAD_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Used for follow-ups added to the calendar. All-day follow-ups count from 9:00 AM that day.
+          </p>
+        </div>
+
+        <div className="bg-white border rounded-lg p-4 mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Device name</label>
+          <input
+            type="text"
+            value={deviceName}
+            onChange={(e) => setDeviceName(e.target.value)}
+            onBlur={() => {
+              saveDeviceName(deviceName);
+              setDeviceName(getDeviceName());
+            }}
+            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Shown in client histories next to the changes made here.</p>
+        </div>
+
+        <SyncSettings />
+
+        <button
+          onClick={() => setCurrentView("backup")}
+          className="w-full bg-white border rounded-lg p-4 flex items-center gap-3 text-left hover:bg-gray-50"
+        >
+          <Database size={20} className="text-gray-600" />
+          <span className="font-medium text-gray-800">Backup & Export</span>
+        </button>
+      </div>
+    );
+  };
+
+  // =========================
+  // Reports (activity and coverage)
+  // =========================
+  // Stacked bars, one per period; `percent` scales every bar to full height
+  // so the mix is comparable between busy and quiet periods
+  const StackedBarChart = ({ data, colorOf, percent = false }) => {
+    const max = Math.max(1, ...data.rows.map((row) => row.total));
+    const first = data.rows[0];
+    const last = data.rows[data.rows.length - 1];
+
+    return (
+      <div>
+        <div className="flex items-end gap-1 h-40 border-b border-gray-200">
+          {data.rows.map((row) => (
+            <div
+              key={row.period}
+              title={`${formatPeriod(row.period, data.unit)}: ${row.total} visit${row.total === 1 ? "" : "s"}`}
+              className="flex-1 flex flex-col-reverse"
+              style={{ height: percent ? (row.total > 0 ? "100%" : "0") : `${(row.total / max) * 100}%` }}
+            >
+              {data.series.map((key) =>
+                row.counts[key] ? (
+                  <div
+                    key={key}
+                    className={colorOf(key)}
+                    style={{ height: `${(row.counts[key] / row.total) * 100}%` }}
+                  />
+                ) : null
+              )}
+            </div>
+          ))}
+        </div>
+
+        {first && (
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{formatPeriod(first.period, data.unit)}</span>
+            {last !== first && <span>{formatPeriod(last.period, data.unit)}</span>}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3 mt-2">
+          {data.series.map((key) => (
+            <span key={key} className="flex items-center gap-1 text-xs text-gray-600">
+              <span className={`inline-block w-3 h-3 rounded-sm ${colorOf(key)}`} />
+              {key}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const ReportsView = () => {
+    const [rangeKey, setRangeKey] = useState("days90");
+    const [custom, setCustom] = useState({ from: addDays(todayKey(), -29), to: todayKey() });
+    const [openThreshold, setOpenThreshold] = useState(null);
+
+    const today = todayKey();
+    const range = resolveRange(rangeKey, today, visits, custom);
+    const activity = visitsInRange(visits, range);
+    const byType = visitsByTouchType(visits, range);
+    const signals = signalMix(visits, range);
+    const followUps = followUpStats(visits, range, today);
+    const coverage = uncontactedClients(clients, visits, today);
+    const unitLabel = byType.unit === "month" ? "month" : "week";
+    const typeColor = (key) => SERIES_COLORS[byType.series.indexOf(key) % SERIES_COLORS.length];
+    const openBucket = coverage.find((bucket) => bucket.days === openThreshold);
+
+    return (
+      <div className="pt-4 max-w-3xl mx-auto">
+        <h1 className="text-2xl font-bold mb-4">Reports</h1>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <select
+            value={rangeKey}
+            onChange={(e) => setRangeKey(e.target.value)}
+            className="px-3 py-2 border rounded-lg bg-white text-sm"
+          >
+            {REPORT_RANGES.map((r) => (
+              <option key={r.key} value={r.key}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+
+          {rangeKey === "custom" && (
+            <>
+              <input
+                type="date"
+                value={custom.from}
+                max={custom.to || undefined}
+                onChange={(e) => setCustom({ ...custom, from: e.target.value })}
+                aria-label="From"
+                className="px-3 py-2 border rounded-lg text-sm"
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="date"
+                value={custom.to}
+                min={custom.from || undefined}
+                onChange={(e) => setCustom({ ...custom, to: e.target.value })}
+                aria-label="To"
+                className="px-3 py-2 border rounded-lg text-sm"
+              />
+            </>
+          )}
+        </div>
+
+        {range.from && (
+          <p className="text-sm text-gray-600 mb-4">
+            {formatDate(range.from)} – {formatDate(range.to)} · {activity.length} visit
+            {activity.length === 1 ? "" : "s"}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <section className="bg-white border rounded-lg p-4">
+            <h2 className="font-semibold text-gray-800 mb-3">Visits per {unitLabel}</h2>
+            {activity.length === 0 ? (
+              <p className="text-sm text-gray-500">No visits in this period.</p>
+            ) : (
+              <StackedBarChart data={byType} colorOf={typeColor} />
+            )}
+          </section>
+
+          <section className="bg-white border rounded-lg p-4">
+            <h2 className="font-semibold text-gray-800 mb-3">Signal mix</h2>
+            {activity.length === 0 ? (
+              <p className="text-sm text-gray-500">No visits in this period.</p>
+            ) : (
+              <StackedBarChart data={signals} colorOf={(key) => SIGNAL_COLORS[key]} percent />
+            )}
+          </section>
+
+          <section className="bg-white border rounded-lg p-4">
+            <h2 className="font-semibold text-gray-800 mb-3">Follow-ups due in this period</h2>
+            {followUps.due === 0 ? (
+              <p className="text-sm text-gray-500">No follow-ups fell due.</p>
+            ) : (
+              <div className="grid grid-cols-3 gap-3 text-center">
+                <div>
+                  <p className="text-2xl font-bold text-gray-800">{Math.round(followUps.completionRate * 100)}%</p>
+                  <p className="text-xs text-gray-600">
+                    done ({followUps.completed} of {followUps.due})
+                  </p>
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-red-600">{followUps.overdue}</p>
+                  <p className="text-xs text-gray-600">still overdue</p>
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-gray-800">
+                    {followUps.averageDaysOverdue === null ? "–" : Math.round(followUps.averageDaysOverdue)}
+                  </p>
+                  <p className="text-xs text-gray-600">avg. days overdue</p>
+                </div>
+              </div>
+            )}
+          </section>
+
+          <section className="bg-white border rounded-lg p-4">
+            <h2 className="font-semibold text-gray-800 mb-1">Client coverage</h2>
+            <p className="text-xs text-gray-500 mb-3">Not contacted in… (as of today, inactive clients left out)</p>
+            <div className="grid grid-cols-3 gap-3">
+              {coverage.map((bucket) => (
+                <button
+                  key={bucket.days}
+                  onClick={() => setOpenThreshold(openThreshold === bucket.days ? null : bucket.days)}
+                  className={`border rounded-lg p-2 text-center hover:bg-gray-50 ${
+                    openThreshold === bucket.days ? "border-blue-500" : ""
+                  }`}
+                >
+                  <p className="text-2xl font-bold text-gray-800">{bucket.clients.length}</p>
+                  <p className="text-xs text-gray-600">{bucket.days}+ days</p>
+                </button>
+              ))}
+            </div>
+
+            {openBucket && (
+              <ul className="mt-3 max-h-64 overflow-y-auto divide-y">
+                {openBucket.clients.map(({ client, lastVisitDate, daysSince }) => (
+                  <li key={client.id}>
+                    <button
+                      onClick={() => {
+                        setSelectedClient(client);
+                        setCurrentView("clientDetail");
+                      }}
+                      className="w-full flex justify-between gap-3 py-2 text-left hover:bg-gray-50"
+                    >
+                      <span className="text-sm text-gray-800 truncate">{client.name}</span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">
+                        {lastVisitDate ? `${daysSince} days · ${formatDate(lastVisitDate)}` : "never visited"}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {ACTIVITY_GROUPS.map((group) => {
+            const top = topGroups(visits, clients, range, group.key);
+            const max = Math.max(1, ...top.map((g) => g.visits));
+
+            return (
+              <section key={group.key} className="bg-white border rounded-lg p-4">
+                <h2 className="font-semibold text-gray-800 mb-3">Top {group.label.toLowerCase()}</h2>
+                {top.length === 0 ? (
+                  <p className="text-sm text-gray-500">No visits in this period.</p>
+                ) : (
+                  top.map((g) => (
+                    <div key={g.label} className="mb-2">
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-800 truncate">{g.label}</span>
+                        <span className="text-gray-600 whitespace-nowrap">
+                          {g.visits} visit{g.visits === 1 ? "" : "s"} · {g.clients} client{g.clients === 1 ? "" : "s"}
+                        </span>
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded mt-1">
+                        <div className="h-2 bg-blue-500 rounded" style={{ width: `${(g.visits / max) * 100}%` }} />
+                      </div>
+                    </div>
+                  ))
+                )}
+              </section>
+            );
+          })}
+        </div>
       </div>
     );
   };
@@ -927,6 +4986,31 @@ export default function FieldCRM() {
   // =========================
   // Bottom Nav
   // =========================
+  const CLIENT_TAB_VIEWS = [
+    "clients",
+    "clientDetail",
+    "addVisit",
+    "editClient",
+    "addClient",
+    "editVisit",
+    "importClients",
+    "importVisits",
+    "duplicates",
+    "search",
+    "map",
+    "backup",
+    "settings",
+    "addOpportunity",
+    "addQuote",
+    "editQuote",
+    "products",
+    "addProduct",
+    "productDetail",
+    "importProducts"
+  ];
+
+  const PIPELINE_TAB_VIEWS = ["pipeline", "editOpportunity"];
+
   const BottomNav = () => (
     <div className="fixed bottom-0 left-0 right-0 bg-white border-t flex shadow-lg h-16">
       <button
@@ -942,21 +5026,39 @@ export default function FieldCRM() {
       <button
         onClick={() => setCurrentView("clients")}
         className={`flex-1 py-2 flex flex-col items-center justify-center gap-1 ${
-          currentView === "clients" || currentView === "clientDetail" || currentView === "addVisit"
-            ? "text-blue-600"
-            : "text-gray-600"
+          CLIENT_TAB_VIEWS.includes(currentView) ? "text-blue-600" : "text-gray-600"
         }`}
       >
         <Search size={22} />
         <span className="text-xs">Clients</span>
       </button>
+
+      <button
+        onClick={() => setCurrentView("pipeline")}
+        className={`flex-1 py-2 flex flex-col items-center justify-center gap-1 ${
+          PIPELINE_TAB_VIEWS.includes(currentView) ? "text-blue-600" : "text-gray-600"
+        }`}
+      >
+        <Briefcase size={22} />
+        <span className="text-xs">Pipeline</span>
+      </button>
+
+      <button
+        onClick={() => setCurrentView("reports")}
+        className={`flex-1 py-2 flex flex-col items-center justify-center gap-1 ${
+          currentView === "reports" ? "text-blue-600" : "text-gray-600"
+        }`}
+      >
+        <ChartColumn size={22} />
+        <span className="text-xs">Reports</span>
+      </button>
     </div>
   );
 
   // =========================
   // Loading screen
   // =========================
-  if (isLoading) {
+  if (isLoading || !isRouteReady) {
     return (
       <div className="flex items-center justify-center h-screen bg-gray-50">
         <div className="text-center">
@@ -983,8 +5085,33 @@ export default function FieldCRM() {
         {currentView === "clients" && <ClientsView />}
         {currentView === "clientDetail" && <ClientDetailView />}
         {currentView === "addVisit" && <AddVisitView />}
+        {currentView === "editVisit" && <EditVisitView />}
+        {currentView === "editClient" && <EditClientView />}
+        {currentView === "addClient" && <AddClientView />}
+        {currentView === "importClients" && <ImportView type="clients" />}
+        {currentView === "importVisits" && <ImportView type="visits" />}
+        {currentView === "importProducts" && <ImportView type="products" />}
+        {currentView === "products" && <ProductsView />}
+        {currentView === "addProduct" && <AddProductView />}
+        {currentView === "productDetail" && <ProductDetailView />}
+        {currentView === "duplicates" && <DuplicatesView />}
+        {currentView === "backup" && <BackupView />}
+        {currentView === "settings" && <SettingsView />}
+        {currentView === "pipeline" && <PipelineView />}
+        {currentView === "addOpportunity" && <AddOpportunityView />}
+        {currentView === "editOpportunity" && <EditOpportunityView />}
+        {currentView === "addQuote" && <AddQuoteView />}
+        {currentView === "reports" && <ReportsView />}
+        {currentView === "search" && <SearchView />}
+        {currentView === "map" && <MapView />}
+        {currentView === "editQuote" && <EditQuoteView />}
       </div>
 
+      {/* Both can be up at once (e.g. an update lands right after a delete), so they stack */}
+      <div className="fixed bottom-20 left-4 right-4 sm:left-auto sm:w-96 flex flex-col gap-2 z-50">
+        <UpdatePrompt />
+        <UndoToast onUndo={undoChange} />
+      </div>
       <BottomNav />
     </div>
   );
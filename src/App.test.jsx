@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent, act, cleanup } from "@testing-library/react";
+import { resetDevice } from "./test/database.js";
+import { openDatabase } from "./db/database.js";
+import { clientRepo, opportunityRepo, visitRepo } from "./db/repository.js";
+import FieldCRM from "./App.jsx";
+
+// The update banner needs vite-plugin-pwa's virtual module
+vi.mock("./UpdatePrompt.jsx", () => ({ default: () => null }));
+
+// Stands in for a sync that pulled changes: the test calls whatever listener
+// the app has registered
+const sync = vi.hoisted(() => ({ onPull: null }));
+vi.mock("./db/sync.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  setSyncListener: (callback) => (sync.onPull = callback)
+}));
+
+let clientId;
+
+beforeEach(async () => {
+  resetDevice();
+  await openDatabase();
+  clientId = await clientRepo.add({ name: "ABC Granite", city: "Edison", state: "NJ", status: "Active" });
+});
+
+afterEach(cleanup);
+
+describe("changes pulled by sync", () => {
+  it("leave an open form as the user left it, and show once it closes", async () => {
+    window.history.replaceState(null, "", `/clients/${clientId}/edit`);
+    render(<FieldCRM />);
+
+    const name = await screen.findByDisplayValue("ABC Granite");
+    fireEvent.change(name, { target: { value: "ABC Granite & Marble" } });
+
+    await opportunityRepo.add({ clientId, title: "Kitchen remodel", stage: "lead" });
+    await act(async () => sync.onPull());
+
+    expect(screen.getByDisplayValue("ABC Granite & Marble")).toBeTruthy();
+    expect(screen.queryByText("Kitchen remodel")).toBe(null);
+
+    fireEvent.click(screen.getByRole("heading", { name: "Edit Client" }).previousElementSibling);
+    expect(await screen.findByText("Kitchen remodel")).toBeTruthy();
+  });
+
+  it("show straight away on a view without a form, without the loading screen", async () => {
+    window.history.replaceState(null, "", "/clients");
+    render(<FieldCRM />);
+    await screen.findByText("ABC Granite");
+
+    await clientRepo.add({ name: "Stone World", city: "Newark", state: "NJ", status: "Active" });
+    // Not awaited: the loading screen, if any, shows before the data is read
+    act(() => void sync.onPull());
+
+    expect(screen.queryByText("Loading...")).toBe(null);
+    expect(await screen.findByText("Stone World")).toBeTruthy();
+  });
+});
+
+describe("editing a visit", () => {
+  const editVisit = async (visit) => {
+    const id = await visitRepo.add({
+      clientId,
+      date: "2025-03-01",
+      touchType: "Call",
+      note: "Met the owner",
+      ...visit
+    });
+    window.history.replaceState(null, "", `/visits/${id}`);
+    render(<FieldCRM />);
+    return id;
+  };
+  const save = async (id) => {
+    fireEvent.click(await screen.findByRole("button", { name: "Save Changes" }));
+    await screen.findByRole("heading", { name: "ABC Granite" });
+    return (await visitRepo.getAll()).find((visit) => visit.id === id);
+  };
+
+  it("keeps a done follow-up done when its date changes", async () => {
+    const id = await editVisit({ followUpDate: "2025-03-10", completed: true });
+
+    fireEvent.change(await screen.findByDisplayValue("2025-03-10"), { target: { value: "2025-03-17" } });
+    expect(screen.getByLabelText("Follow-up done").checked).toBe(true);
+
+    expect(await save(id)).toMatchObject({ followUpDate: "2025-03-17", completed: true });
+  });
+
+  it("opens a follow-up added to a visit that had none", async () => {
+    const id = await editVisit({ followUpDate: null, completed: true });
+
+    const date = (await screen.findByText("Follow-up Date (optional)")).parentElement.querySelector("input");
+    fireEvent.change(date, { target: { value: "2025-03-17" } });
+    expect(screen.getByLabelText("Follow-up done").checked).toBe(false);
+
+    expect(await save(id)).toMatchObject({ followUpDate: "2025-03-17", completed: false });
+  });
+});
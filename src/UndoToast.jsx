@@ -0,0 +1,61 @@
+import { useState, useEffect } from "react";
+import { Undo2, X } from "lucide-react";
+import { setUndoListener } from "./lib/audit.js";
+
+// How long an Undo stays on offer
+const UNDO_TIMEOUT_MS = 8000;
+
+// =========================
+// "Undo" toast
+// =========================
+// Shown by offerUndo (lib/audit.js) after a delete, a merge or a follow-up
+// marked done. Keeps its own state, so appearing and timing out never touches
+// the screen underneath.
+export default function UndoToast({ onUndo }) {
+  const [offer, setOffer] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  useEffect(() => {
+    setUndoListener(setOffer);
+    return () => setUndoListener(null);
+  }, []);
+
+  useEffect(() => {
+    if (!offer) return;
+    const timer = setTimeout(() => setOffer(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [offer]);
+
+  if (!offer) return null;
+
+  const handleUndo = async () => {
+    setIsUndoing(true);
+    try {
+      await onUndo(offer.batch);
+      setOffer(null);
+    } catch (err) {
+      alert(`Could not undo.\n${err?.message || err}`);
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 text-white rounded-lg shadow-lg p-4 flex items-center gap-3">
+      <p className="flex-1 text-sm">{offer.message}</p>
+
+      <button
+        onClick={handleUndo}
+        disabled={isUndoing}
+        className="flex items-center gap-1 bg-blue-500 px-3 py-2 rounded-lg text-sm font-semibold disabled:opacity-50"
+      >
+        <Undo2 size={16} />
+        Undo
+      </button>
+
+      <button onClick={() => setOffer(null)} className="text-gray-400 hover:text-white" title="Dismiss">
+        <X size={18} />
+      </button>
+    </div>
+  );
+}
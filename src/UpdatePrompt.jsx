@@ -0,0 +1,39 @@
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { RefreshCw, X } from "lucide-react";
+
+// =========================
+// "Update available" banner
+// =========================
+// The service worker downloads a new deploy in the background but waits here
+// until the user reloads, so a visit being typed is never lost mid-form.
+export default function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      // Installed PWAs can stay open for days; look for a new version every hour
+      if (registration) setInterval(() => registration.update(), 60 * 60 * 1000);
+    }
+  });
+
+  if (!needRefresh) return null;
+
+  return (
+    <div className="bg-gray-900 text-white rounded-lg shadow-lg p-4 flex items-center gap-3">
+      <p className="flex-1 text-sm">A new version of the app is available.</p>
+
+      <button
+        onClick={() => updateServiceWorker(true)}
+        className="flex items-center gap-1 bg-blue-500 px-3 py-2 rounded-lg text-sm font-semibold"
+      >
+        <RefreshCw size={16} />
+        Reload
+      </button>
+
+      <button onClick={() => setNeedRefresh(false)} className="text-gray-400 hover:text-white" title="Later">
+        <X size={18} />
+      </button>
+    </div>
+  );
+}
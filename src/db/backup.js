@@ -0,0 +1,198 @@
+import { DB_NAME, DB_VERSION, upgradeRecordSets } from "./migrations.js";
+
+// =========================
+// Backup files and automatic pre-upgrade snapshots
+// =========================
+export const BACKUP_FORMAT = "FieldCRM-backup";
+const BACKUP_FORMAT_VERSION = 1;
+
+// Snapshots taken before a schema upgrade live in their own database so a
+// failed migration can never take them down with it
+const SNAPSHOT_DB_NAME = "FieldCRM-backups";
+const SNAPSHOT_STORE = "snapshots";
+const SNAPSHOTS_KEPT = 5;
+
+export const buildBackup = (
+  { clients, visits, opportunities = [], products = [], quotes = [] },
+  schemaVersion = DB_VERSION
+) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  schemaVersion,
+  exportedAt: new Date().toISOString(),
+  clients,
+  visits,
+  opportunities,
+  products,
+  quotes
+});
+
+// Returns a list of human-readable problems; empty means the file is safe to restore
+export const validateBackup = (data) => {
+  if (!data || typeof data !== "object") return ["File is not a JSON object"];
+  if (data.format !== BACKUP_FORMAT) return ["File is not a FieldCRM backup"];
+
+  const errors = [];
+
+  if (typeof data.formatVersion !== "number" || data.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push(`Unsupported backup format version: ${data.formatVersion}`);
+  }
+  if (typeof data.schemaVersion !== "number" || data.schemaVersion > DB_VERSION) {
+    errors.push(`Backup was made by a newer app version (schema ${data.schemaVersion})`);
+  }
+  if (!Array.isArray(data.clients)) errors.push("Missing clients list");
+  if (!Array.isArray(data.visits)) errors.push("Missing visits list");
+  // Stores added after the first release are missing from older backups
+  ["opportunities", "products", "quotes"].forEach((name) => {
+    if (data[name] !== undefined && !Array.isArray(data[name])) errors.push(`The ${name} entry is not a list`);
+  });
+  if (errors.length > 0) return errors;
+
+  const clientIds = new Set();
+  data.clients.forEach((c, i) => {
+    if (!c || typeof c.id !== "number") errors.push(`Client #${i + 1} has no numeric id`);
+    else if (clientIds.has(c.id)) errors.push(`Duplicate client id ${c.id}`);
+    else clientIds.add(c.id);
+    if (c && typeof c.name !== "string") errors.push(`Client #${i + 1} has no name`);
+  });
+
+  const visitIds = new Set();
+  data.visits.forEach((v, i) => {
+    if (!v || typeof v.id !== "number") errors.push(`Visit #${i + 1} has no numeric id`);
+    else if (visitIds.has(v.id)) errors.push(`Duplicate visit id ${v.id}`);
+    else visitIds.add(v.id);
+    if (v && !clientIds.has(v.clientId)) errors.push(`Visit #${i + 1} points to unknown client ${v?.clientId}`);
+  });
+
+  const opportunityIds = new Set();
+  (data.opportunities || []).forEach((o, i) => {
+    if (!o || typeof o.id !== "number") errors.push(`Opportunity #${i + 1} has no numeric id`);
+    else if (opportunityIds.has(o.id)) errors.push(`Duplicate opportunity id ${o.id}`);
+    else opportunityIds.add(o.id);
+    if (o && !clientIds.has(o.clientId)) {
+      errors.push(`Opportunity #${i + 1} points to unknown client ${o?.clientId}`);
+    }
+  });
+
+  const quoteIds = new Set();
+  (data.quotes || []).forEach((q, i) => {
+    if (!q || typeof q.id !== "number") errors.push(`Quote #${i + 1} has no numeric id`);
+    else if (quoteIds.has(q.id)) errors.push(`Duplicate quote id ${q.id}`);
+    else quoteIds.add(q.id);
+    if (q && !clientIds.has(q.clientId)) errors.push(`Quote #${i + 1} points to unknown client ${q?.clientId}`);
+  });
+
+  const productIds = new Set();
+  (data.products || []).forEach((p, i) => {
+    if (!p || typeof p.id !== "number") errors.push(`Product #${i + 1} has no numeric id`);
+    else if (productIds.has(p.id)) errors.push(`Duplicate product id ${p.id}`);
+    else productIds.add(p.id);
+  });
+
+  // Don't flood the screen for a badly broken file
+  return errors.length > 10 ? [...errors.slice(0, 10), `...and ${errors.length - 10} more`] : errors;
+};
+
+// Runs the record backfills of every migration newer than the backup, so an old
+// file restores into the same shape a migrated database would have
+export const upgradeBackup = (backup) => {
+  if (backup.schemaVersion >= DB_VERSION) return backup;
+  return { ...upgradeRecordSets(backup, backup.schemaVersion), schemaVersion: DB_VERSION };
+};
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openSnapshotDB = () => {
+  const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true });
+  };
+  return requestResult(request);
+};
+
+// Opens the CRM database at whatever version is on disk. Resolves null when
+// there is no database yet (first launch), without creating an empty one.
+const openCurrentDB = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    let isNew = false;
+
+    request.onupgradeneeded = () => {
+      isNew = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => (isNew ? resolve(null) : reject(request.error));
+  });
+
+const readAllStores = (database) =>
+  new Promise((resolve, reject) => {
+    const storeNames = Array.from(database.objectStoreNames);
+    const data = {};
+    if (storeNames.length === 0) {
+      resolve(data);
+      return;
+    }
+
+    const transaction = database.transaction(storeNames, "readonly");
+    storeNames.forEach((name) => {
+      const request = transaction.objectStore(name).getAll();
+      request.onsuccess = () => (data[name] = request.result);
+    });
+    transaction.oncomplete = () => resolve(data);
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+const saveSnapshot = async (backup) => {
+  const snapshotDB = await openSnapshotDB();
+  try {
+    const transaction = snapshotDB.transaction(SNAPSHOT_STORE, "readwrite");
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    store.add(backup);
+
+    const keys = await requestResult(store.getAllKeys());
+    keys.slice(0, Math.max(0, keys.length - SNAPSHOTS_KEPT)).forEach((key) => store.delete(key));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    snapshotDB.close();
+  }
+};
+
+// Call before opening the database at DB_VERSION. If the stored database is
+// older, its full contents are copied into a snapshot first. Resolves with the
+// version that was found on disk (0 when there is no database yet).
+export const backupBeforeUpgrade = async () => {
+  const current = await openCurrentDB();
+  if (!current) return 0;
+
+  try {
+    if (current.version < DB_VERSION) {
+      const data = await readAllStores(current);
+      await saveSnapshot(buildBackup({ clients: [], visits: [], ...data }, current.version));
+    }
+    return current.version;
+  } finally {
+    current.close();
+  }
+};
+
+// Newest first
+export const listAutoBackups = async () => {
+  const snapshotDB = await openSnapshotDB();
+  try {
+    const snapshots = await requestResult(
+      snapshotDB.transaction(SNAPSHOT_STORE, "readonly").objectStore(SNAPSHOT_STORE).getAll()
+    );
+    return snapshots.reverse();
+  } finally {
+    snapshotDB.close();
+  }
+};
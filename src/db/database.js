@@ -0,0 +1,87 @@
+import { DB_NAME, DB_VERSION, runMigrations } from "./migrations.js";
+import { backupBeforeUpgrade } from "./backup.js";
+
+// =========================
+// IndexedDB connection
+// =========================
+// One shared connection, opened once at startup. Everything else goes through
+// runTransaction so errors and aborts are handled the same way everywhere.
+
+let db = null;
+
+// Snapshot first, then let the migration registry bring the schema up to date
+export const openDatabase = async () => {
+  if (db) return db;
+
+  await backupBeforeUpgrade();
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let migration = Promise.resolve();
+
+    request.onerror = () => reject(request.error);
+
+    request.onsuccess = () => {
+      const connection = request.result;
+      // Another tab is upgrading: step aside instead of blocking it
+      connection.onversionchange = () => {
+        connection.close();
+        db = null;
+      };
+      migration.then(() => {
+        db = connection;
+        resolve(db);
+      }, reject);
+    };
+
+    request.onupgradeneeded = (event) => {
+      migration = runMigrations(request.result, request.transaction, event.oldVersion);
+      migration.catch(() => {});
+    };
+  });
+};
+
+export const closeDatabase = () => {
+  db?.close();
+  db = null;
+};
+
+const getDatabase = () => {
+  if (!db) throw new Error("Database is not open yet, call openDatabase() first");
+  return db;
+};
+
+// Runs `work(stores, transaction)` in one transaction over `storeNames`.
+// Resolves with whatever `work` returned once the transaction has committed
+// (so values filled in by request callbacks are complete), and rejects if any
+// request fails or the transaction is aborted; nothing is written in that case.
+export const runTransaction = (storeNames, mode, work) =>
+  new Promise((resolve, reject) => {
+    let transaction;
+    try {
+      transaction = getDatabase().transaction(storeNames, mode);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    const stores = Object.fromEntries(storeNames.map((name) => [name, transaction.objectStore(name)]));
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    // The failing request is the event target; transaction.error is only set once the abort completes
+    transaction.onerror = (event) => reject(event.target.error || transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+
+    try {
+      result = work(stores, transaction);
+    } catch (err) {
+      transaction.abort();
+      reject(err);
+    }
+  });
+
+// Fills `target[key]` from a request once it succeeds; for reads inside runTransaction
+export const collect = (request, target, key) => {
+  request.onsuccess = () => (target[key] = request.result);
+};
@@ -0,0 +1,187 @@
+import { isDateKey, parseDateInput } from "../lib/dates.js";
+
+// =========================
+// IndexedDB schema migrations
+// =========================
+// Each step upgrades the database from `version - 1` to `version`. Steps run in
+// order inside the single versionchange transaction that indexedDB.open gives
+// us, so a phone several versions behind goes through every step, and any
+// failure aborts the transaction and leaves the old database untouched.
+//
+// A step may have:
+//   upgradeSchema(db, transaction) – create / delete stores and indexes
+//   upgradeRecords: { storeName: (record) => record } – per-record backfill;
+//     return the same object when nothing changes. Also applied to backups
+//     made on an older version when they are restored.
+//
+// To add a version: append a step. Never edit a step that has shipped.
+
+export const DB_NAME = "FieldCRM";
+
+// Dates written by the old importer could be "1/5/2025", "Jan 5, 2025" etc.
+// It always read month-first, so that is how we read them back.
+const normalizeStoredDate = (value) => {
+  if (!value || isDateKey(value)) return value;
+  return parseDateInput(value).date || value;
+};
+
+const withNormalizedDates = (record, fields) => {
+  const changes = {};
+  fields.forEach((field) => {
+    const normalized = normalizeStoredDate(record[field]);
+    if (normalized !== record[field]) changes[field] = normalized;
+  });
+  return Object.keys(changes).length > 0 ? { ...record, ...changes } : record;
+};
+
+// Stores whose records sync between devices (see lib/sync.js)
+const SYNCED_STORE_NAMES = ["clients", "visits", "opportunities", "products", "quotes"];
+
+// Every record gets a stable id that is the same on every device
+const withSyncFields = (record) =>
+  record.uuid ? record : { ...record, uuid: crypto.randomUUID(), updatedAt: record.updatedAt || Date.now() };
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Clients and visits stores",
+    upgradeSchema: (db) => {
+      if (!db.objectStoreNames.contains("clients")) {
+        const clientStore = db.createObjectStore("clients", { keyPath: "id", autoIncrement: true });
+        clientStore.createIndex("name", "name", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains("visits")) {
+        const visitStore = db.createObjectStore("visits", { keyPath: "id", autoIncrement: true });
+        visitStore.createIndex("clientId", "clientId", { unique: false });
+        visitStore.createIndex("date", "date", { unique: false });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: "Normalize stored dates to YYYY-MM-DD",
+    upgradeRecords: {
+      visits: (visit) => withNormalizedDates(visit, ["date", "followUpDate"]),
+      clients: (client) => withNormalizedDates(client, ["lastVisitDate"])
+    }
+  },
+  {
+    version: 3,
+    description: "Index visits by follow-up date",
+    upgradeSchema: (db, transaction) => {
+      transaction.objectStore("visits").createIndex("followUpDate", "followUpDate", { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: "Opportunities store; visits indexed by opportunity",
+    upgradeSchema: (db, transaction) => {
+      const opportunityStore = db.createObjectStore("opportunities", { keyPath: "id", autoIncrement: true });
+      opportunityStore.createIndex("clientId", "clientId", { unique: false });
+      opportunityStore.createIndex("stage", "stage", { unique: false });
+
+      transaction.objectStore("visits").createIndex("opportunityId", "opportunityId", { unique: false });
+    }
+  },
+  {
+    version: 5,
+    description: "Product catalog; visits indexed by product",
+    upgradeSchema: (db, transaction) => {
+      const productStore = db.createObjectStore("products", { keyPath: "id", autoIncrement: true });
+      productStore.createIndex("name", "name", { unique: false });
+      productStore.createIndex("sku", "sku", { unique: false });
+
+      transaction.objectStore("visits").createIndex("productIds", "productIds", { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 6,
+    description: "Quotes and samples store",
+    upgradeSchema: (db) => {
+      const quoteStore = db.createObjectStore("quotes", { keyPath: "id", autoIncrement: true });
+      quoteStore.createIndex("clientId", "clientId", { unique: false });
+      quoteStore.createIndex("visitId", "visitId", { unique: false });
+      quoteStore.createIndex("status", "status", { unique: false });
+    }
+  },
+  {
+    version: 7,
+    description: "Sync: record uuids, outbox and tombstones",
+    upgradeSchema: (db, transaction) => {
+      SYNCED_STORE_NAMES.forEach((name) => {
+        transaction.objectStore(name).createIndex("uuid", "uuid", { unique: true });
+      });
+      db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      db.createObjectStore("tombstones", { keyPath: "uuid" });
+    },
+    upgradeRecords: Object.fromEntries(SYNCED_STORE_NAMES.map((name) => [name, withSyncFields]))
+  },
+  {
+    version: 8,
+    description: "Audit log of every change, for history and undo",
+    upgradeSchema: (db) => {
+      const auditStore = db.createObjectStore("auditLog", { keyPath: "id", autoIncrement: true });
+      auditStore.createIndex("clientId", "clientId", { unique: false });
+      auditStore.createIndex("batch", "batch", { unique: false });
+      auditStore.createIndex("at", "at", { unique: false });
+    }
+  },
+  {
+    version: 9,
+    description: "Place table (ZIP and city coordinates) for locating clients offline",
+    upgradeSchema: (db) => {
+      db.createObjectStore("places", { keyPath: "key" });
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const upgradeStoreRecords = (transaction, storeName, upgrade) =>
+  new Promise((resolve, reject) => {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      const upgraded = upgrade(cursor.value);
+      if (upgraded !== cursor.value) cursor.update(upgraded);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+// Call from onupgradeneeded. Rejects (after aborting the upgrade) if any step fails.
+export const runMigrations = async (db, transaction, oldVersion) => {
+  try {
+    for (const step of MIGRATIONS) {
+      if (step.version <= oldVersion) continue;
+
+      step.upgradeSchema?.(db, transaction);
+      for (const [storeName, upgrade] of Object.entries(step.upgradeRecords || {})) {
+        await upgradeStoreRecords(transaction, storeName, upgrade);
+      }
+    }
+  } catch (err) {
+    transaction.abort();
+    throw err;
+  }
+};
+
+// Brings the record lists of a backup made at `fromVersion` up to DB_VERSION
+export const upgradeRecordSets = (data, fromVersion) => {
+  const upgraded = { ...data };
+
+  MIGRATIONS.filter((step) => step.version > fromVersion).forEach((step) => {
+    Object.entries(step.upgradeRecords || {}).forEach(([storeName, upgrade]) => {
+      if (Array.isArray(upgraded[storeName])) upgraded[storeName] = upgraded[storeName].map(upgrade);
+    });
+  });
+
+  return upgraded;
+};
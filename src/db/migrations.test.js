@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { resetDevice } from "../test/database.js";
+import { openDatabase, closeDatabase } from "./database.js";
+import { DB_NAME, DB_VERSION, MIGRATIONS } from "./migrations.js";
+import { listAutoBackups } from "./backup.js";
+import { clientRepo, visitRepo } from "./repository.js";
+
+// A database as the first release left it: only the v1 stores, dates written
+// month-first by the old importer
+const seedVersion1 = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      MIGRATIONS[0].upgradeSchema(request.result, request.transaction);
+      const clients = request.transaction.objectStore("clients");
+      const visits = request.transaction.objectStore("visits");
+      clients.add({ name: "ABC Granite", lastVisitDate: "3/9/2025" });
+      visits.add({ clientId: 1, date: "3/9/2025", followUpDate: "12/1/2025", note: "Old importer" });
+      visits.add({ clientId: 1, date: "2025-01-02", note: "Already a key" });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+describe("upgrading a v1 database", () => {
+  beforeEach(async () => {
+    resetDevice();
+    await seedVersion1();
+    const db = await openDatabase();
+    expect(db.version).toBe(DB_VERSION);
+  });
+
+  it("normalizes M/D/YYYY dates to date keys", async () => {
+    expect((await clientRepo.get(1)).lastVisitDate).toBe("2025-03-09");
+    const visits = await visitRepo.getAll();
+    expect(visits.map((v) => [v.date, v.followUpDate])).toEqual([
+      ["2025-03-09", "2025-12-01"],
+      ["2025-01-02", undefined]
+    ]);
+  });
+
+  it("gives every record a uuid", async () => {
+    const records = [...(await clientRepo.getAll()), ...(await visitRepo.getAll())];
+    expect(records).toHaveLength(3);
+    records.forEach((record) => expect(record.uuid).toEqual(expect.any(String)));
+    expect(new Set(records.map((r) => r.uuid)).size).toBe(3);
+  });
+
+  it("snapshots the v1 data in FieldCRM-backups first", async () => {
+    const [snapshot, ...older] = await listAutoBackups();
+    expect(older).toEqual([]);
+    expect(snapshot.schemaVersion).toBe(1);
+    expect(snapshot.clients).toEqual([expect.objectContaining({ lastVisitDate: "3/9/2025" })]);
+    expect(snapshot.visits.map((v) => v.date)).toEqual(["3/9/2025", "2025-01-02"]);
+  });
+
+  it("takes no second snapshot once the database is current", async () => {
+    closeDatabase();
+    await openDatabase();
+    expect(await listAutoBackups()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,510 @@
+import { runTransaction, collect } from "./database.js";
+import { trackChanges, resetPullCursor, requestSync, SYNC_STORES } from "./sync.js";
+import { AUDIT_RETENTION_DAYS } from "../lib/audit.js";
+import { translateReferences } from "../lib/sync.js";
+
+// =========================
+// Repository: clients, visits and bulk operations
+// =========================
+// The only code that knows about object stores and indexes. Every method
+// returns a promise and runs in a single transaction, so a multi-record write
+// either lands completely or not at all. Writes go through `write`, which
+// keeps the sync bookkeeping (uuid, updatedAt, outbox) and the audit log in the
+// same transaction.
+
+/**
+ * @typedef {Object} Client
+ * @property {number} [id] assigned by IndexedDB on add
+ * @property {string} name
+ * @property {string} [city]
+ * @property {string} [state]
+ * @property {string} [contact]
+ * @property {string} [phone]
+ * @property {string} [email]
+ * @property {string} [segment]
+ * @property {string} [status] "Active" | "Prospect" | "Inactive"
+ * @property {string} [notes]
+ * @property {string} [address] street address
+ * @property {string} [zip]
+ * @property {number} [lat]
+ * @property {number} [lng]
+ * @property {string} [geoSource] "manual" | "zip" | "city": where lat / lng came from
+ * @property {string} [lastVisitDate] YYYY-MM-DD; only on older records, loadData derives it from the visits
+ * @property {string} [lastVisitSummary] likewise
+ */
+
+/**
+ * @typedef {Object} Visit
+ * @property {number} [id] assigned by IndexedDB on add
+ * @property {number} clientId
+ * @property {string} date YYYY-MM-DD
+ * @property {string} [touchType]
+ * @property {string} [outcome]
+ * @property {string} [products]
+ * @property {string} [signal] "Hot" | "Warm" | "Cold"
+ * @property {string} [note]
+ * @property {string} [nextAction]
+ * @property {string} [followUpDate] YYYY-MM-DD
+ * @property {string} [followUpTime] HH:MM, empty for an all-day follow-up
+ * @property {number} [followUpDuration] minutes
+ * @property {boolean} [completed]
+ * @property {string} [priority]
+ * @property {number} [opportunityId]
+ * @property {number[]} [productIds] catalog products discussed; `products` keeps any free text
+ * @property {number} [quoteId] set on the follow-up created for a quote about to expire
+ */
+
+/**
+ * @typedef {Object} Opportunity
+ * @property {number} [id] assigned by IndexedDB on add
+ * @property {number} clientId
+ * @property {string} title
+ * @property {string} stage one of OPPORTUNITY_STAGES (lib/opportunities.js)
+ * @property {number} [value] estimated deal value
+ * @property {string} [products]
+ * @property {string} [expectedCloseDate] YYYY-MM-DD
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} Product
+ * @property {number} [id] assigned by IndexedDB on add
+ * @property {string} name
+ * @property {string} [sku]
+ * @property {string} [category]
+ * @property {string} [finish]
+ * @property {string} [priceTier]
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {number} [id] assigned by IndexedDB on add
+ * @property {number} clientId
+ * @property {number} [visitId] the visit it was logged from
+ * @property {string} kind "quote" | "sample"
+ * @property {string} status "pending" | "accepted" | "rejected" | "expired"
+ * @property {{ productId?: number, description: string, quantity: number, unitPrice: number }[]} items
+ * @property {string} [validUntil] YYYY-MM-DD
+ * @property {string} [notes]
+ * @property {number} [reminderVisitId] follow-up created before it expires
+ */
+
+/**
+ * Sync bookkeeping every record above also carries, kept current by db/sync.js
+ * @typedef {Object} SyncFields
+ * @property {string} uuid the same on every device
+ * @property {number} updatedAt ms timestamp of the last change
+ * @property {Object<string, number>} [fieldTimes] ms timestamp of each field's last change
+ */
+
+const PUSH_DELAY_MS = 3000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points a record's references ("store/id" keys in `newIds`) at new ids
+const remapReferences = (storeName, record, newIds) => {
+  const fields = Object.fromEntries(Object.entries(record).map(([name, value]) => [name, { value }]));
+  const remapped = translateReferences(storeName, fields, (target, id) => newIds.get(`${target}/${id}`) ?? id);
+  return Object.fromEntries(Object.entries(remapped).map(([name, { value }]) => [name, value]));
+};
+
+// Audit batch of the last write that committed, for an Undo offer
+let lastBatch = null;
+
+// One request in its own transaction; resolves with the request's result after commit
+const single = (storeName, mode, makeRequest) =>
+  runTransaction([storeName], mode, (stores) => {
+    const result = {};
+    collect(makeRequest(stores[storeName]), result, "value");
+    return result;
+  }).then((result) => result.value);
+
+// Write transaction with change tracking (see db/sync.js); with sync on, the
+// change is pushed shortly after it commits. `source` goes into the audit log
+// ("automatic" for housekeeping the user didn't ask for); null skips the log.
+const write = (storeNames, work, { source = "device" } = {}) => {
+  const batch = crypto.randomUUID();
+  return runTransaction([...storeNames, ...SYNC_STORES, "auditLog"], "readwrite", (stores, transaction) =>
+    work(trackChanges(stores, source && { batch, source }), transaction)
+  ).then((result) => {
+    if (source) lastBatch = batch;
+    requestSync(PUSH_DELAY_MS);
+    return result;
+  });
+};
+
+// Adds one record; resolves with its new id after commit
+const addOne = (storeName, record) =>
+  write([storeName], (stores) => {
+    const result = {};
+    collect(stores[storeName].add(record), result, "id");
+    return result;
+  }).then((result) => result.id);
+
+const followUpRange = (from, to) => {
+  // "" sorts before every date, so the lower bound also skips visits without a follow-up
+  if (from && to) return IDBKeyRange.bound(from, to);
+  if (from) return IDBKeyRange.lowerBound(from);
+  if (to) return IDBKeyRange.bound("", to, true);
+  return IDBKeyRange.lowerBound("", true);
+};
+
+// Stores whose records carry a clientId
+const CLIENT_OWNED_STORES = ["visits", "opportunities", "quotes"];
+
+export const clientRepo = {
+  /** @returns {Promise<Client[]>} */
+  getAll: () => single("clients", "readonly", (clients) => clients.getAll()),
+
+  /** @returns {Promise<Client | undefined>} */
+  get: (id) => single("clients", "readonly", (clients) => clients.get(id)),
+
+  /** @returns {Promise<number>} the new id */
+  add: (client) => addOne("clients", client),
+
+  /** Replaces the stored record with the same id */
+  put: (client) => write(["clients"], ({ clients }) => clients.put(client)),
+
+  // Deletes the client together with everything that belongs to it (found via the
+  // clientId indexes) so nothing is left pointing at a missing client.
+  // Resolves with the visit count.
+  delete: (id) =>
+    write(["clients", ...CLIENT_OWNED_STORES], (stores) => {
+      const deleted = { count: 0 };
+      stores.clients.delete(id);
+
+      CLIENT_OWNED_STORES.forEach((name) => {
+        const keysRequest = stores[name].index("clientId").getAllKeys(id);
+        keysRequest.onsuccess = () => {
+          keysRequest.result.forEach((key) => stores[name].delete(key));
+          if (name === "visits") deleted.count = keysRequest.result.length;
+        };
+      });
+      return deleted;
+    }).then((deleted) => deleted.count),
+
+  // Saves the merged client, re-points every visit, opportunity and quote of the removed
+  // clients to it and deletes the removed clients so history is never split. Resolves
+  // with the moved visit count.
+  merge: (mergedClient, removedIds) =>
+    write(["clients", ...CLIENT_OWNED_STORES], (stores) => {
+      const moved = { count: 0 };
+      stores.clients.put(mergedClient);
+
+      removedIds.forEach((id) => {
+        CLIENT_OWNED_STORES.forEach((name) => {
+          const request = stores[name].index("clientId").getAll(id);
+          request.onsuccess = () => {
+            request.result.forEach((record) => stores[name].put({ ...record, clientId: mergedClient.id }));
+            if (name === "visits") moved.count += request.result.length;
+          };
+        });
+        stores.clients.delete(id);
+      });
+      return moved;
+    }).then((moved) => moved.count)
+};
+
+export const visitRepo = {
+  /** @returns {Promise<Visit[]>} */
+  getAll: () => single("visits", "readonly", (visits) => visits.getAll()),
+
+  /** @returns {Promise<Visit[]>} */
+  getByClient: (clientId) => single("visits", "readonly", (visits) => visits.index("clientId").getAll(clientId)),
+
+  /** @returns {Promise<Visit[]>} visits that picked this catalog product */
+  getByProduct: (productId) => single("visits", "readonly", (visits) => visits.index("productIds").getAll(productId)),
+
+  /**
+   * Open (not completed) follow-ups with a follow-up date in [from, to], both
+   * optional and inclusive, ordered by date.
+   * @param {{ from?: string, to?: string }} [range] YYYY-MM-DD keys
+   * @returns {Promise<Visit[]>}
+   */
+  getOpenFollowUps: ({ from, to } = {}) =>
+    single("visits", "readonly", (visits) => visits.index("followUpDate").getAll(followUpRange(from, to))).then(
+      (found) => found.filter((visit) => !visit.completed)
+    ),
+
+  /** @returns {Promise<number>} the new id */
+  add: (visit) => addOne("visits", visit),
+
+  /** Replaces the stored record with the same id */
+  put: (visit) => write(["visits"], ({ visits }) => visits.put(visit)),
+
+  /** Replaces several visits at once; all or nothing */
+  putMany: (records) => write(["visits"], ({ visits }) => records.forEach((v) => visits.put(v))),
+
+  delete: (id) => write(["visits"], ({ visits }) => void visits.delete(id))
+};
+
+export const opportunityRepo = {
+  /** @returns {Promise<Opportunity[]>} */
+  getAll: () => single("opportunities", "readonly", (opportunities) => opportunities.getAll()),
+
+  /** @returns {Promise<number>} the new id */
+  add: (opportunity) => addOne("opportunities", opportunity),
+
+  /** Replaces the stored record with the same id */
+  put: (opportunity) => write(["opportunities"], ({ opportunities }) => opportunities.put(opportunity)),
+
+  // Visits logged against the opportunity stay, they just lose the link
+  delete: (id) =>
+    write(["opportunities", "visits"], ({ opportunities, visits }) => {
+      opportunities.delete(id);
+
+      const visitsRequest = visits.index("opportunityId").getAll(id);
+      visitsRequest.onsuccess = () =>
+        visitsRequest.result.forEach((visit) => {
+          delete visit.opportunityId;
+          visits.put(visit);
+        });
+    })
+};
+
+export const productRepo = {
+  /** @returns {Promise<Product[]>} */
+  getAll: () => single("products", "readonly", (products) => products.getAll()),
+
+  /** @returns {Promise<number>} the new id */
+  add: (product) => addOne("products", product),
+
+  /** Replaces the stored record with the same id */
+  put: (product) => write(["products"], ({ products }) => products.put(product)),
+
+  // Visits keep their other products; the deleted one's name is kept as free text
+  delete: (id) =>
+    write(["products", "visits"], ({ products, visits }) => {
+      const productRequest = products.get(id);
+      productRequest.onsuccess = () => {
+        const name = productRequest.result?.name || "";
+        products.delete(id);
+
+        const visitsRequest = visits.index("productIds").getAll(id);
+        visitsRequest.onsuccess = () =>
+          visitsRequest.result.forEach((visit) =>
+            visits.put({
+              ...visit,
+              productIds: visit.productIds.filter((productId) => productId !== id),
+              products: [name, visit.products].filter(Boolean).join(", ")
+            })
+          );
+      };
+    }),
+
+  /**
+   * Catalog import in one transaction.
+   * @param {{ newProducts?: Product[], productUpdates?: { id: number, update: (stored: Product) => Product }[] }} batch
+   */
+  importBatch: ({ newProducts = [], productUpdates = [] }) =>
+    write(["products"], ({ products }) => {
+      newProducts.forEach((product) => products.add(product));
+      productUpdates.forEach(({ id, update }) => {
+        const request = products.get(id);
+        request.onsuccess = () => request.result && products.put(update(request.result));
+      });
+    })
+};
+
+export const quoteRepo = {
+  /** @returns {Promise<Quote[]>} */
+  getAll: () => single("quotes", "readonly", (quotes) => quotes.getAll()),
+
+  /** @returns {Promise<number>} the new id */
+  add: (quote) => addOne("quotes", quote),
+
+  // Once a quote is no longer pending its expiry reminder has nothing left to
+  // chase, so the reminder follow-up is closed in the same transaction.
+  // resetReminder (valid-until date moved) also closes it and lets the next
+  // sweep create a new one for the new date.
+  put: (quote, { resetReminder = false } = {}) =>
+    write(["quotes", "visits"], ({ quotes, visits }) => {
+      if (quote.status !== "pending" || resetReminder) closeReminder(visits, quote.reminderVisitId);
+      quotes.put(resetReminder ? { ...quote, reminderVisitId: null } : quote);
+    }),
+
+  delete: (quote) =>
+    write(["quotes", "visits"], ({ quotes, visits }) => {
+      quotes.delete(quote.id);
+      closeReminder(visits, quote.reminderVisitId);
+    }),
+
+  /**
+   * Writes the result of planQuoteSweep (lib/quotes.js): expired quotes, and a
+   * reminder follow-up per quote that is about to expire, linked both ways.
+   */
+  applySweep: ({ expire, reminders }) =>
+    write(
+      ["quotes", "visits"],
+      ({ quotes, visits }) => {
+        expire.forEach((quote) => {
+          quotes.put(quote);
+          closeReminder(visits, quote.reminderVisitId);
+        });
+
+        reminders.forEach(({ quote, visit }) => {
+          const request = visits.add(visit);
+          request.onsuccess = () => quotes.put({ ...quote, reminderVisitId: request.result });
+        });
+      },
+      { source: "automatic" }
+    )
+};
+
+const closeReminder = (visits, visitId) => {
+  if (!visitId) return;
+  const request = visits.get(visitId);
+  request.onsuccess = () => request.result && visits.put({ ...request.result, completed: true });
+};
+
+// Stores included in backups and restores
+const DATA_STORES = ["clients", "visits", "opportunities", "products", "quotes"];
+
+export const auditRepo = {
+  /** @returns {string | null} batch of the last write; read it right after awaiting the write */
+  lastBatch: () => lastBatch,
+
+  /** @returns {Promise<Object[]>} the client's audit entries (lib/audit.js), newest first */
+  getByClient: (clientId) =>
+    single("auditLog", "readonly", (auditLog) => auditLog.index("clientId").getAll(clientId)).then((entries) =>
+      entries.sort((a, b) => b.id - a.id)
+    ),
+
+  // Reverts every write of a batch, newest first, as a new change that syncs
+  // and shows in the history like any other. A deleted record comes back with
+  // its old id (so references to it resolve again) and a new uuid: other
+  // devices have already dropped the old one for good. If that id has since
+  // gone to another record (a restore can write explicit ids), the deleted
+  // one is added under a new id instead, and the restored records that
+  // pointed at it follow it there.
+  undo: (batch) =>
+    write(DATA_STORES, (stores) => {
+      const request = stores.auditLog.index("batch").getAll(batch);
+      request.onsuccess = () => {
+        const entries = request.result.sort((a, b) => b.id - a.id);
+        const taken = [];
+        entries
+          .filter((entry) => entry.action === "delete")
+          .forEach((entry) => {
+            const existing = stores[entry.store].get(entry.recordId);
+            existing.onsuccess = () => existing.result && taken.push(entry);
+          });
+
+        // Requests complete in order, so each count below succeeds only once
+        // the requests before it have
+        stores.auditLog.count().onsuccess = () => {
+          const newIds = new Map();
+          taken.forEach(({ store, recordId, before }) => {
+            const record = { ...before };
+            delete record.id;
+            const added = stores[store].add(record);
+            added.addEventListener("success", () => newIds.set(`${store}/${recordId}`, added.result));
+          });
+
+          stores.auditLog.count().onsuccess = () =>
+            entries.forEach(({ action, store, recordId, before }) => {
+              if (action === "create") {
+                stores[store].delete(recordId);
+                return;
+              }
+              const record = newIds.size > 0 ? remapReferences(store, before, newIds) : before;
+              stores[store].put({ ...record, id: newIds.get(`${store}/${recordId}`) ?? record.id });
+            });
+        };
+      };
+    }),
+
+  /** Drops entries older than AUDIT_RETENTION_DAYS */
+  prune: () =>
+    runTransaction(["auditLog"], "readwrite", ({ auditLog }) => {
+      const cutoff = IDBKeyRange.upperBound(Date.now() - AUDIT_RETENTION_DAYS * DAY_MS);
+      const request = auditLog.index("at").getAllKeys(cutoff);
+      request.onsuccess = () => request.result.forEach((id) => auditLog.delete(id));
+    })
+};
+
+// Reference data for lib/geo.js, imported by the user. Not synced, not in
+// backups and not logged: it is a lookup table, not the user's records.
+export const placeRepo = {
+  /** @returns {Promise<number>} */
+  count: () => single("places", "readonly", (places) => places.count()),
+
+  /** @returns {Promise<Map<string, Object>>} the places stored under `keys`, by key */
+  find: (keys) =>
+    runTransaction(["places"], "readonly", ({ places }) => {
+      const found = new Map();
+      [...new Set(keys)].forEach((key) => {
+        const request = places.get(key);
+        request.onsuccess = () => request.result && found.set(key, request.result);
+      });
+      return found;
+    }),
+
+  /** Adds the places, replacing any stored under the same key (a ZIP file and a city file can both be loaded) */
+  putMany: (entries) =>
+    runTransaction(["places"], "readwrite", ({ places }) => entries.forEach((entry) => places.put(entry))),
+
+  clear: () => runTransaction(["places"], "readwrite", ({ places }) => void places.clear())
+};
+
+// Reads every store in a single transaction so the snapshot is consistent
+export const exportAll = () =>
+  runTransaction(DATA_STORES, "readonly", (stores) => {
+    const data = {};
+    DATA_STORES.forEach((name) => collect(stores[name].getAll(), data, name));
+    return data;
+  });
+
+// mode "replace" wipes the stores first, "merge" overwrites records with the same id.
+// Stores missing from an older backup are left alone in merge mode.
+// Any failed put aborts the whole restore.
+// With sync on, the restored records are pushed as new edits, and the next pull
+// starts over so records on the server but not in the backup come back.
+// A restore is not logged; "replace" also clears the log, whose ids would now
+// point at other records.
+export const restoreBackup = (backup, mode) =>
+  write(
+    DATA_STORES,
+    (stores) => {
+      if (mode === "replace") stores.auditLog.clear();
+      DATA_STORES.forEach((name) => {
+        if (mode === "replace") stores[name].clear();
+        (backup[name] || []).forEach((record) => stores[name].put(record));
+      });
+    },
+    { source: null }
+  ).then(resetPullCursor);
+
+/**
+ * Writes a whole import in one transaction, so a failure half way leaves the
+ * database exactly as it was.
+ * @param {Object} batch
+ * @param {{ key?: string, record: Client }[]} [batch.newClients] a `key` lets visits refer to the client before it has an id
+ * @param {{ id: number, update: (stored: Client) => Client }[]} [batch.clientUpdates]
+ * @param {{ record: Visit, newClientKey?: string }[]} [batch.visits]
+ * @returns {Promise<{ clientIds: Object<string, number> }>} ids given to keyed new clients
+ */
+export const importBatch = ({ newClients = [], clientUpdates = [], visits: newVisits = [] }) =>
+  write(["clients", "visits"], ({ clients, visits }) => {
+    const clientIds = {};
+
+    newClients.forEach(({ key, record }) => {
+      const request = clients.add(record);
+      if (key !== undefined) collect(request, clientIds, key);
+    });
+
+    clientUpdates.forEach(({ id, update }) => {
+      const request = clients.get(id);
+      request.onsuccess = () => request.result && clients.put(update(request.result));
+    });
+
+    // Requests in a transaction complete in order, so by the time this count
+    // succeeds every client above has its id
+    clients.count().onsuccess = () => {
+      newVisits.forEach(({ record, newClientKey }) => {
+        visits.add(newClientKey === undefined ? record : { ...record, clientId: clientIds[newClientKey] });
+      });
+    };
+
+    return { clientIds };
+  });
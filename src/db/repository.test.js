@@ -0,0 +1,270 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { freshDatabase } from "../test/database.js";
+import {
+  clientRepo,
+  visitRepo,
+  opportunityRepo,
+  productRepo,
+  quoteRepo,
+  auditRepo,
+  importBatch,
+  exportAll,
+  restoreBackup
+} from "./repository.js";
+
+beforeEach(freshDatabase);
+
+const addClientWithHistory = async (name) => {
+  const clientId = await clientRepo.add({ name });
+  const visitId = await visitRepo.add({ clientId, date: "2025-03-01", note: `${name} visit` });
+  await opportunityRepo.add({ clientId, title: `${name} deal`, stage: "lead" });
+  await quoteRepo.add({ clientId, visitId, kind: "quote", status: "pending", items: [] });
+  return clientId;
+};
+
+describe("clientRepo / visitRepo", () => {
+  it("adds, reads, updates and deletes records", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite", city: "Edison" });
+    expect(await clientRepo.get(clientId)).toMatchObject({ id: clientId, name: "ABC Granite", city: "Edison" });
+
+    await clientRepo.put({ ...(await clientRepo.get(clientId)), city: "Newark" });
+    expect((await clientRepo.get(clientId)).city).toBe("Newark");
+
+    const visitId = await visitRepo.add({ clientId, date: "2025-03-01", note: "Showed samples" });
+    expect(await visitRepo.getByClient(clientId)).toEqual([expect.objectContaining({ id: visitId })]);
+
+    await visitRepo.put({ ...(await visitRepo.getByClient(clientId))[0], note: "Left samples" });
+    expect((await visitRepo.getAll())[0].note).toBe("Left samples");
+
+    await visitRepo.delete(visitId);
+    expect(await visitRepo.getAll()).toEqual([]);
+    expect(await clientRepo.getAll()).toHaveLength(1);
+  });
+
+  it("stamps every write with a uuid and updatedAt", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    const stored = await clientRepo.get(clientId);
+    expect(stored.uuid).toEqual(expect.any(String));
+    expect(stored.updatedAt).toEqual(expect.any(Number));
+  });
+});
+
+describe("visitRepo.getOpenFollowUps", () => {
+  beforeEach(async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    for (const visit of [
+      { date: "2025-03-01", note: "no follow-up" },
+      { date: "2025-03-01", followUpDate: "2025-03-03", note: "early" },
+      { date: "2025-03-01", followUpDate: "2025-03-05", note: "start" },
+      { date: "2025-03-01", followUpDate: "2025-03-07", note: "done", completed: true },
+      { date: "2025-03-01", followUpDate: "2025-03-09", note: "end" },
+      { date: "2025-03-01", followUpDate: "2025-03-12", note: "late" }
+    ]) {
+      await visitRepo.add({ clientId, ...visit });
+    }
+  });
+
+  const notes = (visits) => visits.map((v) => v.note);
+
+  it("returns open follow-ups in the range, both ends included, by date", async () => {
+    expect(notes(await visitRepo.getOpenFollowUps({ from: "2025-03-05", to: "2025-03-09" }))).toEqual(["start", "end"]);
+  });
+
+  it("leaves either end open", async () => {
+    expect(notes(await visitRepo.getOpenFollowUps({ to: "2025-03-05" }))).toEqual(["early", "start"]);
+    expect(notes(await visitRepo.getOpenFollowUps({ from: "2025-03-09" }))).toEqual(["end", "late"]);
+    expect(notes(await visitRepo.getOpenFollowUps())).toEqual(["early", "start", "end", "late"]);
+  });
+});
+
+describe("importBatch", () => {
+  it("creates clients and the visits that point at them", async () => {
+    const { clientIds } = await importBatch({
+      newClients: [{ key: "abc", record: { name: "ABC Granite" } }],
+      visits: [{ record: { date: "2025-03-01" }, newClientKey: "abc" }]
+    });
+    expect((await visitRepo.getAll())[0].clientId).toBe(clientIds.abc);
+  });
+
+  it("writes nothing when one write fails", async () => {
+    const existingId = await clientRepo.add({ name: "Existing" });
+    const before = await exportAll();
+
+    await expect(
+      importBatch({
+        newClients: [{ record: { name: "New one" } }, { record: { id: existingId, name: "Same key" } }],
+        clientUpdates: [{ id: existingId, update: (stored) => ({ ...stored, city: "Changed" }) }],
+        visits: [{ record: { clientId: existingId, date: "2025-03-01" } }]
+      })
+    ).rejects.toThrow();
+
+    expect(await exportAll()).toEqual(before);
+  });
+});
+
+describe("restoreBackup", () => {
+  it("replaces everything, or overwrites only records with the same id", async () => {
+    const keptId = await addClientWithHistory("Kept");
+    const backup = {
+      clients: [{ id: 50, name: "From backup" }],
+      visits: [{ id: 50, clientId: 50, date: "2025-01-01" }],
+      opportunities: [],
+      products: [],
+      quotes: []
+    };
+
+    await restoreBackup(backup, "merge");
+    expect((await clientRepo.getAll()).map((c) => c.id)).toEqual([keptId, 50]);
+
+    await restoreBackup(backup, "replace");
+    expect(await exportAll()).toMatchObject(backup);
+  });
+});
+
+describe("clientRepo.delete / merge", () => {
+  it("deletes the client's visits, opportunities and quotes with it", async () => {
+    const keptId = await addClientWithHistory("Kept");
+    const deletedId = await addClientWithHistory("Deleted");
+
+    expect(await clientRepo.delete(deletedId)).toBe(1);
+
+    const data = await exportAll();
+    expect(data.clients.map((c) => c.id)).toEqual([keptId]);
+    ["visits", "opportunities", "quotes"].forEach((store) => {
+      expect(data[store].map((record) => record.clientId)).toEqual([keptId]);
+    });
+  });
+
+  it("moves the visits, opportunities and quotes of the merged clients onto the one kept", async () => {
+    const keptId = await addClientWithHistory("Kept");
+    const removedId = await addClientWithHistory("Removed");
+
+    const kept = await clientRepo.get(keptId);
+    expect(await clientRepo.merge({ ...kept, notes: "merged" }, [removedId])).toBe(1);
+
+    const data = await exportAll();
+    expect(data.clients).toEqual([expect.objectContaining({ id: keptId, notes: "merged" })]);
+    ["visits", "opportunities", "quotes"].forEach((store) => {
+      expect(data[store]).toHaveLength(2);
+      expect(data[store].every((record) => record.clientId === keptId)).toBe(true);
+    });
+  });
+});
+
+describe("opportunityRepo.delete", () => {
+  it("keeps the visits logged against it, without the link", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    const opportunityId = await opportunityRepo.add({ clientId, title: "Kitchen", stage: "quoted" });
+    await visitRepo.add({ clientId, opportunityId, date: "2025-03-01" });
+
+    await opportunityRepo.delete(opportunityId);
+
+    expect(await opportunityRepo.getAll()).toEqual([]);
+    const [visit] = await visitRepo.getAll();
+    expect(visit).not.toHaveProperty("opportunityId");
+  });
+});
+
+describe("productRepo.delete", () => {
+  it("unlinks the product from visits and keeps its name as free text", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    const keptId = await productRepo.add({ name: "Statuario" });
+    const deletedId = await productRepo.add({ name: "Calacatta" });
+    await visitRepo.add({ clientId, date: "2025-03-01", productIds: [keptId, deletedId], products: "Remnants" });
+
+    expect(await visitRepo.getByProduct(deletedId)).toHaveLength(1);
+    await productRepo.delete(deletedId);
+
+    expect((await productRepo.getAll()).map((p) => p.id)).toEqual([keptId]);
+    const [visit] = await visitRepo.getAll();
+    expect(visit).toMatchObject({ productIds: [keptId], products: "Calacatta, Remnants" });
+  });
+});
+
+describe("quoteRepo", () => {
+  const pendingQuote = (clientId) => ({
+    clientId,
+    kind: "quote",
+    status: "pending",
+    items: [],
+    validUntil: "2025-03-10"
+  });
+
+  it("writes a sweep: expired quotes and reminders linked both ways", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    const expiringId = await quoteRepo.add(pendingQuote(clientId));
+    const expiredId = await quoteRepo.add({ ...pendingQuote(clientId), validUntil: "2025-02-01" });
+    const [expiring, expired] = await quoteRepo.getAll();
+
+    await quoteRepo.applySweep({
+      expire: [{ ...expired, status: "expired" }],
+      reminders: [{ quote: expiring, visit: { clientId, followUpDate: "2025-03-08", quoteId: expiringId } }]
+    });
+
+    const quotes = await quoteRepo.getAll();
+    const [reminder] = await visitRepo.getAll();
+    expect(quotes.find((q) => q.id === expiredId).status).toBe("expired");
+    expect(quotes.find((q) => q.id === expiringId).reminderVisitId).toBe(reminder.id);
+    expect(reminder.quoteId).toBe(expiringId);
+  });
+
+  it("closes the reminder once the quote is settled, moved or deleted", async () => {
+    const clientId = await clientRepo.add({ name: "ABC Granite" });
+    const reminderOf = async (quote) => {
+      const reminderVisitId = await visitRepo.add({ clientId, followUpDate: "2025-03-08", completed: false });
+      const id = await quoteRepo.add({ ...quote, reminderVisitId });
+      return {
+        quote: { ...quote, id, reminderVisitId },
+        isClosed: async () => (await visitRepo.getAll()).find((v) => v.id === reminderVisitId).completed
+      };
+    };
+
+    const accepted = await reminderOf(pendingQuote(clientId));
+    await quoteRepo.put({ ...accepted.quote, notes: "Still pending" });
+    expect(await accepted.isClosed()).toBe(false);
+    await quoteRepo.put({ ...accepted.quote, status: "accepted" });
+    expect(await accepted.isClosed()).toBe(true);
+
+    const moved = await reminderOf(pendingQuote(clientId));
+    await quoteRepo.put({ ...moved.quote, validUntil: "2025-04-01" }, { resetReminder: true });
+    expect(await moved.isClosed()).toBe(true);
+    expect((await quoteRepo.getAll()).find((q) => q.id === moved.quote.id).reminderVisitId).toBe(null);
+
+    const deleted = await reminderOf(pendingQuote(clientId));
+    await quoteRepo.delete(deleted.quote);
+    expect(await deleted.isClosed()).toBe(true);
+  });
+});
+
+describe("auditRepo.undo", () => {
+  it("brings a deleted client back with its history", async () => {
+    const clientId = await addClientWithHistory("Deleted");
+    await clientRepo.delete(clientId);
+    await auditRepo.undo(auditRepo.lastBatch());
+
+    const data = await exportAll();
+    expect(data.clients).toEqual([expect.objectContaining({ id: clientId, name: "Deleted" })]);
+    ["visits", "opportunities", "quotes"].forEach((store) => {
+      expect(data[store].map((record) => record.clientId)).toEqual([clientId]);
+    });
+  });
+
+  it("uses a new id when the old one has gone to another record", async () => {
+    const clientId = await addClientWithHistory("Deleted");
+    await clientRepo.delete(clientId);
+    const batch = auditRepo.lastBatch();
+    await clientRepo.put({ id: clientId, name: "Restored from a backup" });
+
+    await auditRepo.undo(batch);
+
+    expect((await clientRepo.get(clientId)).name).toBe("Restored from a backup");
+    const restored = (await clientRepo.getAll()).find((c) => c.name === "Deleted");
+    expect(restored.id).not.toBe(clientId);
+
+    const [visit] = await visitRepo.getByClient(restored.id);
+    expect(visit.note).toBe("Deleted visit");
+    const [quote] = (await quoteRepo.getAll()).filter((q) => q.clientId === restored.id);
+    expect(quote.visitId).toBe(visit.id);
+    expect((await opportunityRepo.getAll()).map((o) => o.clientId)).toEqual([restored.id]);
+  });
+});
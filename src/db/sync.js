@@ -0,0 +1,319 @@
+import { runTransaction, collect } from "./database.js";
+import {
+  SYNCED_STORES,
+  isSyncEnabled,
+  getSyncSettings,
+  saveSyncSettings,
+  stampRecord,
+  snapshotFields,
+  collapseOutbox,
+  translateReferences,
+  mergeRemoteFields,
+  syncRequest
+} from "../lib/sync.js";
+import { auditEntry } from "../lib/audit.js";
+
+// =========================
+// Sync engine: change tracking, outbox, push / pull
+// =========================
+// The merge rules and the wire format live in lib/sync.js; this is the part
+// that reads and writes IndexedDB.
+
+// Bookkeeping stores every tracked write transaction also needs
+export const SYNC_STORES = ["outbox", "tombstones"];
+
+// Pull pages are fetched until the server says there is no more
+const PULL_PAGE_SIZE = 500;
+
+const trackedStore = (name, store, { outbox, tombstones, auditLog }, isQueued, audit, now) => {
+  const queue = (uuid, fields) => isQueued && fields && outbox.add({ store: name, uuid, fields, at: now });
+  const log = (before, after) => {
+    const entry = audit && auditEntry(name, before, after, { ...audit, at: now });
+    if (entry) auditLog.add(entry);
+  };
+
+  // A new record's id is only known once the add succeeds
+  const addStamped = (record) => {
+    const { record: stamped, changes } = stampRecord(undefined, record, now);
+    queue(stamped.uuid, changes);
+    const request = store.add(stamped);
+    request.addEventListener("success", () => log(undefined, { ...stamped, id: request.result }));
+    return request;
+  };
+
+  return {
+    get: (key) => store.get(key),
+    getAll: (query) => store.getAll(query),
+    count: (query) => store.count(query),
+    index: (indexName) => store.index(indexName),
+    clear: () => store.clear(),
+
+    add: addStamped,
+
+    // Reads the stored version first so only fields that really changed are
+    // stamped. Nothing to collect: put resolves with no result.
+    put: (record) => {
+      if (record.id === undefined) {
+        addStamped(record);
+        return;
+      }
+
+      const request = store.get(record.id);
+      request.onsuccess = () => {
+        const { record: stamped, changes } = stampRecord(request.result, record, now);
+        queue(stamped.uuid, changes);
+        store.put(stamped);
+        log(request.result, stamped);
+      };
+    },
+
+    // The tombstone keeps a pull from bringing the record back before the
+    // delete has been pushed
+    delete: (key) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const stored = request.result;
+        store.delete(key);
+        if (stored) log(stored, undefined);
+        if (!isQueued || !stored?.uuid) return;
+        tombstones.put({ uuid: stored.uuid, store: name, id: key, deletedAt: now });
+        outbox.add({ store: name, uuid: stored.uuid, deletedAt: now });
+      };
+    }
+  };
+};
+
+/**
+ * Wraps the stores of a readwrite transaction (which must include
+ * SYNC_STORES and "auditLog") so adds, puts and deletes on synced stores keep
+ * every record's uuid / updatedAt / fieldTimes current and, while sync is on,
+ * queue the change in the outbox. With `audit` ({ batch, source }, see
+ * lib/audit.js) each write is also recorded in the audit log. Reads go
+ * straight to the store.
+ */
+export const trackChanges = (stores, audit = null) => {
+  const isQueued = isSyncEnabled();
+  const now = Date.now();
+  const tracked = { ...stores };
+  SYNCED_STORES.forEach((name) => {
+    if (stores[name]) tracked[name] = trackedStore(name, stores[name], stores, isQueued, audit, now);
+  });
+  return tracked;
+};
+
+// Calls onRead({ storeName: records }) once every store has been read, still
+// inside the transaction, so the writes that follow see exactly what was read
+const readStores = (stores, names, onRead) => {
+  const data = {};
+  let pending = names.length;
+  names.forEach((name) => {
+    const request = stores[name].getAll();
+    request.onsuccess = () => {
+      data[name] = request.result;
+      pending -= 1;
+      if (pending === 0) onRead(data);
+    };
+  });
+};
+
+// Queues every record in full. Used when sync is turned on, so whatever was
+// entered before reaches the server on the first push.
+const queueEverything = () =>
+  runTransaction([...SYNCED_STORES, "outbox"], "readwrite", (stores) =>
+    readStores(stores, SYNCED_STORES, (data) => {
+      const now = Date.now();
+      SYNCED_STORES.forEach((name) =>
+        data[name].forEach((record) =>
+          stores.outbox.add({ store: name, uuid: record.uuid, fields: snapshotFields(record), at: now })
+        )
+      );
+    })
+  );
+
+export const enableSync = async ({ endpoint, token }) => {
+  const { deviceId } = getSyncSettings();
+  saveSyncSettings({
+    endpoint: endpoint.trim(),
+    token: token.trim(),
+    deviceId: deviceId || crypto.randomUUID(),
+    cursor: 0,
+    lastError: null
+  });
+  await queueEverything();
+};
+
+// Unsent changes are dropped: turning sync back on queues everything again anyway
+export const disableSync = async () => {
+  saveSyncSettings({ endpoint: "", cursor: 0, lastSyncAt: null, lastError: null });
+  await runTransaction(SYNC_STORES, "readwrite", ({ outbox, tombstones }) => {
+    outbox.clear();
+    tombstones.clear();
+  });
+};
+
+// The next pull starts from the beginning again, e.g. after a backup replaced
+// the local data
+export const resetPullCursor = () => isSyncEnabled() && saveSyncSettings({ cursor: 0 });
+
+/** @returns {Promise<number>} changes waiting to be pushed */
+export const countPendingChanges = () =>
+  runTransaction(["outbox"], "readonly", ({ outbox }) => {
+    const result = {};
+    collect(outbox.count(), result, "count");
+    return result;
+  }).then((result) => result.count);
+
+// Sends the outbox; entries are removed only once the server has accepted them
+const push = async (settings) => {
+  const data = await runTransaction([...SYNCED_STORES, ...SYNC_STORES], "readonly", (stores) => {
+    const result = {};
+    [...SYNCED_STORES, ...SYNC_STORES].forEach((name) => collect(stores[name].getAll(), result, name));
+    return result;
+  });
+  if (data.outbox.length === 0) return 0;
+
+  // References to a record deleted since still need its uuid; a live record
+  // that has since been given the same id takes precedence
+  const uuids = new Map();
+  data.tombstones.forEach((tombstone) => uuids.set(`${tombstone.store}/${tombstone.id}`, tombstone.uuid));
+  SYNCED_STORES.forEach((name) => data[name].forEach((record) => uuids.set(`${name}/${record.id}`, record.uuid)));
+  const toUuid = (storeName, id) => uuids.get(`${storeName}/${id}`) ?? null;
+
+  const changes = collapseOutbox(data.outbox).map((change) => ({
+    ...change,
+    fields: translateReferences(change.store, change.fields, toUuid)
+  }));
+  await syncRequest(settings, "POST", "/push", { deviceId: settings.deviceId, changes });
+
+  const lastId = data.outbox[data.outbox.length - 1].id;
+  await runTransaction(["outbox"], "readwrite", ({ outbox }) => outbox.delete(IDBKeyRange.upperBound(lastId)));
+  return changes.length;
+};
+
+// Writes pulled changes in one transaction, bypassing change tracking (they
+// came from the server, so there is nothing to push back). New records are
+// added first as placeholders so the store's key generator picks their ids:
+// it never hands out an id used before, not even one of a deleted record that
+// a push or an undo could still refer to. Once every id is known, references
+// between the pulled records resolve in a single pass.
+// The audit log still gets an entry per record, credited to "another device".
+const applyRemoteChanges = (remoteChanges) =>
+  runTransaction([...SYNCED_STORES, "tombstones", "auditLog"], "readwrite", (stores) => {
+    const applied = { count: 0 };
+    const audit = { batch: crypto.randomUUID(), source: "sync", at: Date.now() };
+    const log = (store, before, after) => {
+      const entry = auditEntry(store, before, after, audit);
+      if (entry) stores.auditLog.add(entry);
+    };
+
+    readStores(stores, [...SYNCED_STORES, "tombstones"], (data) => {
+      const deleted = new Set(data.tombstones.map((t) => t.uuid));
+      const byUuid = {};
+      const ids = {};
+      SYNCED_STORES.forEach((name) => {
+        byUuid[name] = new Map(data[name].map((record) => [record.uuid, record]));
+        ids[name] = new Map(data[name].map((record) => [record.uuid, record.id]));
+      });
+
+      remoteChanges.forEach(({ store, uuid, deletedAt }) => {
+        if (!ids[store] || deletedAt || deleted.has(uuid) || ids[store].has(uuid)) return;
+        ids[store].set(uuid, null);
+        const request = stores[store].add({ uuid });
+        request.onsuccess = () => ids[store].set(uuid, request.result);
+      });
+      const toId = (storeName, uuid) => ids[storeName].get(uuid) ?? null;
+
+      // Requests complete in order, so by the time this count succeeds every
+      // placeholder above has its id
+      stores.tombstones.count().onsuccess = () =>
+        remoteChanges.forEach(({ store, uuid, fields, deletedAt }) => {
+          if (!byUuid[store]) return;
+          const local = byUuid[store].get(uuid);
+
+          if (deletedAt) {
+            if (local) {
+              stores[store].delete(local.id);
+              log(store, local, undefined);
+            }
+            if (local || !deleted.has(uuid)) stores.tombstones.put({ uuid, store, id: local?.id, deletedAt });
+            applied.count += local ? 1 : 0;
+            return;
+          }
+          if (deleted.has(uuid)) return;
+
+          const merged = mergeRemoteFields(local, translateReferences(store, fields, toId));
+          if (!merged) return;
+          const record = { ...merged, id: toId(store, uuid), uuid };
+          stores[store].put(record);
+          byUuid[store].set(uuid, record);
+          log(store, local, record);
+          applied.count += 1;
+        });
+    });
+
+    return applied;
+  }).then((applied) => applied.count);
+
+const pull = async (settings) => {
+  const changes = [];
+  let cursor = settings.cursor || 0;
+  let more = true;
+
+  while (more) {
+    const page = await syncRequest(settings, "GET", `/pull?since=${cursor}&limit=${PULL_PAGE_SIZE}`);
+    changes.push(...page.changes);
+    cursor = page.cursor;
+    more = page.more;
+  }
+
+  const applied = changes.length > 0 ? await applyRemoteChanges(changes) : 0;
+  saveSyncSettings({ cursor });
+  return applied;
+};
+
+let running = null;
+let listener = null;
+let timer = null;
+
+// Called after a sync changed local records (the app reloads its data)
+export const setSyncListener = (callback) => {
+  listener = callback;
+};
+
+/**
+ * Pushes local changes, then pulls everyone else's. Concurrent calls share one
+ * run. Resolves with { pushed, pulled } (pulled = local records changed), and
+ * records the time or the error in the sync settings.
+ */
+export const syncNow = () => {
+  if (running) return running;
+
+  running = (async () => {
+    const settings = getSyncSettings();
+    if (!settings.endpoint) return { pushed: 0, pulled: 0 };
+
+    try {
+      const pushed = await push(settings);
+      const pulled = await pull(settings);
+      saveSyncSettings({ lastSyncAt: new Date().toISOString(), lastError: null });
+      if (pulled > 0) listener?.();
+      return { pushed, pulled };
+    } catch (err) {
+      saveSyncSettings({ lastError: err?.message || String(err) });
+      throw err;
+    }
+  })().finally(() => (running = null));
+
+  return running;
+};
+
+/**
+ * Syncs in the background after `delay` ms; calls within the delay are
+ * folded into one, so a burst of saves goes out together. Failures only end
+ * up in the sync settings: the outbox keeps everything for the next attempt.
+ */
+export const requestSync = (delay = 0) => {
+  if (!isSyncEnabled()) return;
+  clearTimeout(timer);
+  timer = setTimeout(() => syncNow().catch(() => {}), delay);
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from "vitest";
+import { createSyncServer } from "../../server/sync-server.js";
+import { createDevice, switchToDevice } from "../test/database.js";
+import { enableSync, syncNow } from "./sync.js";
+import { clientRepo, visitRepo } from "./repository.js";
+
+let server;
+let endpoint;
+
+beforeAll(async () => {
+  server = createSyncServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+// Writes schedule a background sync; the tests sync explicitly instead, on
+// the device they have switched to
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout"] });
+  return () => vi.useRealTimers();
+});
+
+describe("push and pull between two devices", () => {
+  let phone;
+  let laptop;
+
+  beforeEach(async () => {
+    phone = createDevice();
+    laptop = createDevice();
+    for (const device of [phone, laptop]) {
+      await switchToDevice(device);
+      await enableSync({ endpoint, token: "" });
+    }
+  });
+
+  it("brings a client and its visit over with the reference intact", async () => {
+    await switchToDevice(phone);
+    const clientId = await clientRepo.add({ name: "ABC Granite", city: "Edison" });
+    await visitRepo.add({ clientId, date: "2025-03-01", note: "Showed samples" });
+    expect(await syncNow()).toMatchObject({ pushed: 2 });
+
+    await switchToDevice(laptop);
+    await clientRepo.add({ name: "Laptop only" });
+    const { pulled } = await syncNow();
+    expect(pulled).toBe(2);
+
+    const client = (await clientRepo.getAll()).find((c) => c.name === "ABC Granite");
+    expect(client).toMatchObject({ city: "Edison" });
+    expect(await visitRepo.getByClient(client.id)).toEqual([expect.objectContaining({ note: "Showed samples" })]);
+
+    // ...and the laptop's own client goes the other way
+    await switchToDevice(phone);
+    await syncNow();
+    expect((await clientRepo.getAll()).map((c) => c.name).sort()).toEqual(["ABC Granite", "Laptop only"]);
+  });
+
+  it("gives pulled records ids no deleted record had", async () => {
+    await switchToDevice(phone);
+    await clientRepo.add({ name: "From the phone" });
+    await syncNow();
+
+    await switchToDevice(laptop);
+    await clientRepo.add({ name: "Kept" });
+    const deletedId = await clientRepo.add({ name: "Deleted" });
+    await clientRepo.delete(deletedId);
+    await syncNow();
+
+    const clients = await clientRepo.getAll();
+    expect(clients.map((c) => c.name)).toContain("From the phone");
+    clients.filter((c) => c.name !== "Kept").forEach((c) => expect(c.id).toBeGreaterThan(deletedId));
+  });
+});
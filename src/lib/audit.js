@@ -0,0 +1,241 @@
+import { formatDate, formatTime } from "./dates.js";
+import { stageLabel, formatValue } from "./opportunities.js";
+import { kindLabel, quoteStatusLabel } from "./quotes.js";
+
+// =========================
+// Change history: audit entries, device name, timeline wording
+// =========================
+// Every tracked write (see db/sync.js) also records an audit entry per record
+// it touched, with the record as it was before and after. Entries written in
+// the same transaction share a `batch`, which is what Undo reverts.
+//
+// AuditEntry = { id, at, batch, action: "create" | "update" | "delete", store,
+//   recordId, clientId, before, after, source: "device" | "sync" | "automatic",
+//   device }
+
+// Entries older than this are dropped at startup
+export const AUDIT_RETENTION_DAYS = 180;
+
+// Bookkeeping and derived values that say nothing about what the user changed
+const SKIPPED_FIELDS = new Set([
+  "id",
+  "uuid",
+  "updatedAt",
+  "fieldTimes",
+  "lastVisitDate",
+  "lastVisitSummary",
+  "openFollowUps",
+  "lastSignal"
+]);
+
+const DEVICE_NAME_KEY = "fieldcrm.deviceName";
+
+const guessDeviceName = () => {
+  const agent = typeof navigator === "undefined" ? "" : navigator.userAgent;
+  if (/iPad/.test(agent)) return "iPad";
+  if (/iPhone/.test(agent)) return "iPhone";
+  if (/Android/.test(agent)) return "Android device";
+  if (/Macintosh/.test(agent)) return "Mac";
+  if (/Windows/.test(agent)) return "Windows PC";
+  return "This device";
+};
+
+// Shown as the "who" of every change made here, so histories merged by sync
+// still tell phones apart
+export const getDeviceName = () => {
+  try {
+    return localStorage.getItem(DEVICE_NAME_KEY) || guessDeviceName();
+  } catch {
+    return guessDeviceName();
+  }
+};
+
+export const saveDeviceName = (name) => localStorage.setItem(DEVICE_NAME_KEY, name.trim());
+
+// Snapshots leave out the sync bookkeeping; restoring one gets it back from
+// the stored record (or a fresh uuid when the record is gone)
+const snapshot = (record) => {
+  if (!record) return null;
+  const copy = { ...record };
+  delete copy.uuid;
+  delete copy.fieldTimes;
+  delete copy.updatedAt;
+  return copy;
+};
+
+const clientIdOf = (storeName, record) => (storeName === "clients" ? record?.id : record?.clientId) ?? null;
+
+/**
+ * The entry for one record write; `before` is undefined for a create and
+ * `after` for a delete. Returns null for a put that changed nothing.
+ */
+export const auditEntry = (storeName, before, after, { batch, source, at }) => {
+  const action = !before ? "create" : !after ? "delete" : "update";
+  if (action === "update" && changedFields(before, after).length === 0) return null;
+
+  return {
+    at,
+    batch,
+    action,
+    store: storeName,
+    recordId: (after || before).id,
+    clientId: clientIdOf(storeName, after) ?? clientIdOf(storeName, before),
+    before: snapshot(before),
+    after: snapshot(after),
+    source,
+    device: source === "device" ? getDeviceName() : null
+  };
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedFields = (before, after) =>
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].filter(
+    (name) => !SKIPPED_FIELDS.has(name) && !sameValue(before?.[name], after?.[name])
+  );
+
+const FIELD_LABELS = {
+  name: "Name",
+  city: "City",
+  state: "State",
+  contact: "Contact",
+  phone: "Phone",
+  email: "Email",
+  segment: "Segment",
+  status: "Status",
+  notes: "Notes",
+  address: "Address",
+  zip: "ZIP",
+  lat: "Latitude",
+  lng: "Longitude",
+  geoSource: "Location from",
+  clientId: "Client",
+  date: "Date",
+  touchType: "Type",
+  outcome: "Outcome",
+  products: "Products",
+  productIds: "Products",
+  signal: "Signal",
+  note: "Note",
+  nextAction: "Next action",
+  followUpDate: "Follow-up date",
+  followUpTime: "Follow-up time",
+  followUpDuration: "Follow-up length",
+  completed: "Follow-up done",
+  priority: "Priority",
+  opportunityId: "Opportunity",
+  quoteId: "Quote",
+  title: "Title",
+  stage: "Stage",
+  value: "Value",
+  expectedCloseDate: "Expected close",
+  visitId: "Visit",
+  kind: "Kind",
+  items: "Items",
+  validUntil: "Valid until",
+  reminderVisitId: "Reminder",
+  sku: "SKU",
+  category: "Category",
+  finish: "Finish",
+  priceTier: "Price tier"
+};
+
+// Ids of other records mean nothing on screen: these only say that they changed
+const REFERENCE_FIELDS = new Set([
+  "clientId",
+  "productIds",
+  "opportunityId",
+  "quoteId",
+  "visitId",
+  "reminderVisitId",
+  "items"
+]);
+
+const DATE_FIELDS = new Set(["date", "followUpDate", "expectedCloseDate", "validUntil"]);
+
+const formatField = (storeName, name, value) => {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (DATE_FIELDS.has(name)) return formatDate(value);
+  if (name === "followUpTime") return formatTime(value);
+  if (storeName === "opportunities" && name === "stage") return stageLabel(value);
+  if (storeName === "opportunities" && name === "value") return formatValue(value);
+  if (storeName === "quotes" && name === "status") return quoteStatusLabel(value);
+  if (storeName === "quotes" && name === "kind") return kindLabel(value);
+  return String(value);
+};
+
+const STORE_NOUNS = {
+  clients: "Client",
+  visits: "Visit",
+  opportunities: "Opportunity",
+  products: "Product",
+  quotes: "Quote"
+};
+
+const subjectOf = (storeName, record) => {
+  if (!record) return "";
+  if (storeName === "visits") return [record.touchType, formatDate(record.date)].filter(Boolean).join(" · ");
+  if (storeName === "opportunities") return record.title || "";
+  if (storeName === "quotes")
+    return [kindLabel(record.kind), formatDate(record.validUntil)].filter(Boolean).join(" · ");
+  return record.name || "";
+};
+
+const ACTION_VERBS = { create: "added", update: "updated", delete: "deleted" };
+
+// "Oct 19, 2026 · 2:30 PM"
+const formatMoment = (at) => {
+  const date = new Date(at);
+  const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+  return `${formatDate(at)} · ${formatTime(time)}`;
+};
+
+/**
+ * Timeline wording for an entry: { title, subject, who, when, changes: [{
+ * label, from, to }] }. A reference change has from / to null: only the label shows.
+ */
+export const describeAuditEntry = (entry) => {
+  const { action, store, before, after } = entry;
+  const record = after || before;
+  const noun = store === "quotes" && record?.kind ? kindLabel(record.kind) : STORE_NOUNS[store] || store;
+  const followUpDone = store === "visits" && action === "update" && !before.completed && after.completed;
+
+  const changes =
+    action === "update"
+      ? changedFields(before, after).map((name) => ({
+          label: FIELD_LABELS[name] || name,
+          from: REFERENCE_FIELDS.has(name) ? null : formatField(store, name, before[name]),
+          to: REFERENCE_FIELDS.has(name) ? null : formatField(store, name, after[name])
+        }))
+      : [];
+
+  return {
+    title: followUpDone ? "Follow-up marked done" : `${noun} ${ACTION_VERBS[action]}`,
+    subject: subjectOf(store, record),
+    who:
+      entry.source === "sync"
+        ? "Another device"
+        : entry.source === "automatic"
+          ? "FieldCRM"
+          : entry.device || "Unknown",
+    when: formatMoment(entry.at),
+    // "Follow-up done: No → Yes" would only repeat the title
+    changes: followUpDone ? changes.filter((change) => change.label !== FIELD_LABELS.completed) : changes
+  };
+};
+
+// =========================
+// Undo offers
+// =========================
+// The toast lives outside the app's views (see UndoToast.jsx) so showing and
+// hiding it never re-renders a form being filled in.
+
+let undoListener = null;
+
+export const setUndoListener = (callback) => {
+  undoListener = callback;
+};
+
+// message: what was done ("Visit deleted"); batch: the audit batch to revert
+export const offerUndo = (message, batch) => batch && undoListener?.({ message, batch });
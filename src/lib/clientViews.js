@@ -0,0 +1,131 @@
+import { daysBetween, compareDateKeysDesc } from "./dates.js";
+import { SIGNALS, COVERAGE_THRESHOLDS } from "./reports.js";
+
+// =========================
+// Clients list: filters, sort orders and saved views
+// =========================
+// Filters work on the clients as loadData enriches them (lastVisitDate,
+// lastSignal, openFollowUps). Within a group any chosen value matches (NJ or
+// NY); across groups every group must match (NJ and Hot). Saved views are a
+// name plus filters and sort, kept in localStorage on this device.
+
+export const emptyClientFilters = () => ({
+  segments: [],
+  statuses: [],
+  states: [],
+  cities: [],
+  signals: [],
+  hasOpenFollowUps: false,
+  notVisitedDays: null
+});
+
+// Chip groups: filter key → the client value it tests
+export const CLIENT_FILTER_GROUPS = [
+  { key: "segments", label: "Segment", valueOf: (client) => client.segment },
+  { key: "statuses", label: "Status", valueOf: (client) => client.status },
+  { key: "states", label: "State", valueOf: (client) => client.state },
+  { key: "cities", label: "City", valueOf: (client) => client.city },
+  { key: "signals", label: "Latest signal", valueOf: (client) => client.lastSignal }
+];
+
+export const NOT_VISITED_OPTIONS = COVERAGE_THRESHOLDS;
+
+const sortedValues = (clients, valueOf) =>
+  [...new Set(clients.map(valueOf).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Values each chip group can offer: { segments: [...], ... }. Signals keep
+ * hot → cold order; cities narrow to the chosen states.
+ */
+export const clientFilterOptions = (clients, filters) => {
+  const options = {};
+  CLIENT_FILTER_GROUPS.forEach(({ key, valueOf }) => (options[key] = sortedValues(clients, valueOf)));
+  options.signals = SIGNALS.filter((signal) => options.signals.includes(signal));
+  if (filters.states.length > 0) {
+    options.cities = sortedValues(
+      clients.filter((c) => filters.states.includes(c.state)),
+      (c) => c.city
+    );
+  }
+  return options;
+};
+
+export const countActiveFilters = (filters) =>
+  CLIENT_FILTER_GROUPS.reduce((count, { key }) => count + filters[key].length, 0) +
+  (filters.hasOpenFollowUps ? 1 : 0) +
+  (filters.notVisitedDays ? 1 : 0);
+
+// Never visited counts as not visited
+const notVisitedSince = (client, days, today) =>
+  !client.lastVisitDate || daysBetween(client.lastVisitDate, today) >= days;
+
+export const applyClientFilters = (clients, filters, today) =>
+  clients.filter(
+    (client) =>
+      CLIENT_FILTER_GROUPS.every(
+        ({ key, valueOf }) => filters[key].length === 0 || filters[key].includes(valueOf(client))
+      ) &&
+      (!filters.hasOpenFollowUps || client.openFollowUps > 0) &&
+      (!filters.notVisitedDays || notVisitedSince(client, filters.notVisitedDays, today))
+  );
+
+// Hot first, no signal last
+const signalRank = (client) => {
+  const rank = SIGNALS.indexOf(client.lastSignal);
+  return rank === -1 ? SIGNALS.length : rank;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+const byLastVisit = (a, b) => compareDateKeysDesc(a.lastVisitDate, b.lastVisitDate);
+
+// Ties fall back to the most recent visit, then the name
+export const CLIENT_SORTS = [
+  { key: "lastVisit", label: "Last visit", compare: (a, b) => byLastVisit(a, b) || byName(a, b) },
+  { key: "name", label: "Name", compare: byName },
+  {
+    key: "openFollowUps",
+    label: "Open follow-ups",
+    compare: (a, b) => b.openFollowUps - a.openFollowUps || byLastVisit(a, b) || byName(a, b)
+  },
+  {
+    key: "signal",
+    label: "Signal",
+    compare: (a, b) => signalRank(a) - signalRank(b) || byLastVisit(a, b) || byName(a, b)
+  }
+];
+
+export const DEFAULT_CLIENT_SORT = "lastVisit";
+
+export const sortClients = (clients, sortKey) => {
+  const { compare } = CLIENT_SORTS.find((s) => s.key === sortKey) || CLIENT_SORTS[0];
+  return [...clients].sort(compare);
+};
+
+const SAVED_VIEWS_KEY = "fieldcrm.clientViews";
+
+/** @returns {{ id: string, name: string, filters: Object, sort: string }[]} */
+export const getSavedClientViews = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const storeSavedClientViews = (views) => localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+
+// A view with the same name is replaced, so "save" again updates it
+export const saveClientView = (name, filters, sort) => {
+  const others = getSavedClientViews().filter((view) => view.name.toLowerCase() !== name.toLowerCase());
+  const view = { id: crypto.randomUUID(), name, filters, sort };
+  storeSavedClientViews([...others, view].sort((a, b) => a.name.localeCompare(b.name)));
+  return view;
+};
+
+export const deleteClientView = (id) => storeSavedClientViews(getSavedClientViews().filter((view) => view.id !== id));
+
+// Views saved before a filter existed get its empty value
+export const viewFilters = (view) => ({ ...emptyClientFilters(), ...view.filters });
+
+export const isSameView = (view, filters, sort) =>
+  view.sort === sort && JSON.stringify(viewFilters(view)) === JSON.stringify(filters);
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  emptyClientFilters,
+  clientFilterOptions,
+  countActiveFilters,
+  applyClientFilters,
+  sortClients,
+  getSavedClientViews,
+  saveClientView,
+  deleteClientView,
+  viewFilters,
+  isSameView
+} from "./clientViews.js";
+
+const today = "2025-03-15";
+const clients = [
+  {
+    id: 1,
+    name: "ABC Granite",
+    state: "NJ",
+    city: "Edison",
+    segment: "Fabricator",
+    lastSignal: "Warm",
+    lastVisitDate: "2025-03-10",
+    openFollowUps: 1
+  },
+  {
+    id: 2,
+    name: "Stone World",
+    state: "NY",
+    city: "Albany",
+    segment: "Dealer",
+    lastSignal: "Hot",
+    lastVisitDate: "2024-12-01",
+    openFollowUps: 0
+  },
+  { id: 3, name: "Marble Co", state: "NJ", city: "Newark", segment: "Fabricator", openFollowUps: 2 },
+  {
+    id: 4,
+    name: "Quartz Inc",
+    state: "NJ",
+    city: "Edison",
+    lastSignal: "Cold",
+    lastVisitDate: "2025-03-10",
+    openFollowUps: 2
+  }
+];
+
+const filtersWith = (changes) => ({ ...emptyClientFilters(), ...changes });
+const ids = (list) => list.map((c) => c.id);
+
+describe("clientFilterOptions", () => {
+  it("offers the values present, signals hot to cold, cities within the chosen states", () => {
+    const options = clientFilterOptions(clients, filtersWith({ states: ["NJ"] }));
+    expect(options.segments).toEqual(["Dealer", "Fabricator"]);
+    expect(options.signals).toEqual(["Hot", "Warm", "Cold"]);
+    expect(options.cities).toEqual(["Edison", "Newark"]);
+    expect(clientFilterOptions(clients, emptyClientFilters()).cities).toEqual(["Albany", "Edison", "Newark"]);
+  });
+});
+
+describe("applyClientFilters", () => {
+  it("matches any value within a group and every group across them", () => {
+    expect(ids(applyClientFilters(clients, filtersWith({ states: ["NJ", "NY"] }), today))).toEqual([1, 2, 3, 4]);
+    expect(ids(applyClientFilters(clients, filtersWith({ states: ["NJ"], segments: ["Fabricator"] }), today))).toEqual([
+      1, 3
+    ]);
+  });
+
+  it("filters on open follow-ups and on time since the last visit, never visited included", () => {
+    expect(ids(applyClientFilters(clients, filtersWith({ hasOpenFollowUps: true }), today))).toEqual([1, 3, 4]);
+    expect(ids(applyClientFilters(clients, filtersWith({ notVisitedDays: 90 }), today))).toEqual([2, 3]);
+  });
+
+  it("counts one per chosen value and per toggle", () => {
+    expect(countActiveFilters(filtersWith({ states: ["NJ", "NY"], hasOpenFollowUps: true, notVisitedDays: 30 }))).toBe(
+      4
+    );
+    expect(countActiveFilters(emptyClientFilters())).toBe(0);
+  });
+});
+
+describe("sortClients", () => {
+  it("sorts by last visit, then name", () => {
+    expect(ids(sortClients(clients, "lastVisit"))).toEqual([1, 4, 2, 3]);
+  });
+
+  it("sorts by open follow-ups or signal, falling back to the last visit", () => {
+    expect(ids(sortClients(clients, "openFollowUps"))).toEqual([4, 3, 1, 2]);
+    expect(ids(sortClients(clients, "signal"))).toEqual([2, 1, 4, 3]);
+    expect(ids(sortClients(clients, "name"))).toEqual([1, 3, 4, 2]);
+  });
+});
+
+describe("saved views", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("saves views by name, replacing one with the same name", () => {
+    saveClientView("Stale NJ", filtersWith({ states: ["NJ"] }), "lastVisit");
+    saveClientView("Hot leads", filtersWith({ signals: ["Hot"] }), "signal");
+    const replaced = saveClientView("stale nj", filtersWith({ states: ["NJ"], notVisitedDays: 60 }), "name");
+
+    expect(getSavedClientViews().map((v) => v.name)).toEqual(["Hot leads", "stale nj"]);
+    deleteClientView(replaced.id);
+    expect(getSavedClientViews().map((v) => v.name)).toEqual(["Hot leads"]);
+  });
+
+  it("fills in filters added after a view was saved", () => {
+    const view = { id: "v1", name: "Old", filters: { states: ["NJ"] }, sort: "name" };
+    expect(viewFilters(view)).toEqual(filtersWith({ states: ["NJ"] }));
+    expect(isSameView(view, filtersWith({ states: ["NJ"] }), "name")).toBe(true);
+    expect(isSameView(view, filtersWith({ states: ["NJ"] }), "signal")).toBe(false);
+  });
+
+  it("reads a corrupt entry as no views", () => {
+    localStorage.setItem("fieldcrm.clientViews", "{");
+    expect(getSavedClientViews()).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+// =========================
+// Client matching / de-duplication
+// =========================
+
+// "ABC Granite, Inc." and "abc  granite inc" should compare equal
+export const normalizeName = (value) =>
+  (value || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Last 10 digits, so "+1 (732) 555-0100" matches "732.555.0100"
+export const normalizePhone = (value) => {
+  const digits = (value || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : "";
+};
+
+export const normalizeEmail = (value) => (value || "").trim().toLowerCase();
+
+// Same name in the same city (a missing city on either side still counts)
+export const findLikelyDuplicates = (allClients, { name, city }) => {
+  const key = normalizeName(name);
+  const cityKey = normalizeName(city);
+  if (!key) return [];
+
+  return allClients.filter(
+    (c) => normalizeName(c.name) === key && (!cityKey || !c.city || normalizeName(c.city) === cityKey)
+  );
+};
+
+// Builds a lookup that finds an existing client by normalized name, phone or email
+export const buildClientMatcher = (allClients) => {
+  const byName = new Map();
+  const byPhone = new Map();
+  const byEmail = new Map();
+
+  allClients.forEach((c) => {
+    const name = normalizeName(c.name);
+    const phone = normalizePhone(c.phone);
+    const email = normalizeEmail(c.email);
+    if (name && !byName.has(name)) byName.set(name, c);
+    if (phone && !byPhone.has(phone)) byPhone.set(phone, c);
+    if (email && !byEmail.has(email)) byEmail.set(email, c);
+  });
+
+  return ({ name, phone, email }) => {
+    const checks = [
+      ["name", byName, normalizeName(name)],
+      ["phone", byPhone, normalizePhone(phone)],
+      ["email", byEmail, normalizeEmail(email)]
+    ];
+    for (const [matchedOn, index, key] of checks) {
+      if (key && index.has(key)) return { client: index.get(key), matchedOn };
+    }
+    return null;
+  };
+};
+
+// Groups clients that share a normalized name, phone or email (union-find over ids)
+export const findDuplicateGroups = (allClients) => {
+  const parent = new Map(allClients.map((c) => [c.id, c.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const firstSeen = new Map();
+  allClients.forEach((c) => {
+    [`n:${normalizeName(c.name)}`, `p:${normalizePhone(c.phone)}`, `e:${normalizeEmail(c.email)}`]
+      .filter((key) => key.length > 2)
+      .forEach((key) => {
+        if (firstSeen.has(key)) union(c.id, firstSeen.get(key));
+        else firstSeen.set(key, c.id);
+      });
+  });
+
+  const groups = new Map();
+  allClients.forEach((c) => {
+    const root = find(c.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(c);
+  });
+
+  return [...groups.values()].filter((group) => group.length > 1);
+};
+
+// Keeps the primary's values and fills its blanks from the others; notes are combined
+export const mergeClientRecords = (primary, others) => {
+  const merged = { ...primary };
+
+  others.forEach((other) => {
+    Object.entries(other).forEach(([key, value]) => {
+      if (key === "id" || key === "notes") return;
+      if ((merged[key] ?? "") === "" && (value ?? "") !== "") merged[key] = value;
+    });
+  });
+
+  const notes = [primary, ...others].map((c) => (c.notes || "").trim()).filter(Boolean);
+  merged.notes = [...new Set(notes)].join("\n");
+
+  return merged;
+};
+
+// Only fills in fields the sheet actually has a value for
+export const applyClientUpdate = (existing, incoming) => {
+  const updated = { ...existing };
+  Object.entries(incoming).forEach(([key, value]) => {
+    if (value !== "") updated[key] = value;
+  });
+  return updated;
+};
+
+// =========================
+// Fuzzy name matching (visit import)
+// =========================
+const BUSINESS_SUFFIXES = new Set(["inc", "incorporated", "llc", "ltd", "co", "corp", "corporation", "company", "the"]);
+
+// "The ABC Granite Co." → "abc granite"
+export const coreName = (value) =>
+  normalizeName(value)
+    .split(" ")
+    .filter((word) => !BUSINESS_SUFFIXES.has(word))
+    .join(" ");
+
+// Edits (insert, delete, substitute) that turn a into b
+export const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+// 1 = identical, 0 = nothing in common
+export const nameSimilarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+};
+
+const FUZZY_THRESHOLD = 0.85;
+
+// Returns (name) → { client, exact } or null. Exact means the normalized names are
+// equal; otherwise the best near-miss above FUZZY_THRESHOLD, ignoring Inc./LLC/Co.
+export const buildNameMatcher = (allClients) => {
+  const byName = new Map();
+  allClients.forEach((c) => {
+    const key = normalizeName(c.name);
+    if (key && !byName.has(key)) byName.set(key, c);
+  });
+  const cores = allClients.map((c) => ({ client: c, core: coreName(c.name) })).filter((entry) => entry.core);
+
+  return (name, { fuzzy = true } = {}) => {
+    const exact = byName.get(normalizeName(name));
+    if (exact) return { client: exact, exact: true };
+    if (!fuzzy) return null;
+
+    const core = coreName(name);
+    if (!core) return null;
+
+    let best = null;
+    let bestScore = FUZZY_THRESHOLD;
+    cores.forEach((entry) => {
+      const score = nameSimilarity(core, entry.core);
+      if (score >= bestScore) {
+        best = entry.client;
+        bestScore = score;
+      }
+    });
+    return best ? { client: best, exact: false } : null;
+  };
+};
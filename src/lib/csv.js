@@ -0,0 +1,110 @@
+// =========================
+// CSV parsing (RFC 4180)
+// =========================
+// Handles quoted fields with embedded delimiters / newlines, "" escapes,
+// CRLF or LF line endings and a leading UTF-8 BOM (Excel adds one).
+
+const CANDIDATE_DELIMITERS = [",", "\t", ";"];
+
+// Picks the delimiter that splits the header line into the most columns
+export const detectDelimiter = (text) => {
+  let headerLine = "";
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if ((char === "\n" || char === "\r") && !inQuotes) break;
+    headerLine += char;
+  }
+
+  let best = ",";
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Returns one entry per record: { line, cells }, where line is the 1-based line
+// number the record starts on (a quoted newline makes a record span lines).
+// Completely blank lines are dropped.
+export const parseCSV = (input, { delimiter } = {}) => {
+  const text = input.charCodeAt(0) === 0xfeff ? input.slice(1) : input;
+  const sep = delimiter || detectDelimiter(text);
+
+  const records = [];
+  let cells = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    cells.push(field);
+    field = "";
+  };
+
+  const endRecord = () => {
+    endField();
+    if (cells.length > 1 || cells[0].trim() !== "") {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === "\r" && text[i + 1] === "\n") {
+        // keep embedded line breaks as plain \n
+        continue;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === sep) {
+      endField();
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || cells.length > 0) endRecord();
+
+  return records;
+};
+
+// =========================
+// CSV writing
+// =========================
+const needsQuoting = /[",\r\n]/;
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return needsQuoting.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of arrays. CRLF line endings, as RFC 4180 (and Excel) expect.
+export const toCSV = (rows) => rows.map((row) => row.map(escapeCell).join(",")).join("\r\n") + "\r\n";
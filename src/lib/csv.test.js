@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { detectDelimiter, parseCSV, toCSV } from "./csv.js";
+
+const cellsOf = (records) => records.map((record) => record.cells);
+
+describe("detectDelimiter", () => {
+  it("picks the delimiter that splits the header into the most columns", () => {
+    expect(detectDelimiter("name;city;state\nA;B;C")).toBe(";");
+    expect(detectDelimiter("name\tcity\nA\tB")).toBe("\t");
+    expect(detectDelimiter("name,city\nA;B;C;D")).toBe(",");
+    expect(detectDelimiter("name")).toBe(",");
+  });
+
+  it("ignores delimiters inside quoted header cells", () => {
+    expect(detectDelimiter('"a;b;c",d,e')).toBe(",");
+  });
+});
+
+describe("parseCSV", () => {
+  it("splits records and cells, keeping empty cells", () => {
+    expect(cellsOf(parseCSV("name,city\nABC,Edison\nStone World,\n"))).toEqual([
+      ["name", "city"],
+      ["ABC", "Edison"],
+      ["Stone World", ""]
+    ]);
+  });
+
+  it("reads quoted cells with delimiters, escaped quotes and line breaks", () => {
+    expect(cellsOf(parseCSV('name,note\n"ABC, Inc.","Said ""call me""\r\nnext week"'))).toEqual([
+      ["name", "note"],
+      ["ABC, Inc.", 'Said "call me"\nnext week']
+    ]);
+  });
+
+  it("numbers each record by the line it starts on and drops blank lines", () => {
+    const records = parseCSV('name,note\r\n\r\n"A","two\nlines"\r\nB,x');
+    expect(records.map((record) => record.line)).toEqual([1, 3, 5]);
+  });
+
+  it("strips a leading BOM and uses a delimiter it is given", () => {
+    expect(cellsOf(parseCSV("\uFEFFname;city\nA;B"))).toEqual([
+      ["name", "city"],
+      ["A", "B"]
+    ]);
+    expect(cellsOf(parseCSV("a;b,c", { delimiter: "," }))).toEqual([["a;b", "c"]]);
+  });
+});
+
+describe("toCSV", () => {
+  it("quotes only what needs it and ends every row with CRLF", () => {
+    expect(
+      toCSV([
+        ["Line", "Reason"],
+        [3, 'Bad "date", see\nnote'],
+        [" padded", null]
+      ])
+    ).toBe('Line,Reason\r\n3,"Bad ""date"", see\nnote"\r\n" padded",\r\n');
+  });
+
+  it("round-trips through parseCSV", () => {
+    const rows = [
+      ["name", "note"],
+      ["ABC, Inc.", 'Said "hi"\nthen left'],
+      ["Stone World", ""]
+    ];
+    expect(cellsOf(parseCSV(toCSV(rows)))).toEqual(rows);
+  });
+});
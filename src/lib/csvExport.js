@@ -0,0 +1,73 @@
+import { IMPORT_FIELDS } from "./csvImport.js";
+import { getFollowUpStatus, compareDateKeys, compareDateKeysDesc } from "./dates.js";
+import { visitProductNames } from "./products.js";
+
+// =========================
+// Spreadsheet export (CSV / .xlsx)
+// =========================
+// Column headers come straight from IMPORT_FIELDS, so an exported file can be
+// imported again without remapping. Derived columns (Last Visit, Open
+// Follow-ups, Status) have no import field and are ignored on the way back in.
+
+const clientName = (clientsById, id) => clientsById.get(id)?.name || "";
+
+// clients: the enriched list from loadData (has lastVisitDate / openFollowUps)
+export const clientExportRows = (clients) => {
+  const fields = IMPORT_FIELDS.clients;
+  const sorted = [...clients].sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+  return [
+    [...fields.map((f) => f.label), "Last Visit", "Open Follow-ups"],
+    ...sorted.map((client) => [
+      ...fields.map((f) => client[f.key] ?? ""),
+      client.lastVisitDate || "",
+      client.openFollowUps || 0
+    ])
+  ];
+};
+
+// Catalog products are written by name next to any free text, so the column
+// still reads like the free-text one and re-imports cleanly
+const visitCells = (visit, clientsById, productsById) =>
+  IMPORT_FIELDS.visits.map((f) => {
+    if (f.key === "client") return clientName(clientsById, visit.clientId);
+    if (f.key === "products") return visitProductNames(visit, productsById).join(", ");
+    if (f.key === "completed") return visit.followUpDate ? (visit.completed ? "Yes" : "No") : "";
+    return visit[f.key] ?? "";
+  });
+
+export const visitExportRows = (visits, clients, products = []) => {
+  const clientsById = new Map(clients.map((c) => [c.id, c]));
+  const productsById = new Map(products.map((p) => [p.id, p]));
+  const sorted = [...visits].sort((a, b) => compareDateKeysDesc(a.date, b.date));
+
+  return [
+    IMPORT_FIELDS.visits.map((f) => f.label),
+    ...sorted.map((visit) => visitCells(visit, clientsById, productsById))
+  ];
+};
+
+export const productExportRows = (products) => {
+  const sorted = [...products].sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  return [
+    IMPORT_FIELDS.products.map((f) => f.label),
+    ...sorted.map((p) => IMPORT_FIELDS.products.map((f) => p[f.key] ?? ""))
+  ];
+};
+
+// Open follow-ups only, soonest first, with their overdue / today / upcoming status
+export const followUpExportRows = (visits, clients, products = []) => {
+  const clientsById = new Map(clients.map((c) => [c.id, c]));
+  const productsById = new Map(products.map((p) => [p.id, p]));
+  const open = visits
+    .filter((v) => v.followUpDate && !v.completed)
+    .sort((a, b) => compareDateKeys(a.followUpDate, b.followUpDate));
+
+  return [
+    [...IMPORT_FIELDS.visits.map((f) => f.label), "Status"],
+    ...open.map((visit) => [
+      ...visitCells(visit, clientsById, productsById),
+      getFollowUpStatus(visit.followUpDate) || "later"
+    ])
+  ];
+};
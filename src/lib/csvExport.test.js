@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { clientExportRows, visitExportRows, followUpExportRows } from "./csvExport.js";
+import { parseCSV, toCSV } from "./csv.js";
+import { guessMapping, mapRow } from "./csvImport.js";
+import { addDays, todayKey } from "./dates.js";
+
+const clients = [
+  { id: 1, name: "Zenith Tile", city: "Newark", lastVisitDate: "2025-03-01", openFollowUps: 1 },
+  { id: 2, name: "ABC Granite", city: "Edison", notes: 'Says "call first", mornings' }
+];
+
+const today = todayKey();
+const visits = [
+  { id: 1, clientId: 1, date: "2025-03-01", note: "Samples", followUpDate: addDays(today, -1), completed: false },
+  { id: 2, clientId: 2, date: "2025-03-05", note: "Quote", followUpDate: addDays(today, 2), followUpTime: "14:30" },
+  { id: 3, clientId: 2, date: "2025-02-01", note: "Intro", followUpDate: today, completed: true }
+];
+
+// Exported files are read back the way the import wizard reads them
+const reimport = (type, rows) => {
+  const [header, ...records] = parseCSV(toCSV(rows));
+  const mapping = guessMapping(type, header.cells);
+  return records.map(({ cells }) => mapRow(cells, mapping));
+};
+
+describe("clientExportRows", () => {
+  it("lists clients by name with the derived columns last", () => {
+    const rows = clientExportRows(clients);
+    expect(rows[0].slice(-2)).toEqual(["Last Visit", "Open Follow-ups"]);
+    expect(rows.slice(1).map((row) => row[0])).toEqual(["ABC Granite", "Zenith Tile"]);
+    expect(rows[2].slice(-2)).toEqual(["2025-03-01", 1]);
+  });
+
+  it("imports again without remapping", () => {
+    const [abc] = reimport("clients", clientExportRows(clients));
+    expect(abc).toMatchObject({ name: "ABC Granite", city: "Edison", notes: 'Says "call first", mornings' });
+  });
+});
+
+describe("visitExportRows", () => {
+  it("lists visits newest first with the client's name", () => {
+    const imported = reimport("visits", visitExportRows(visits, clients));
+    expect(imported.map((v) => [v.client, v.date, v.completed])).toEqual([
+      ["ABC Granite", "2025-03-05", "No"],
+      ["Zenith Tile", "2025-03-01", "No"],
+      ["ABC Granite", "2025-02-01", "Yes"]
+    ]);
+    expect(imported[0].followUpTime).toBe("14:30");
+  });
+});
+
+describe("followUpExportRows", () => {
+  it("lists open follow-ups soonest first with their status", () => {
+    const [header, ...rows] = followUpExportRows(visits, clients);
+    const clientColumn = header.indexOf("Client");
+    expect(header.at(-1)).toBe("Status");
+    expect(rows.map((row) => [row[clientColumn], row.at(-1)])).toEqual([
+      ["Zenith Tile", "overdue"],
+      ["ABC Granite", "upcoming"]
+    ]);
+  });
+});
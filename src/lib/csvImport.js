@@ -0,0 +1,382 @@
+import {
+  applyClientUpdate,
+  buildClientMatcher,
+  buildNameMatcher,
+  normalizeEmail,
+  normalizeName,
+  normalizePhone
+} from "./clients.js";
+import { parseDateInput, detectDayFirst, toDateKey } from "./dates.js";
+import { buildProductMatcher } from "./products.js";
+
+// =========================
+// CSV import: column mapping + import plans
+// =========================
+// The wizard parses a sheet with parseCSV, maps each source column to a CRM
+// field, then builds a "plan" (what will be created / skipped) that is shown
+// to the user before anything is written.
+
+export const IMPORT_FIELDS = {
+  clients: [
+    { key: "name", label: "Client", aliases: ["client", "name", "clientname", "company"], required: true },
+    { key: "city", label: "City", aliases: ["city", "town"] },
+    { key: "state", label: "State", aliases: ["state", "st"] },
+    { key: "contact", label: "Contact", aliases: ["contact", "contactname", "contactperson"] },
+    { key: "phone", label: "Phone", aliases: ["phone", "phonenumber", "mobile", "cell"] },
+    { key: "email", label: "Email", aliases: ["email", "emailaddress"] },
+    { key: "segment", label: "Segment", aliases: ["segment", "type", "category"] },
+    { key: "status", label: "Status", aliases: ["status"] },
+    { key: "notes", label: "Notes", aliases: ["notes", "note", "comments"] },
+    { key: "address", label: "Address", aliases: ["address", "street", "streetaddress", "address1"] },
+    { key: "zip", label: "ZIP", aliases: ["zip", "zipcode", "postalcode", "postcode"] },
+    { key: "lat", label: "Latitude", aliases: ["lat", "latitude"] },
+    { key: "lng", label: "Longitude", aliases: ["lng", "lon", "long", "longitude"] }
+  ],
+  visits: [
+    { key: "date", label: "Date", aliases: ["date", "visitdate"] },
+    { key: "client", label: "Client", aliases: ["client", "name", "clientname", "company"], required: true },
+    { key: "touchType", label: "Touch Type", aliases: ["touchtype", "type"] },
+    { key: "outcome", label: "Outcome", aliases: ["outcome"] },
+    { key: "products", label: "Products", aliases: ["products", "product"] },
+    { key: "signal", label: "Signal", aliases: ["signal"] },
+    { key: "note", label: "Notes", aliases: ["notes", "note"] },
+    { key: "nextAction", label: "Next Action", aliases: ["nextaction"] },
+    { key: "followUpDate", label: "Follow-up Date", aliases: ["followupdate", "followup"] },
+    { key: "priority", label: "Priority", aliases: ["priority"] },
+    { key: "followUpTime", label: "Follow-up Time", aliases: ["followuptime", "time"] },
+    { key: "completed", label: "Done", aliases: ["done", "completed"] }
+  ],
+  products: [
+    { key: "name", label: "Product", aliases: ["product", "productname", "name", "item", "color"], required: true },
+    { key: "sku", label: "SKU", aliases: ["sku", "code", "itemcode", "productcode"] },
+    { key: "category", label: "Category", aliases: ["category", "material", "type"] },
+    { key: "finish", label: "Finish", aliases: ["finish", "surface"] },
+    { key: "priceTier", label: "Price Tier", aliases: ["pricetier", "tier", "pricelevel", "pricegroup"] }
+  ]
+};
+
+const MAPPINGS_STORAGE_KEY = "fieldcrm.importMappings";
+
+export const normalizeHeader = (header) => (header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// One mapping entry per source column: a field key, or "" to ignore the column
+export const guessMapping = (type, headers) => {
+  const used = new Set();
+
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS[type].find((f) => !used.has(f.key) && f.aliases.includes(normalized));
+    if (!field) return "";
+    used.add(field.key);
+    return field.key;
+  });
+};
+
+// The same spreadsheet layout (type + column headers) always gets the same key
+const layoutKey = (type, headers) => `${type}:${headers.map(normalizeHeader).join("|")}`;
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadSavedMapping = (type, headers) => {
+  const saved = readSavedMappings()[layoutKey(type, headers)];
+  return Array.isArray(saved) && saved.length === headers.length ? saved : null;
+};
+
+export const saveMapping = (type, headers, mapping) => {
+  const all = readSavedMappings();
+  all[layoutKey(type, headers)] = mapping;
+  localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(all));
+};
+
+export const missingRequiredFields = (type, mapping) =>
+  IMPORT_FIELDS[type].filter((f) => f.required && !mapping.includes(f.key));
+
+// Turns one parsed record into { fieldKey: value } using the mapping
+export const mapRow = (cells, mapping) => {
+  const values = {};
+  mapping.forEach((fieldKey, idx) => {
+    if (!fieldKey) return;
+    const value = (cells[idx] || "").trim();
+    // Two columns mapped to the same field: keep the first non-empty one
+    if (!values[fieldKey]) values[fieldKey] = value;
+  });
+  return values;
+};
+
+// Coordinates from the sheet count as typed in; a missing or broken pair is dropped
+const importedLocation = (values) => {
+  const [lat, lng] = [Number(values.lat), Number(values.lng)];
+  const valid = values.lat && values.lng && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  return valid ? { lat, lng, geoSource: "manual" } : {};
+};
+
+export const buildClientRecord = (values) => ({
+  name: values.name || "",
+  city: values.city || "",
+  state: values.state || "",
+  contact: values.contact || "",
+  phone: values.phone || "",
+  email: values.email || "",
+  segment: values.segment || "",
+  status: values.status || "Active",
+  notes: values.notes || "",
+  address: values.address || "",
+  zip: values.zip || "",
+  ...importedLocation(values)
+});
+
+// Values for applyClientUpdate (lib/clients.js): coordinates as numbers, or left alone
+export const clientUpdateValues = ({ lat, lng, ...values }) => ({ ...values, ...importedLocation({ lat, lng }) });
+
+// Parses the visit's date columns; a bad value rejects the whole row rather than
+// storing something that sorts wrongly later
+const parseVisitDates = (values, dayFirst) => {
+  const date = parseDateInput(values.date, { dayFirst });
+  if (date.error) return { error: `Invalid date: ${date.error}` };
+
+  const followUp = parseDateInput(values.followUpDate, { dayFirst });
+  if (followUp.error) return { error: `Invalid follow-up date: ${followUp.error}` };
+
+  return { date: date.date || toDateKey(new Date()), followUpDate: followUp.date };
+};
+
+// True when the sheet's numeric dates can only be read day-first (e.g. 31/01/2025)
+export const detectVisitDayFirst = (records, mapping) => {
+  const dateColumns = mapping
+    .map((fieldKey, idx) => (fieldKey === "date" || fieldKey === "followUpDate" ? idx : -1))
+    .filter((idx) => idx !== -1);
+  return detectDayFirst(records.flatMap(({ cells }) => dateColumns.map((idx) => cells[idx])));
+};
+
+const TRUTHY = ["yes", "y", "true", "1", "x", "done"];
+
+// "2:30 PM" / "14:30" → "14:30"; anything else is dropped (the follow-up becomes all-day)
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(am|pm)?$/i.exec((value || "").trim());
+  if (!match) return "";
+  let hours = Number(match[1]);
+  const suffix = match[3]?.toLowerCase();
+  if (suffix === "pm" && hours < 12) hours += 12;
+  if (suffix === "am" && hours === 12) hours = 0;
+  return hours < 24 ? `${String(hours).padStart(2, "0")}:${match[2]}` : "";
+};
+
+export const buildVisitRecord = (values, clientId, { date, followUpDate }) => ({
+  clientId,
+  date,
+  touchType: values.touchType || "Call",
+  outcome: values.outcome || "",
+  products: values.products || "",
+  signal: values.signal || "",
+  note: values.note || values.nextAction || values.outcome || "",
+  nextAction: values.nextAction || "",
+  followUpDate,
+  followUpTime: followUpDate ? parseTime(values.followUpTime) : "",
+  priority: values.priority || "medium",
+  completed: followUpDate ? TRUTHY.includes((values.completed || "").toLowerCase()) : true
+});
+
+// records: parseCSV output without the header row.
+// Rows matching an existing client (normalized name, phone or email) default to
+// "update"; the wizard lets the user switch each one to "skip" or "create".
+// A row matching a client an earlier row of the file creates updates that one
+// instead, and carries its line as matchedLine.
+export const CLIENT_ROW_ACTIONS = ["update", "skip", "create"];
+
+const clientKeys = (values) =>
+  [
+    ["name", `n:${normalizeName(values.name)}`],
+    ["phone", `p:${normalizePhone(values.phone)}`],
+    ["email", `e:${normalizeEmail(values.email)}`]
+  ].filter(([, key]) => key.length > 2);
+
+export const planClientImport = (records, mapping, existingClients) => {
+  const plan = { create: [], skipped: [] };
+  const findExisting = buildClientMatcher(existingClients);
+  const plannedByKey = new Map();
+
+  records.forEach(({ line, cells }) => {
+    const values = mapRow(cells, mapping);
+    if (!values.name) {
+      plan.skipped.push({ line, cells, reason: "No client name" });
+      return;
+    }
+
+    const match = findExisting(values);
+    if (match) {
+      plan.create.push({
+        line,
+        values,
+        record: buildClientRecord(values),
+        match: match.client,
+        matchedOn: match.matchedOn,
+        action: "update"
+      });
+      return;
+    }
+
+    const keys = clientKeys(values);
+    const planned = keys.find(([, key]) => plannedByKey.has(key));
+    if (planned) {
+      const earlier = plannedByKey.get(planned[1]);
+      keys.forEach(([, key]) => plannedByKey.has(key) || plannedByKey.set(key, earlier));
+      plan.create.push({
+        line,
+        values,
+        record: buildClientRecord(values),
+        match: earlier.record,
+        matchedOn: planned[0],
+        matchedLine: earlier.line,
+        action: "update"
+      });
+      return;
+    }
+
+    const row = { line, values, record: buildClientRecord(values), match: null, matchedOn: null, action: "create" };
+    keys.forEach(([, key]) => plannedByKey.set(key, row));
+    plan.create.push(row);
+  });
+
+  return plan;
+};
+
+// Turns the client plan and the chosen row actions into importBatch's newClients and
+// clientUpdates. A row updating an earlier row of the file is folded into whatever that
+// row ends up doing; if that row is skipped, the later one creates the client itself.
+export const buildClientImportBatch = (rows, actionFor) => {
+  const newClients = [];
+  const clientUpdates = [];
+  const byLine = new Map();
+
+  rows.forEach((row) => {
+    const action = actionFor(row);
+    if (action === "skip") return;
+
+    const values = clientUpdateValues(row.values);
+    let entry;
+    if (action === "update" && row.matchedLine === undefined) {
+      entry = { id: row.match.id, values: [values] };
+      clientUpdates.push(entry);
+    } else if (action === "update" && byLine.has(row.matchedLine)) {
+      entry = byLine.get(row.matchedLine);
+      if (entry.record) entry.record = applyClientUpdate(entry.record, values);
+      else entry.values.push(values);
+    } else {
+      entry = { record: row.record };
+      newClients.push(entry);
+    }
+    byLine.set(row.line, entry);
+  });
+
+  return {
+    newClients,
+    clientUpdates: clientUpdates.map(({ id, values }) => ({
+      id,
+      update: (stored) => values.reduce(applyClientUpdate, stored)
+    }))
+  };
+};
+
+// Each planned visit says how its client was found:
+//   "exact" – normalized names are equal
+//   "fuzzy" – near-miss such as "ABC Granite" vs "ABC Granite Inc." (only with matchNearMisses)
+//   "new"   – no match; a client with this name is created first (only with createMissingClients)
+export const planVisitImport = (records, mapping, clients, options = {}) => {
+  const { matchNearMisses = false, createMissingClients = false, dayFirst = false } = options;
+  const plan = { create: [], skipped: [], newClients: [] };
+  const matchName = buildNameMatcher(clients);
+  const newClientKeys = new Set();
+
+  records.forEach(({ line, cells }) => {
+    const values = mapRow(cells, mapping);
+    if (!values.client) {
+      plan.skipped.push({ line, cells, reason: "No client name" });
+      return;
+    }
+
+    const dates = parseVisitDates(values, dayFirst);
+    if (dates.error) {
+      plan.skipped.push({ line, cells, reason: dates.error });
+      return;
+    }
+
+    const match = matchName(values.client, { fuzzy: matchNearMisses });
+    if (match) {
+      plan.create.push({
+        line,
+        clientName: match.client.name,
+        matchType: match.exact ? "exact" : "fuzzy",
+        record: buildVisitRecord(values, match.client.id, dates)
+      });
+      return;
+    }
+
+    if (!createMissingClients) {
+      plan.skipped.push({ line, cells, reason: `No matching client "${values.client}"` });
+      return;
+    }
+
+    // Rows naming the same missing client share one new client record
+    const key = normalizeName(values.client);
+    if (!newClientKeys.has(key)) {
+      newClientKeys.add(key);
+      plan.newClients.push({ key, record: buildClientRecord({ name: values.client }) });
+    }
+    plan.create.push({
+      line,
+      clientName: values.client,
+      matchType: "new",
+      newClientKey: key,
+      record: buildVisitRecord(values, null, dates)
+    });
+  });
+
+  return plan;
+};
+
+// The catalog fields of a mapped product row; missing columns become ""
+export const buildProductRecord = (values) => ({
+  name: values.name || "",
+  sku: values.sku || "",
+  category: values.category || "",
+  finish: values.finish || "",
+  priceTier: values.priceTier || ""
+});
+
+// Same row actions as clients; a row matches an existing product by SKU or name
+export const planProductImport = (records, mapping, existingProducts) => {
+  const plan = { create: [], skipped: [] };
+  const findExisting = buildProductMatcher(existingProducts);
+
+  records.forEach(({ line, cells }) => {
+    const values = mapRow(cells, mapping);
+    if (!values.name) {
+      plan.skipped.push({ line, cells, reason: "No product name" });
+      return;
+    }
+
+    const match = findExisting(values);
+    plan.create.push({
+      line,
+      values,
+      record: buildProductRecord(values),
+      match: match?.product || null,
+      matchedOn: match?.matchedOn || null,
+      action: match ? "update" : "create"
+    });
+  });
+
+  return plan;
+};
+
+// Line number, reason and the original cells of every skipped row, ready for toCSV
+export const buildErrorReport = (headers, skipped) => [
+  ["Line", "Reason", ...headers],
+  ...skipped.map((row) => [row.line, row.reason, ...(row.cells || [])])
+];
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  guessMapping,
+  loadSavedMapping,
+  saveMapping,
+  missingRequiredFields,
+  mapRow,
+  planClientImport,
+  buildClientImportBatch,
+  planVisitImport,
+  buildErrorReport
+} from "./csvImport.js";
+
+const mapping = ["name", "city", "phone", "email"];
+const rows = (...cells) => cells.map((row, idx) => ({ line: idx + 2, cells: row }));
+const existing = [{ id: 1, name: "ABC Granite", city: "Edison", phone: "732-555-0100", email: "" }];
+
+describe("column mapping", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("guesses fields from the headers, each field at most once", () => {
+    expect(guessMapping("clients", ["Company", "Town", "E-mail", "Client Name", "Fax"])).toEqual([
+      "name",
+      "city",
+      "email",
+      "",
+      ""
+    ]);
+  });
+
+  it("lists the required fields nothing is mapped to", () => {
+    expect(missingRequiredFields("visits", ["date", "note"]).map((field) => field.key)).toEqual(["client"]);
+    expect(missingRequiredFields("visits", ["client"])).toEqual([]);
+  });
+
+  it("remembers a mapping for the same headers only", () => {
+    const headers = ["Company", "Notes", "Extra"];
+    saveMapping("clients", headers, ["name", "", "notes"]);
+
+    expect(loadSavedMapping("clients", ["company", "NOTES", "extra"])).toEqual(["name", "", "notes"]);
+    expect(loadSavedMapping("visits", headers)).toBe(null);
+    expect(loadSavedMapping("clients", ["Company", "Notes"])).toBe(null);
+  });
+
+  it("maps cells to trimmed values, the first non-empty column winning", () => {
+    expect(mapRow([" ABC ", "", "Call back", "Old note"], ["name", "", "notes", "notes"])).toEqual({
+      name: "ABC",
+      notes: "Call back"
+    });
+    expect(mapRow(["ABC"], ["name", "city"])).toEqual({ name: "ABC", city: "" });
+  });
+});
+
+describe("planClientImport", () => {
+  it("updates clients that already exist and creates the rest", () => {
+    const plan = planClientImport(
+      rows(["abc  granite", "", "", ""], ["New Stone", "Newark", "", ""], ["", "Trenton", "", ""]),
+      mapping,
+      existing
+    );
+
+    expect(plan.create.map((row) => [row.line, row.action, row.match?.id ?? null])).toEqual([
+      [2, "update", 1],
+      [3, "create", null]
+    ]);
+    expect(plan.skipped).toEqual([{ line: 4, cells: ["", "Trenton", "", ""], reason: "No client name" }]);
+  });
+
+  it("matches a stored client by phone when the name differs", () => {
+    const plan = planClientImport(rows(["ABC Surfaces", "", "(732) 555-0100", ""]), mapping, existing);
+    expect(plan.create[0]).toMatchObject({ action: "update", match: existing[0], matchedOn: "phone" });
+  });
+
+  it("matches rows against clients an earlier row of the file creates", () => {
+    const plan = planClientImport(
+      rows(
+        ["New Stone", "Newark", "", "info@newstone.com"],
+        ["new stone", "", "201-555-0199", ""],
+        ["NS Fabrication", "", "", "INFO@newstone.com"],
+        ["Other Stone", "", "201-555-0199", ""]
+      ),
+      mapping,
+      existing
+    );
+
+    expect(plan.create.map((row) => [row.action, row.matchedLine, row.matchedOn])).toEqual([
+      ["create", undefined, null],
+      ["update", 2, "name"],
+      ["update", 2, "email"],
+      ["update", 2, "phone"]
+    ]);
+    expect(plan.create[1].match).toBe(plan.create[0].record);
+  });
+});
+
+describe("buildClientImportBatch", () => {
+  const plan = planClientImport(
+    rows(
+      ["ABC Granite", "", "", "sales@abc.com"],
+      ["New Stone", "Newark", "", ""],
+      ["New Stone", "", "201-555-0199", ""],
+      ["ABC Granite", "Metuchen", "", ""]
+    ),
+    mapping,
+    existing
+  );
+  const byDefault = (row) => row.action;
+
+  it("folds rows that update an earlier row into the client it creates", () => {
+    const { newClients, clientUpdates } = buildClientImportBatch(plan.create, byDefault);
+
+    expect(newClients).toHaveLength(1);
+    expect(newClients[0].record).toMatchObject({ name: "New Stone", city: "Newark", phone: "201-555-0199" });
+    expect(clientUpdates.map(({ id }) => id)).toEqual([1, 1]);
+    expect(clientUpdates.reduce((client, { update }) => update(client), existing[0])).toMatchObject({
+      city: "Metuchen",
+      email: "sales@abc.com",
+      phone: "732-555-0100"
+    });
+  });
+
+  it("creates the client from the later row when the earlier one is skipped", () => {
+    const actions = { 3: "skip" };
+    const { newClients } = buildClientImportBatch(plan.create, (row) => actions[row.line] || row.action);
+
+    expect(newClients.map(({ record }) => [record.name, record.city, record.phone])).toEqual([
+      ["New Stone", "", "201-555-0199"]
+    ]);
+  });
+
+  it("leaves skipped rows out and creates rows switched to create", () => {
+    const actions = { 2: "skip", 4: "create", 5: "skip" };
+    const { newClients, clientUpdates } = buildClientImportBatch(plan.create, (row) => actions[row.line] || row.action);
+
+    expect(newClients.map(({ record }) => [record.name, record.phone])).toEqual([
+      ["New Stone", ""],
+      ["New Stone", "201-555-0199"]
+    ]);
+    expect(clientUpdates).toEqual([]);
+  });
+});
+
+describe("planVisitImport", () => {
+  const visitMapping = ["date", "client", "note", "followUpDate"];
+  const clients = [{ id: 1, name: "ABC Granite" }];
+  const sheet = rows(
+    ["2025-03-01", "abc granite", "Dropped samples", ""],
+    ["2025-03-02", "ABC Granite Inc.", "Quote sent", "2025-03-09"],
+    ["2025-03-03", "Stone World", "Intro call", ""],
+    ["2025-03-04", "stone world", "Second call", ""],
+    ["2025-03-05", "", "No client", ""]
+  );
+
+  it("imports exact matches and skips the rest by default", () => {
+    const plan = planVisitImport(sheet, visitMapping, clients);
+
+    expect(plan.create.map((row) => [row.line, row.matchType, row.record.clientId])).toEqual([[2, "exact", 1]]);
+    expect(plan.skipped.map((row) => [row.line, row.reason])).toEqual([
+      [3, 'No matching client "ABC Granite Inc."'],
+      [4, 'No matching client "Stone World"'],
+      [5, 'No matching client "stone world"'],
+      [6, "No client name"]
+    ]);
+    expect(plan.newClients).toEqual([]);
+  });
+
+  it("matches near misses and creates each missing client once when asked", () => {
+    const plan = planVisitImport(sheet, visitMapping, clients, { matchNearMisses: true, createMissingClients: true });
+
+    expect(plan.create.map((row) => [row.matchType, row.clientName, row.record.clientId])).toEqual([
+      ["exact", "ABC Granite", 1],
+      ["fuzzy", "ABC Granite", 1],
+      ["new", "Stone World", null],
+      ["new", "stone world", null]
+    ]);
+    expect(plan.newClients).toEqual([{ key: "stone world", record: expect.objectContaining({ name: "Stone World" }) }]);
+    expect(plan.create[3].newClientKey).toBe("stone world");
+    expect(plan.create[1].record).toMatchObject({ followUpDate: "2025-03-09", completed: false });
+    expect(plan.create[0].record).toMatchObject({ followUpDate: null, completed: true });
+  });
+
+  it("rejects a row whose date cannot be read", () => {
+    const plan = planVisitImport(rows(["someday", "ABC Granite", "", ""]), visitMapping, clients);
+    expect(plan.skipped).toEqual([
+      { line: 2, cells: ["someday", "ABC Granite", "", ""], reason: expect.stringMatching(/^Invalid date: /) }
+    ]);
+  });
+});
+
+describe("buildErrorReport", () => {
+  it("lists each skipped row's line, reason and original cells", () => {
+    expect(
+      buildErrorReport(
+        ["Date", "Client"],
+        [
+          { line: 4, cells: ["2025-03-01", ""], reason: "No client name" },
+          { line: 9, reason: "No product name" }
+        ]
+      )
+    ).toEqual([
+      ["Line", "Reason", "Date", "Client"],
+      [4, "No client name", "2025-03-01", ""],
+      [9, "No product name"]
+    ]);
+  });
+});
@@ -0,0 +1,207 @@
+// =========================
+// Dates: calendar-day keys, import parsing and display
+// =========================
+// Everything is stored as a "YYYY-MM-DD" string. Spreadsheets hand us all sorts
+// of formats, so imports go through parseDateInput, which either returns a
+// normalized date or a message saying why the value was rejected.
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Excel counts days from 1899-12-30 (including its fake 1900 leap day)
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Four-digit numbers in this range are years, not Excel serials
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// =========================
+// Calendar dates ("date keys")
+// =========================
+// A date key is a local calendar day written as "YYYY-MM-DD". It is what gets
+// stored, compared and bucketed. Never hand one to `new Date(key)`: that parses
+// it as UTC midnight, which is the previous evening anywhere in the Americas.
+// Day arithmetic goes through Date.UTC, so DST changes can't shift a result.
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export const isDateKey = (value) => typeof value === "string" && DATE_KEY_PATTERN.test(value);
+
+// Local calendar day of a Date (toISOString would give the UTC day instead)
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const todayKey = (now = new Date()) => toDateKey(now);
+
+// Local midnight of that day, for display and anything else that needs a Date
+export const parseDateKey = (key) => {
+  const [, y, m, d] = DATE_KEY_PATTERN.exec(key);
+  return new Date(Number(y), Number(m) - 1, Number(d));
+};
+
+const keyToUTC = (key) => {
+  const [, y, m, d] = DATE_KEY_PATTERN.exec(key);
+  return Date.UTC(Number(y), Number(m) - 1, Number(d));
+};
+
+const utcToKey = (ms) => {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+export const addDays = (key, days) => utcToKey(keyToUTC(key) + days * DAY_MS);
+
+// Whole days from `from` to `to` (negative when `to` is earlier)
+export const daysBetween = (from, to) => Math.round((keyToUTC(to) - keyToUTC(from)) / DAY_MS);
+
+// 0 = Sunday … 6 = Saturday
+export const weekdayOf = (key) => new Date(keyToUTC(key)).getUTCDay();
+
+// Sort helpers: date keys compare correctly as strings; missing dates sort last
+export const compareDateKeys = (a, b) => (a === b ? 0 : !a ? 1 : !b ? -1 : a < b ? -1 : 1);
+export const compareDateKeysDesc = (a, b) => (a === b ? 0 : !a ? 1 : !b ? -1 : a < b ? 1 : -1);
+
+// "overdue" / "today" / "upcoming" (within 7 days) / null, relative to today's local date
+export const getFollowUpStatus = (key, today = todayKey()) => {
+  if (!isDateKey(key)) return null;
+
+  const diff = daysBetween(today, key);
+
+  if (diff < 0) return "overdue";
+  if (diff === 0) return "today";
+  if (diff <= 7) return "upcoming";
+  return null;
+};
+
+// Two-digit years: 00–69 → 2000s, 70–99 → 1900s (same pivot as Excel)
+const expandYear = (year) => {
+  if (year.length > 2) return Number(year);
+  const n = Number(year);
+  return n < 70 ? 2000 + n : 1900 + n;
+};
+
+const buildDate = (year, month, day) => {
+  if (month < 1 || month > 12) return null;
+  const daysInMonth = new Date(year, month, 0).getDate();
+  if (day < 1 || day > daysInMonth) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const monthFromName = (name) => {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+};
+
+// True when a set of numeric dates can only be D/M/Y (some "month" is above 12)
+export const detectDayFirst = (values) =>
+  values.some((value) => {
+    const match = /^\s*(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}\s*$/.exec(value || "");
+    return match && Number(match[1]) > 12 && Number(match[2]) <= 12;
+  });
+
+// Returns { date: "YYYY-MM-DD" } or { error }. Empty input gives { date: null }.
+// dayFirst picks D/M/Y over M/D/Y for purely numeric dates like 05/01/2025.
+export const parseDateInput = (input, { dayFirst = false } = {}) => {
+  const value = (input ?? "").toString().trim();
+  if (!value) return { date: null };
+
+  const invalid = { error: `"${value}" is not a valid date` };
+  let match;
+
+  // 2025-01-05, 2025/1/5, 2025-01-05T10:00:00Z
+  if ((match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(value))) {
+    const date = buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date ? { date } : invalid;
+  }
+
+  // 1/5/2025, 05-01-25, 5.1.2025
+  if ((match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(value))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const [month, day] = dayFirst ? [second, first] : [first, second];
+    const date = buildDate(expandYear(match[3]), month, day);
+    return date ? { date } : invalid;
+  }
+
+  // A bare year would otherwise read as an Excel serial (2025 → 1905-07-17)
+  if (/^\d{4}$/.test(value) && Number(value) >= MIN_YEAR && Number(value) <= MAX_YEAR) {
+    return { error: `"${value}" looks like a year, not a full date` };
+  }
+
+  // Excel serial number, e.g. 45662 → 2025-01-05
+  if (/^\d{4,5}(\.\d+)?$/.test(value)) {
+    const serial = Math.floor(Number(value));
+    if (serial < 1 || serial > 2958465) return invalid;
+    const d = new Date(EXCEL_EPOCH_UTC + serial * DAY_MS);
+    return { date: `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}` };
+  }
+
+  // Jan 5, 2025 / January 5th 2025
+  if ((match = /^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2}|\d{4})$/i.exec(value))) {
+    const month = monthFromName(match[1]);
+    const date = month && buildDate(expandYear(match[3]), month, Number(match[2]));
+    return date ? { date } : invalid;
+  }
+
+  // 5 Jan 2025 / 5-Jan-25
+  if ((match = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,})\.?,?[\s-]+(\d{2}|\d{4})$/i.exec(value))) {
+    const month = monthFromName(match[2]);
+    const date = month && buildDate(expandYear(match[3]), month, Number(match[1]));
+    return date ? { date } : invalid;
+  }
+
+  return invalid;
+};
+
+// =========================
+// Display locale
+// =========================
+const LOCALE_STORAGE_KEY = "fieldcrm.locale";
+const DEFAULT_LOCALE = "en-US";
+
+export const DISPLAY_LOCALES = [
+  { value: "en-US", label: "US (Jan 5, 2025)" },
+  { value: "en-GB", label: "UK (5 Jan 2025)" },
+  { value: "en-IN", label: "India (5 Jan 2025)" },
+  { value: "es-US", label: "Español (5 ene 2025)" },
+  { value: "system", label: "Phone setting" }
+];
+
+let displayLocale = null;
+
+export const getDisplayLocale = () => {
+  if (displayLocale === null) {
+    try {
+      displayLocale = localStorage.getItem(LOCALE_STORAGE_KEY) || DEFAULT_LOCALE;
+    } catch {
+      displayLocale = DEFAULT_LOCALE;
+    }
+  }
+  return displayLocale;
+};
+
+export const setDisplayLocale = (locale) => {
+  displayLocale = locale;
+  localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+};
+
+// Accepts a date key or a full timestamp (e.g. a backup's exportedAt)
+export const formatDate = (date, locale = getDisplayLocale()) => {
+  if (!date) return "";
+  const d = isDateKey(date) ? parseDateKey(date) : new Date(date);
+  return d.toLocaleDateString(locale === "system" ? undefined : locale, {
+    month: "short",
+    day: "numeric",
+    year: "numeric"
+  });
+};
+
+// "14:30" → "2:30 PM" (or "14:30" in locales that use a 24-hour clock)
+export const formatTime = (time, locale = getDisplayLocale()) => {
+  if (!/^\d{2}:\d{2}$/.test(time || "")) return "";
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(locale === "system" ? undefined : locale, {
+    hour: "numeric",
+    minute: "2-digit"
+  });
+};
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  todayKey,
+  addDays,
+  daysBetween,
+  compareDateKeys,
+  compareDateKeysDesc,
+  getFollowUpStatus,
+  parseDateInput
+} from "./dates.js";
+
+// Node re-reads TZ whenever it is assigned, so each block pins its own zone
+const inTimeZone = (zone) => {
+  let previous;
+  beforeAll(() => {
+    previous = process.env.TZ;
+    process.env.TZ = zone;
+  });
+  afterAll(() => {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  });
+};
+
+describe("in America/New_York", () => {
+  inTimeZone("America/New_York");
+
+  it("todayKey is the local calendar day, not the UTC one", () => {
+    // 23:30 EST on Mar 8, already Mar 9 in UTC
+    expect(todayKey(new Date("2025-03-09T04:30:00Z"))).toBe("2025-03-08");
+    // 03:30 EDT, just after clocks went forward
+    expect(todayKey(new Date("2025-03-09T07:30:00Z"))).toBe("2025-03-09");
+    // 01:30 EDT and, an hour later, 01:30 EST again on Nov 2
+    expect(todayKey(new Date("2025-11-02T05:30:00Z"))).toBe("2025-11-02");
+    expect(todayKey(new Date("2025-11-02T06:30:00Z"))).toBe("2025-11-02");
+    // 23:59 EST on Nov 2, already Nov 3 in UTC
+    expect(todayKey(new Date("2025-11-03T04:59:00Z"))).toBe("2025-11-02");
+  });
+
+  it("addDays and daysBetween count calendar days across DST changes", () => {
+    expect(addDays("2025-03-08", 1)).toBe("2025-03-09");
+    expect(addDays("2025-03-09", 1)).toBe("2025-03-10");
+    expect(addDays("2025-11-02", 1)).toBe("2025-11-03");
+    expect(addDays("2025-11-03", -2)).toBe("2025-11-01");
+    expect(addDays("2025-03-01", 30)).toBe("2025-03-31");
+
+    expect(daysBetween("2025-03-08", "2025-03-10")).toBe(2);
+    expect(daysBetween("2025-11-01", "2025-11-03")).toBe(2);
+    expect(daysBetween("2025-11-03", "2025-11-01")).toBe(-2);
+  });
+
+  it("buckets follow-ups around the spring-forward night", () => {
+    const today = todayKey(new Date("2025-03-09T04:30:00Z"));
+    expect(getFollowUpStatus("2025-03-07", today)).toBe("overdue");
+    expect(getFollowUpStatus("2025-03-08", today)).toBe("today");
+    expect(getFollowUpStatus("2025-03-09", today)).toBe("upcoming");
+    expect(getFollowUpStatus("2025-03-15", today)).toBe("upcoming");
+    expect(getFollowUpStatus("2025-03-16", today)).toBe(null);
+  });
+
+  it("buckets follow-ups around the fall-back night", () => {
+    const today = todayKey(new Date("2025-11-03T04:59:00Z"));
+    expect(getFollowUpStatus("2025-11-01", today)).toBe("overdue");
+    expect(getFollowUpStatus("2025-11-02", today)).toBe("today");
+    expect(getFollowUpStatus("2025-11-03", today)).toBe("upcoming");
+    expect(getFollowUpStatus("2025-11-09", today)).toBe("upcoming");
+    expect(getFollowUpStatus("2025-11-10", today)).toBe(null);
+    expect(getFollowUpStatus("", today)).toBe(null);
+  });
+});
+
+describe("in Asia/Kolkata", () => {
+  inTimeZone("Asia/Kolkata");
+
+  it("todayKey moves to the next day at local midnight", () => {
+    expect(todayKey(new Date("2025-03-08T18:29:00Z"))).toBe("2025-03-08");
+    expect(todayKey(new Date("2025-03-08T18:30:00Z"))).toBe("2025-03-09");
+  });
+
+  it("a follow-up due today is not overdue before UTC catches up", () => {
+    const today = todayKey(new Date("2025-03-08T19:00:00Z"));
+    expect(getFollowUpStatus("2025-03-09", today)).toBe("today");
+    expect(getFollowUpStatus("2025-03-08", today)).toBe("overdue");
+  });
+});
+
+describe("compareDateKeys", () => {
+  it("sorts date keys, missing dates last", () => {
+    const keys = ["2025-11-03", null, "2025-03-09", "", "2025-11-02"];
+    expect([...keys].sort(compareDateKeys).slice(0, 3)).toEqual(["2025-03-09", "2025-11-02", "2025-11-03"]);
+    expect([...keys].sort(compareDateKeysDesc).slice(0, 3)).toEqual(["2025-11-03", "2025-11-02", "2025-03-09"]);
+    expect(compareDateKeys("2025-03-09", "2025-03-09")).toBe(0);
+  });
+});
+
+describe("parseDateInput", () => {
+  it("reads Excel serial numbers", () => {
+    expect(parseDateInput("45662")).toEqual({ date: "2025-01-05" });
+    expect(parseDateInput("45662.5")).toEqual({ date: "2025-01-05" });
+  });
+
+  it("rejects a bare year instead of reading it as a serial", () => {
+    expect(parseDateInput("2025").error).toMatch(/year/);
+    expect(parseDateInput("1900").error).toMatch(/year/);
+  });
+});
@@ -0,0 +1,308 @@
+import { normalizeHeader } from "./csvImport.js";
+
+// =========================
+// Client locations: offline place lookup and distances
+// =========================
+// A client can carry lat / lng, typed in or looked up from its ZIP or city.
+// Lookups never leave the device: they use a place table the user imports
+// (e.g. the US Census Gazetteer files, see README) and, for cities missing
+// from it, a small built-in list of common cities.
+//
+// Place = { key: "zip:08817" | "city:edison|nj", lat, lng, label }
+
+const STATE_CODES = {
+  alabama: "al",
+  alaska: "ak",
+  arizona: "az",
+  arkansas: "ar",
+  california: "ca",
+  colorado: "co",
+  connecticut: "ct",
+  delaware: "de",
+  "district of columbia": "dc",
+  florida: "fl",
+  georgia: "ga",
+  hawaii: "hi",
+  idaho: "id",
+  illinois: "il",
+  indiana: "in",
+  iowa: "ia",
+  kansas: "ks",
+  kentucky: "ky",
+  louisiana: "la",
+  maine: "me",
+  maryland: "md",
+  massachusetts: "ma",
+  michigan: "mi",
+  minnesota: "mn",
+  mississippi: "ms",
+  missouri: "mo",
+  montana: "mt",
+  nebraska: "ne",
+  nevada: "nv",
+  "new hampshire": "nh",
+  "new jersey": "nj",
+  "new mexico": "nm",
+  "new york": "ny",
+  "north carolina": "nc",
+  "north dakota": "nd",
+  ohio: "oh",
+  oklahoma: "ok",
+  oregon: "or",
+  pennsylvania: "pa",
+  "puerto rico": "pr",
+  "rhode island": "ri",
+  "south carolina": "sc",
+  "south dakota": "sd",
+  tennessee: "tn",
+  texas: "tx",
+  utah: "ut",
+  vermont: "vt",
+  virginia: "va",
+  washington: "wa",
+  "west virginia": "wv",
+  wisconsin: "wi",
+  wyoming: "wy"
+};
+
+// [city, state, lat, lng]: the territory's larger towns and the big metros
+const BUILT_IN_CITIES = [
+  ["Newark", "NJ", 40.7357, -74.1724],
+  ["Jersey City", "NJ", 40.7178, -74.0431],
+  ["Paterson", "NJ", 40.9168, -74.1718],
+  ["Elizabeth", "NJ", 40.664, -74.2107],
+  ["Edison", "NJ", 40.5187, -74.4121],
+  ["Woodbridge", "NJ", 40.5576, -74.2846],
+  ["New Brunswick", "NJ", 40.4862, -74.4518],
+  ["Princeton", "NJ", 40.3573, -74.6672],
+  ["Trenton", "NJ", 40.2171, -74.7429],
+  ["Toms River", "NJ", 39.9537, -74.1979],
+  ["Lakewood", "NJ", 40.0979, -74.2176],
+  ["Freehold", "NJ", 40.2601, -74.2737],
+  ["Clifton", "NJ", 40.8584, -74.1638],
+  ["Hackensack", "NJ", 40.8859, -74.0435],
+  ["Paramus", "NJ", 40.9445, -74.0754],
+  ["Hoboken", "NJ", 40.744, -74.0324],
+  ["Bayonne", "NJ", 40.6687, -74.1143],
+  ["Union City", "NJ", 40.7795, -74.0238],
+  ["Morristown", "NJ", 40.7968, -74.4815],
+  ["Parsippany", "NJ", 40.8579, -74.4259],
+  ["Wayne", "NJ", 40.9254, -74.2765],
+  ["Fairfield", "NJ", 40.8837, -74.306],
+  ["Somerville", "NJ", 40.5743, -74.6099],
+  ["Flemington", "NJ", 40.5123, -74.8593],
+  ["Camden", "NJ", 39.9259, -75.1196],
+  ["Cherry Hill", "NJ", 39.9348, -75.0307],
+  ["Vineland", "NJ", 39.4864, -75.026],
+  ["Atlantic City", "NJ", 39.3643, -74.4229],
+  ["New York", "NY", 40.7128, -74.006],
+  ["Brooklyn", "NY", 40.6782, -73.9442],
+  ["Queens", "NY", 40.7282, -73.7949],
+  ["Bronx", "NY", 40.8448, -73.8648],
+  ["Staten Island", "NY", 40.5795, -74.1502],
+  ["Yonkers", "NY", 40.9312, -73.8988],
+  ["White Plains", "NY", 41.034, -73.7629],
+  ["Hempstead", "NY", 40.7062, -73.6187],
+  ["Albany", "NY", 42.6526, -73.7562],
+  ["Syracuse", "NY", 43.0481, -76.1474],
+  ["Rochester", "NY", 43.1566, -77.6088],
+  ["Buffalo", "NY", 42.8864, -78.8784],
+  ["Philadelphia", "PA", 39.9526, -75.1652],
+  ["Allentown", "PA", 40.6023, -75.4714],
+  ["Bethlehem", "PA", 40.6259, -75.3705],
+  ["Reading", "PA", 40.3356, -75.9269],
+  ["Lancaster", "PA", 40.0379, -76.3055],
+  ["Harrisburg", "PA", 40.2732, -76.8867],
+  ["Scranton", "PA", 41.409, -75.6624],
+  ["Pittsburgh", "PA", 40.4406, -79.9959],
+  ["Hartford", "CT", 41.7658, -72.6734],
+  ["New Haven", "CT", 41.3083, -72.9279],
+  ["Stamford", "CT", 41.0534, -73.5387],
+  ["Bridgeport", "CT", 41.1865, -73.1952],
+  ["Wilmington", "DE", 39.7391, -75.5398],
+  ["Baltimore", "MD", 39.2904, -76.6122],
+  ["Washington", "DC", 38.9072, -77.0369],
+  ["Richmond", "VA", 37.5407, -77.436],
+  ["Boston", "MA", 42.3601, -71.0589],
+  ["Raleigh", "NC", 35.7796, -78.6382],
+  ["Charlotte", "NC", 35.2271, -80.8431],
+  ["Atlanta", "GA", 33.749, -84.388],
+  ["Orlando", "FL", 28.5383, -81.3792],
+  ["Tampa", "FL", 27.9506, -82.4572],
+  ["Miami", "FL", 25.7617, -80.1918],
+  ["Nashville", "TN", 36.1627, -86.7816],
+  ["Detroit", "MI", 42.3314, -83.0458],
+  ["Chicago", "IL", 41.8781, -87.6298],
+  ["Minneapolis", "MN", 44.9778, -93.265],
+  ["St. Louis", "MO", 38.627, -90.1994],
+  ["Dallas", "TX", 32.7767, -96.797],
+  ["Houston", "TX", 29.7604, -95.3698],
+  ["Austin", "TX", 30.2672, -97.7431],
+  ["San Antonio", "TX", 29.4241, -98.4936],
+  ["Denver", "CO", 39.7392, -104.9903],
+  ["Phoenix", "AZ", 33.4484, -112.074],
+  ["Las Vegas", "NV", 36.1699, -115.1398],
+  ["Los Angeles", "CA", 34.0522, -118.2437],
+  ["San Diego", "CA", 32.7157, -117.1611],
+  ["San Francisco", "CA", 37.7749, -122.4194],
+  ["Seattle", "WA", 47.6062, -122.3321]
+];
+
+// "New Jersey", "N.J." and "nj" → "nj"
+const normalizeState = (value) => {
+  const state = (value || "")
+    .toLowerCase()
+    .replace(/[^a-z ]/g, "")
+    .trim();
+  return STATE_CODES[state] || (state.replace(/ /g, "").length === 2 ? state.replace(/ /g, "") : state);
+};
+
+// Census place names carry their kind: "Edison township", "Newark city"
+const PLACE_KINDS = / (city|town|township|village|borough|cdp|municipality)$/;
+
+// "Saint Louis", "St. Louis" and "st louis" → "st louis"
+const normalizeCity = (value) =>
+  (value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(PLACE_KINDS, "")
+    .replace(/^saint /, "st ")
+    .replace(/^mount /, "mt ");
+
+const zipKey = (zip) => {
+  const digits = String(zip || "").match(/\d{5}/)?.[0];
+  return digits ? `zip:${digits}` : null;
+};
+
+const cityKey = (city, state) => {
+  const [c, s] = [normalizeCity(city), normalizeState(state)];
+  return c && s ? `city:${c}|${s}` : null;
+};
+
+const BUILT_IN_PLACES = new Map(
+  BUILT_IN_CITIES.map(([city, state, lat, lng]) => [cityKey(city, state), { lat, lng, label: `${city}, ${state}` }])
+);
+
+export const isValidLocation = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+export const hasLocation = (client) => isValidLocation(client.lat, client.lng);
+
+// Place table keys to look a client up by, best first
+export const placeKeys = (client) => [zipKey(client.zip), cityKey(client.city, client.state)].filter(Boolean);
+
+/**
+ * Picks the client's location from the places found for placeKeys(client)
+ * (`found`: Map key → place), falling back to the built-in cities. Returns
+ * { lat, lng, geoSource: "zip" | "city", label } or null.
+ */
+export const locateFromPlaces = (client, found) => {
+  for (const key of placeKeys(client)) {
+    const place = found.get(key) || BUILT_IN_PLACES.get(key);
+    if (place) return { lat: place.lat, lng: place.lng, geoSource: key.split(":")[0], label: place.label };
+  }
+  return null;
+};
+
+const PLACE_COLUMNS = {
+  zip: ["zip", "zipcode", "postalcode", "postcode", "zcta", "zcta5", "geoid"],
+  city: ["city", "place", "placename", "town", "name"],
+  state: ["state", "st", "usps", "statecode", "stateabbr"],
+  lat: ["lat", "latitude", "intptlat"],
+  lng: ["lng", "lon", "long", "longitude", "intptlong"]
+};
+
+/**
+ * Turns parsed CSV / TSV records (parseCSV, header first) into places. Each
+ * row gives a ZIP place, a city place, or both. Returns { places, skipped }, or
+ * { error } when the columns can't be recognised.
+ */
+export const parsePlaceTable = (records) => {
+  const headers = records[0]?.cells.map(normalizeHeader) || [];
+  const column = Object.fromEntries(
+    Object.entries(PLACE_COLUMNS).map(([field, aliases]) => [field, headers.findIndex((h) => aliases.includes(h))])
+  );
+  if (column.lat === -1 || column.lng === -1) return { error: "No latitude / longitude columns found." };
+  if (column.zip === -1 && (column.city === -1 || column.state === -1)) {
+    return { error: "Needs a ZIP column, or city and state columns." };
+  }
+
+  const places = [];
+  let skipped = 0;
+  records.slice(1).forEach(({ cells }) => {
+    const cell = (field) => (column[field] === -1 ? "" : (cells[column[field]] || "").trim());
+    const [lat, lng] = [Number(cell("lat")), Number(cell("lng"))];
+    // A Census place GEOID is 7 digits, not a ZIP
+    const zip = /^\d{5}$/.test(cell("zip")) ? zipKey(cell("zip")) : null;
+    const city = cityKey(cell("city"), cell("state"));
+    if (!isValidLocation(lat, lng) || (!zip && !city)) {
+      skipped += 1;
+      return;
+    }
+    if (zip) places.push({ key: zip, lat, lng, label: cell("zip") });
+    if (city) places.push({ key: city, lat, lng, label: `${cell("city")}, ${cell("state")}` });
+  });
+
+  return { places, skipped };
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance; roads add a fairly steady 20–40% on top
+export const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const KM_PER_MILE = 1.609344;
+
+// Miles for the US and UK display formats, km otherwise
+export const formatDistance = (km, locale) => {
+  const miles = locale === "en-US" || locale === "es-US" || locale === "en-GB";
+  const value = miles ? km / KM_PER_MILE : km;
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${miles ? "mi" : "km"}`;
+};
+
+/**
+ * Flat projection for drawing: longitudes are squeezed by cos(latitude) so
+ * shapes look right at the map's latitude. `project` gives { x, y } with y
+ * growing southwards like screen coordinates; `unproject` goes back.
+ */
+export const makeProjection = (points) => {
+  const midLat = points.length > 0 ? points.reduce((sum, p) => sum + p.lat, 0) / points.length : 0;
+  const squeeze = Math.cos(toRadians(midLat));
+  return {
+    project: ({ lat, lng }) => ({ x: lng * squeeze, y: -lat }),
+    unproject: ({ x, y }) => ({ lat: -y, lng: x / squeeze })
+  };
+};
+
+// Smallest area shown, in degrees, so a single client isn't zoomed in to the street
+const MIN_SPAN = 0.05;
+
+/**
+ * Box { x, y, w, h } (projected units) around the points with some margin,
+ * stretched to the `aspect` (width / height) of the drawing area.
+ */
+export const fitBox = (points, aspect) => {
+  if (points.length === 0) return { x: -180, y: -90, w: 360, h: 360 / aspect };
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  let [w, h] = [Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)].map(
+    (span) => Math.max(span, MIN_SPAN) * 1.15
+  );
+  if (w / h > aspect) h = w / aspect;
+  else w = h * aspect;
+  const [cx, cy] = [(Math.max(...xs) + Math.min(...xs)) / 2, (Math.max(...ys) + Math.min(...ys)) / 2];
+  return { x: cx - w / 2, y: cy - h / 2, w, h };
+};
+
+const GRID_STEPS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20];
+
+// Degrees between grid lines so about `lines` of them span `degrees`
+export const gridStep = (degrees, lines = 5) => GRID_STEPS.find((step) => degrees / step <= lines) || 30;
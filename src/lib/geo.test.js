@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { parseCSV } from "./csv.js";
+import {
+  isValidLocation,
+  placeKeys,
+  locateFromPlaces,
+  parsePlaceTable,
+  distanceKm,
+  formatDistance,
+  makeProjection,
+  fitBox,
+  gridStep
+} from "./geo.js";
+
+describe("placeKeys / locateFromPlaces", () => {
+  it("looks a client up by ZIP first, then by city and state", () => {
+    expect(placeKeys({ zip: "08817-1234", city: "Edison township", state: "New Jersey" })).toEqual([
+      "zip:08817",
+      "city:edison|nj"
+    ]);
+    expect(placeKeys({ city: "Saint Louis", state: "M.O." })).toEqual(["city:st louis|mo"]);
+    expect(placeKeys({ city: "Edison" })).toEqual([]);
+  });
+
+  it("prefers the imported places and falls back to the built-in cities", () => {
+    const found = new Map([["city:edison|nj", { lat: 40.5, lng: -74.4, label: "Edison, NJ" }]]);
+    expect(locateFromPlaces({ zip: "08817", city: "Edison", state: "NJ" }, found)).toEqual({
+      lat: 40.5,
+      lng: -74.4,
+      geoSource: "city",
+      label: "Edison, NJ"
+    });
+    expect(locateFromPlaces({ city: "Newark", state: "nj" }, new Map())).toMatchObject({ geoSource: "city" });
+    expect(locateFromPlaces({ city: "Nowhere", state: "NJ" }, new Map())).toBe(null);
+  });
+});
+
+describe("parsePlaceTable", () => {
+  it("reads Census Gazetteer columns, skipping rows without a usable place", () => {
+    const records = parseCSV(
+      "USPS\tGEOID\tNAME\tINTPTLAT\tINTPTLONG\n" +
+        "NJ\t3420230\tEdison township\t40.5187\t-74.4121\n" +
+        "NJ\t3451000\tNewark city\tnot a number\t-74.17\n"
+    );
+    expect(parsePlaceTable(records)).toEqual({
+      places: [{ key: "city:edison|nj", lat: 40.5187, lng: -74.4121, label: "Edison township, NJ" }],
+      skipped: 1
+    });
+  });
+
+  it("gives a ZIP and a city place for a row with both", () => {
+    const { places } = parsePlaceTable(parseCSV("zip,city,state,lat,lng\n08817,Edison,NJ,40.52,-74.41\n"));
+    expect(places.map((p) => p.key)).toEqual(["zip:08817", "city:edison|nj"]);
+  });
+
+  it("explains which columns are missing", () => {
+    expect(parsePlaceTable(parseCSV("zip,city\n08817,Edison\n"))).toEqual({
+      error: "No latitude / longitude columns found."
+    });
+    expect(parsePlaceTable(parseCSV("city,lat,lng\nEdison,40,-74\n"))).toEqual({
+      error: "Needs a ZIP column, or city and state columns."
+    });
+  });
+});
+
+describe("distances", () => {
+  it("measures great-circle distances", () => {
+    expect(distanceKm({ lat: 40.7128, lng: -74.006 }, { lat: 39.9526, lng: -75.1652 })).toBeCloseTo(129.6, 0);
+    expect(distanceKm({ lat: 40, lng: -74 }, { lat: 40, lng: -74 })).toBe(0);
+  });
+
+  it("shows miles for US and UK formats, km elsewhere", () => {
+    expect(formatDistance(16.09344, "en-US")).toBe("10 mi");
+    expect(formatDistance(5, "en-GB")).toBe("3.1 mi");
+    expect(formatDistance(5, "de-DE")).toBe("5.0 km");
+  });
+
+  it("rejects out-of-range coordinates", () => {
+    expect(isValidLocation(40, -74)).toBe(true);
+    expect(isValidLocation(91, 0)).toBe(false);
+    expect(isValidLocation(Number.NaN, 0)).toBe(false);
+  });
+});
+
+describe("map drawing", () => {
+  it("projects and unprojects, y growing southwards", () => {
+    const { project, unproject } = makeProjection([{ lat: 60, lng: 10 }]);
+    expect(project({ lat: 60, lng: 10 })).toEqual({ x: expect.closeTo(5, 9), y: -60 });
+    expect(unproject(project({ lat: 61, lng: 12 }))).toEqual({ lat: 61, lng: expect.closeTo(12, 9) });
+  });
+
+  it("fits a box with margin to the drawing's aspect", () => {
+    const box = fitBox(
+      [
+        { x: 0, y: 0 },
+        { x: 1, y: 0.1 }
+      ],
+      2
+    );
+    expect(box.w / box.h).toBeCloseTo(2, 9);
+    expect(box.w).toBeCloseTo(1.15, 9);
+    expect(box.x + box.w / 2).toBeCloseTo(0.5, 9);
+    expect(fitBox([{ x: 3, y: 4 }], 1).w).toBeCloseTo(0.0575, 9);
+  });
+
+  it("picks a round grid step", () => {
+    expect(gridStep(1)).toBe(0.2);
+    expect(gridStep(0.03)).toBe(0.01);
+    expect(gridStep(1000)).toBe(30);
+  });
+});
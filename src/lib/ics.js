@@ -0,0 +1,246 @@
+// =========================
+// iCalendar (.ics) export – RFC 5545
+// =========================
+// Follow-ups become VEVENTs with a stable UID per visit, so importing an
+// updated file replaces the event on the phone instead of adding a second one.
+// Times are written as floating local time (no Z / TZID): the event shows at
+// the same clock time the follow-up was entered with, wherever the phone is.
+
+import { addDays, isDateKey } from "./dates.js";
+
+const PRODID = "-//Field CRM//EN";
+const UID_DOMAIN = "fieldcrm.app";
+const DEFAULT_DURATION_MINUTES = 30;
+const ALL_DAY_REMINDER_HOUR = 9;
+
+// =========================
+// Reminder (VALARM) preference
+// =========================
+const ALARM_STORAGE_KEY = "fieldcrm.alarmLeadMinutes";
+const DEFAULT_ALARM_LEAD = 15;
+
+export const ALARM_LEAD_OPTIONS = [
+  { value: -1, label: "No reminder" },
+  { value: 0, label: "At time of event" },
+  { value: 15, label: "15 minutes before" },
+  { value: 60, label: "1 hour before" },
+  { value: 1440, label: "1 day before" }
+];
+
+export const getAlarmLeadMinutes = () => {
+  try {
+    const stored = localStorage.getItem(ALARM_STORAGE_KEY);
+    return stored === null ? DEFAULT_ALARM_LEAD : Number(stored);
+  } catch {
+    return DEFAULT_ALARM_LEAD;
+  }
+};
+
+export const setAlarmLeadMinutes = (minutes) => {
+  localStorage.setItem(ALARM_STORAGE_KEY, String(minutes));
+};
+
+// =========================
+// Formatting helpers
+// =========================
+
+// TEXT values: backslash, semicolon, comma and newlines must be escaped
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+
+// Content lines longer than 75 octets are folded with CRLF + a space. Counting is
+// in UTF-8 bytes and never splits a multi-byte character.
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // continuation lines start with a space, which counts toward their 75
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const compactDate = (dateKey) => dateKey.replace(/-/g, "");
+
+const utcStamp = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// "2025-01-05" + "14:30" + 90 min → local start/end as YYYYMMDDTHHMMSS
+const localDateTimes = (dateKey, time, durationMinutes) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const startMinutes = hours * 60 + minutes;
+  const endTotal = startMinutes + durationMinutes;
+  const endKey = addDays(dateKey, Math.floor(endTotal / 1440));
+  const endMinutes = endTotal % 1440;
+
+  const format = (key, total) => `${compactDate(key)}T${pad(Math.floor(total / 60))}${pad(total % 60)}00`;
+  return { start: format(dateKey, startMinutes), end: format(endKey, endMinutes) };
+};
+
+// Signed duration such as -PT15M, -P1D or PT8H45M
+const formatDuration = (totalMinutes) => {
+  const sign = totalMinutes < 0 ? "-" : "";
+  let remaining = Math.abs(totalMinutes);
+  if (remaining === 0) return "PT0M";
+  if (remaining % 1440 === 0) return `${sign}P${remaining / 1440}D`;
+
+  const hours = Math.floor(remaining / 60);
+  remaining %= 60;
+  return `${sign}PT${hours ? `${hours}H` : ""}${remaining ? `${remaining}M` : ""}`;
+};
+
+// Keyed on the visit's uuid: the numeric id differs between synced devices
+export const followUpUid = (visit) => `visit-${visit.uuid}@${UID_DOMAIN}`;
+
+// =========================
+// Building events / calendars
+// =========================
+
+// Returns the VEVENT content lines (unfolded) for one follow-up.
+// options.alarmLeadMinutes: -1 for no alarm; all-day events remind at 9:00 minus the lead.
+export const buildFollowUpEvent = (client, visit, options = {}) => {
+  const { alarmLeadMinutes = getAlarmLeadMinutes(), now = new Date(), status } = options;
+  if (!isDateKey(visit.followUpDate)) return [];
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${followUpUid(visit)}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    // Later exports must carry a higher SEQUENCE for calendars to accept the update
+    `SEQUENCE:${Math.floor(now.getTime() / 60000)}`
+  ];
+
+  const hasTime = /^\d{2}:\d{2}$/.test(visit.followUpTime || "");
+  if (hasTime) {
+    const duration = Number(visit.followUpDuration) || DEFAULT_DURATION_MINUTES;
+    const { start, end } = localDateTimes(visit.followUpDate, visit.followUpTime, duration);
+    lines.push(`DTSTART:${start}`, `DTEND:${end}`);
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${compactDate(visit.followUpDate)}`,
+      `DTEND;VALUE=DATE:${compactDate(addDays(visit.followUpDate, 1))}`
+    );
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(`Follow up: ${client.name}`)}`,
+    `DESCRIPTION:${escapeText(`Next Action: ${visit.nextAction || "Follow up"}\n\nLast Meeting: ${visit.note || ""}`)}`
+  );
+  if (client.city || client.state) {
+    lines.push(`LOCATION:${escapeText([client.city, client.state].filter(Boolean).join(", "))}`);
+  }
+  if (status) lines.push(`STATUS:${status}`);
+
+  if (alarmLeadMinutes >= 0 && status !== "CANCELLED") {
+    const trigger = hasTime ? -alarmLeadMinutes : ALL_DAY_REMINDER_HOUR * 60 - alarmLeadMinutes;
+    lines.push(
+      "BEGIN:VALARM",
+      `TRIGGER:${formatDuration(trigger)}`,
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(`Follow up: ${client.name}`)}`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Wraps VEVENT lines into a complete, folded, CRLF-terminated calendar file
+export const buildCalendar = (eventLines, { name } = {}) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...eventLines,
+    "END:VCALENDAR"
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+// =========================
+// Follow-up feed (all open follow-ups in one file)
+// =========================
+// We remember what the last feed contained. Anything in it that is no longer an
+// open follow-up (marked done or deleted) is sent once more as STATUS:CANCELLED,
+// so re-importing the file removes it from the phone calendar.
+const FEED_STORAGE_KEY = "fieldcrm.calendarFeed";
+
+const readFeedState = () => {
+  try {
+    const state = JSON.parse(localStorage.getItem(FEED_STORAGE_KEY)) || { events: [] };
+    // Feeds from before UIDs used the uuid tracked the numeric id. Keeping it as the
+    // uuid reproduces the old UID, so those events are cancelled once and replaced.
+    return {
+      ...state,
+      events: state.events.map((snapshot) => ({ ...snapshot, uuid: snapshot.uuid ?? String(snapshot.id) }))
+    };
+  } catch {
+    return { events: [] };
+  }
+};
+
+const snapshotEvent = (client, visit) => ({
+  uuid: visit.uuid,
+  clientName: client.name,
+  followUpDate: visit.followUpDate,
+  followUpTime: visit.followUpTime || "",
+  followUpDuration: visit.followUpDuration || null
+});
+
+// entries: [{ client, visit }] to publish; openUuids: uuids of every follow-up that is
+// still open (in or out of this export's range) – those are never cancelled.
+export const buildFollowUpFeed = (entries, openUuids, options = {}) => {
+  const { events: previous } = readFeedState();
+  const open = new Set(openUuids);
+
+  const cancelled = previous.filter((snapshot) => !open.has(snapshot.uuid));
+  const lines = [
+    ...entries.flatMap(({ client, visit }) => buildFollowUpEvent(client, visit, options)),
+    ...cancelled.flatMap((snapshot) =>
+      buildFollowUpEvent({ name: snapshot.clientName }, snapshot, { ...options, status: "CANCELLED" })
+    )
+  ];
+
+  return {
+    content: buildCalendar(lines, { name: "Field CRM follow-ups" }),
+    cancelledCount: cancelled.length,
+    // Call once the file has actually been handed to the user
+    commit: () => {
+      // Still-open events from earlier feeds stay tracked even if this export's range left them out
+      const published = entries.map(({ client, visit }) => snapshotEvent(client, visit));
+      const publishedUuids = new Set(published.map((snapshot) => snapshot.uuid));
+      const carriedOver = previous.filter((snapshot) => open.has(snapshot.uuid) && !publishedUuids.has(snapshot.uuid));
+
+      localStorage.setItem(
+        FEED_STORAGE_KEY,
+        JSON.stringify({ exportedAt: new Date().toISOString(), events: [...published, ...carriedOver] })
+      );
+    }
+  };
+};
+
+export const getLastFeedExport = () => readFeedState().exportedAt || null;
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  escapeText,
+  foldLine,
+  followUpUid,
+  buildFollowUpEvent,
+  buildCalendar,
+  buildFollowUpFeed,
+  getLastFeedExport
+} from "./ics.js";
+
+const client = { name: "ABC Granite", city: "Edison", state: "NJ" };
+const now = new Date("2025-03-01T12:00:00Z");
+
+describe("escapeText", () => {
+  it("escapes backslashes, semicolons, commas and newlines", () => {
+    expect(escapeText("a\\b;c,d\r\ne\nf")).toBe("a\\\\b\\;c\\,d\\ne\\nf");
+    expect(escapeText(undefined)).toBe("");
+  });
+});
+
+describe("foldLine", () => {
+  it("leaves lines of up to 75 octets alone", () => {
+    const line = "x".repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it("folds longer lines with CRLF and a space", () => {
+    const parts = foldLine("x".repeat(200)).split("\r\n ");
+    expect(parts.map((part) => part.length)).toEqual([75, 74, 51]);
+  });
+
+  it("counts UTF-8 bytes and never splits a character", () => {
+    const parts = foldLine("é".repeat(50)).split("\r\n ");
+    expect(parts.map((part) => new TextEncoder().encode(part).length)).toEqual([74, 26]);
+    expect(parts.join("")).toBe("é".repeat(50));
+  });
+});
+
+describe("buildFollowUpEvent", () => {
+  it("writes an all-day event when the follow-up has no time", () => {
+    const lines = buildFollowUpEvent(client, { uuid: "u-7", followUpDate: "2025-03-09", nextAction: "Call" }, { now });
+
+    expect(lines[0]).toBe("BEGIN:VEVENT");
+    expect(lines).toContain("UID:visit-u-7@fieldcrm.app");
+    expect(lines).toContain("DTSTAMP:20250301T120000Z");
+    expect(lines).toContain("DTSTART;VALUE=DATE:20250309");
+    expect(lines).toContain("DTEND;VALUE=DATE:20250310");
+    expect(lines).toContain("LOCATION:Edison\\, NJ");
+    expect(lines.at(-1)).toBe("END:VEVENT");
+  });
+
+  it("writes floating local times and runs past midnight into the next day", () => {
+    const visit = { uuid: "u-7", followUpDate: "2025-03-09", followUpTime: "23:30", followUpDuration: 60 };
+    const lines = buildFollowUpEvent(client, visit, { now, alarmLeadMinutes: -1 });
+
+    expect(lines).toContain("DTSTART:20250309T233000");
+    expect(lines).toContain("DTEND:20250310T003000");
+    expect(lines).not.toContain("BEGIN:VALARM");
+  });
+
+  it("reminds before a timed event, and at 9:00 minus the lead on an all-day one", () => {
+    const timed = { uuid: "u-7", followUpDate: "2025-03-09", followUpTime: "14:00" };
+    expect(buildFollowUpEvent(client, timed, { now, alarmLeadMinutes: 15 })).toContain("TRIGGER:-PT15M");
+    expect(buildFollowUpEvent(client, timed, { now, alarmLeadMinutes: 1440 })).toContain("TRIGGER:-P1D");
+
+    const allDay = { uuid: "u-7", followUpDate: "2025-03-09" };
+    expect(buildFollowUpEvent(client, allDay, { now, alarmLeadMinutes: 60 })).toContain("TRIGGER:PT8H");
+    expect(buildFollowUpEvent(client, allDay, { now, alarmLeadMinutes: 0 })).toContain("TRIGGER:PT9H");
+  });
+
+  it("writes nothing for a visit without a follow-up date", () => {
+    expect(buildFollowUpEvent(client, { uuid: "u-7" }, { now })).toEqual([]);
+  });
+});
+
+describe("buildCalendar", () => {
+  it("wraps the events in a CRLF-terminated VCALENDAR", () => {
+    const ics = buildCalendar(buildFollowUpEvent(client, { uuid: "u-7", followUpDate: "2025-03-09" }, { now }), {
+      name: "Follow-ups"
+    });
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics).toContain("\r\nX-WR-CALNAME:Follow-ups\r\n");
+    expect(ics.endsWith("END:VEVENT\r\nEND:VCALENDAR\r\n")).toBe(true);
+    expect(ics.split("\r\n").every((line) => new TextEncoder().encode(line).length <= 75)).toBe(true);
+  });
+});
+
+describe("buildFollowUpFeed", () => {
+  beforeEach(() => localStorage.clear());
+
+  const visits = [
+    { uuid: "u-1", followUpDate: "2025-03-09" },
+    { uuid: "u-2", followUpDate: "2025-03-10", followUpTime: "09:00" }
+  ];
+  const entries = visits.map((visit) => ({ client, visit }));
+  const eventOf = (content, uid) => content.split("BEGIN:VEVENT").find((part) => part.includes(`UID:${uid}`));
+  const statusOf = (content, uid) => {
+    const event = eventOf(content, uid);
+    return event?.match(/STATUS:(\w+)/)?.[1] || (event ? "open" : null);
+  };
+
+  it("publishes every open follow-up once", () => {
+    const { content, cancelledCount } = buildFollowUpFeed(entries, ["u-1", "u-2"], { now });
+    expect(content.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(cancelledCount).toBe(0);
+    expect(getLastFeedExport()).toBe(null);
+  });
+
+  it("cancels what the last feed had and is no longer open", () => {
+    buildFollowUpFeed(entries, ["u-1", "u-2"], { now }).commit();
+    expect(getLastFeedExport()).toEqual(expect.any(String));
+
+    const next = buildFollowUpFeed([entries[1]], ["u-2"], { now });
+    expect(next.cancelledCount).toBe(1);
+    expect(statusOf(next.content, followUpUid(visits[0]))).toBe("CANCELLED");
+    expect(statusOf(next.content, followUpUid(visits[1]))).toBe("open");
+    expect(eventOf(next.content, followUpUid(visits[0]))).not.toContain("BEGIN:VALARM");
+  });
+
+  it("cancels nothing before the feed is committed", () => {
+    buildFollowUpFeed(entries, ["u-1", "u-2"], { now });
+    expect(buildFollowUpFeed([], [], { now }).cancelledCount).toBe(0);
+  });
+
+  it("keeps tracking open follow-ups this export's range left out", () => {
+    buildFollowUpFeed(entries, ["u-1", "u-2"], { now }).commit();
+    buildFollowUpFeed([entries[0]], ["u-1", "u-2"], { now }).commit();
+
+    const { content, cancelledCount } = buildFollowUpFeed([], ["u-1"], { now });
+    expect(cancelledCount).toBe(1);
+    expect(statusOf(content, followUpUid(visits[1]))).toBe("CANCELLED");
+  });
+
+  it("cancels events from feeds that were keyed on the numeric id", () => {
+    const legacy = { id: 1, clientName: client.name, followUpDate: "2025-03-09", followUpTime: "" };
+    localStorage.setItem("fieldcrm.calendarFeed", JSON.stringify({ events: [legacy] }));
+
+    const { content, cancelledCount } = buildFollowUpFeed([entries[0]], ["u-1"], { now });
+    expect(cancelledCount).toBe(1);
+    expect(statusOf(content, "visit-1@fieldcrm.app")).toBe("CANCELLED");
+    expect(statusOf(content, followUpUid(visits[0]))).toBe("open");
+  });
+});
@@ -0,0 +1,63 @@
+import { getDisplayLocale } from "./dates.js";
+
+// =========================
+// Sales pipeline: opportunity stages and totals
+// =========================
+// An opportunity is a possible deal with one client (a kitchen job, a slab
+// order). Visits can point at it through `opportunityId` and move it along.
+
+export const OPPORTUNITY_STAGES = [
+  { key: "lead", label: "Lead" },
+  { key: "sample_sent", label: "Sample sent" },
+  { key: "quoted", label: "Quoted" },
+  { key: "negotiating", label: "Negotiating" },
+  { key: "won", label: "Won" },
+  { key: "lost", label: "Lost" }
+];
+
+const CLOSED_STAGES = ["won", "lost"];
+
+const CURRENCY = "USD";
+
+export const stageLabel = (stage) => OPPORTUNITY_STAGES.find((s) => s.key === stage)?.label || stage;
+
+export const isOpenOpportunity = (opportunity) => !CLOSED_STAGES.includes(opportunity.stage);
+
+export const emptyOpportunity = (clientId) => ({
+  clientId,
+  title: "",
+  stage: "lead",
+  value: "",
+  products: "",
+  expectedCloseDate: "",
+  notes: ""
+});
+
+// Stored values are numbers; the form works with strings
+export const parseValue = (input) => {
+  const value = Number(String(input ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(value) ? value : 0;
+};
+
+export const formatValue = (value, locale = getDisplayLocale()) =>
+  (value || 0).toLocaleString(locale === "system" ? undefined : locale, {
+    style: "currency",
+    currency: CURRENCY,
+    maximumFractionDigits: 0
+  });
+
+// { stage: { count, value } } for every stage, plus the open pipeline total
+export const pipelineTotals = (opportunities) => {
+  const byStage = Object.fromEntries(OPPORTUNITY_STAGES.map((s) => [s.key, { count: 0, value: 0 }]));
+  let openValue = 0;
+
+  opportunities.forEach((opportunity) => {
+    const totals = byStage[opportunity.stage];
+    if (!totals) return;
+    totals.count += 1;
+    totals.value += opportunity.value || 0;
+    if (isOpenOpportunity(opportunity)) openValue += opportunity.value || 0;
+  });
+
+  return { byStage, openValue };
+};
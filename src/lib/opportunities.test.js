@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { parseValue, pipelineTotals, isOpenOpportunity } from "./opportunities.js";
+
+describe("parseValue", () => {
+  it("reads typed amounts, ignoring currency signs and separators", () => {
+    expect(parseValue("$12,500")).toBe(12500);
+    expect(parseValue("99.5")).toBe(99.5);
+    expect(parseValue("")).toBe(0);
+    expect(parseValue(undefined)).toBe(0);
+  });
+});
+
+describe("pipelineTotals", () => {
+  it("counts and sums every stage; only open stages make up the pipeline value", () => {
+    const { byStage, openValue } = pipelineTotals([
+      { stage: "lead", value: 1000 },
+      { stage: "quoted", value: 4000 },
+      { stage: "quoted" },
+      { stage: "won", value: 9000 },
+      { stage: "lost", value: 500 },
+      { stage: "unknown", value: 7 }
+    ]);
+
+    expect(byStage.lead).toEqual({ count: 1, value: 1000 });
+    expect(byStage.quoted).toEqual({ count: 2, value: 4000 });
+    expect(byStage.won).toEqual({ count: 1, value: 9000 });
+    expect(openValue).toBe(5000);
+    expect(isOpenOpportunity({ stage: "negotiating" })).toBe(true);
+    expect(isOpenOpportunity({ stage: "lost" })).toBe(false);
+  });
+});
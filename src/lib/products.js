@@ -0,0 +1,97 @@
+import { normalizeName } from "./clients.js";
+
+// =========================
+// Product catalog: matching free text to catalog products
+// =========================
+// Visits reference catalog products through `productIds`. The old free-text
+// `products` field stays for anything that isn't in the catalog.
+
+export const PRODUCT_FIELDS = ["name", "sku", "category", "finish", "priceTier"];
+
+export const emptyProduct = () => ({ name: "", sku: "", category: "", finish: "", priceTier: "" });
+
+const normalizeSku = (value) => (value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// "Calacatta Avenza, Harmony gold; Statuario" → ["Calacatta Avenza", "Harmony gold", "Statuario"]
+export const splitProductText = (text) =>
+  (text || "")
+    .split(/[,;/+\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+// Finds a catalog product by SKU, then by normalized name
+export const buildProductMatcher = (products) => {
+  const bySku = new Map();
+  const byName = new Map();
+
+  products.forEach((p) => {
+    const sku = normalizeSku(p.sku);
+    const name = normalizeName(p.name);
+    if (sku && !bySku.has(sku)) bySku.set(sku, p);
+    if (name && !byName.has(name)) byName.set(name, p);
+  });
+
+  return ({ name, sku }) => {
+    const skuKey = normalizeSku(sku);
+    if (skuKey && bySku.has(skuKey)) return { product: bySku.get(skuKey), matchedOn: "SKU" };
+    const nameKey = normalizeName(name);
+    if (nameKey && byName.has(nameKey)) return { product: byName.get(nameKey), matchedOn: "name" };
+    return null;
+  };
+};
+
+// Which visits mention catalog products in their free text. Each link says
+// which product ids to add and what is left of the text afterwards; visits
+// with nothing to link are left out.
+export const planProductLinks = (visits, products) => {
+  const findProduct = buildProductMatcher(products);
+  const links = [];
+
+  visits.forEach((visit) => {
+    const parts = splitProductText(visit.products);
+    const productIds = new Set(visit.productIds || []);
+    const unmatched = [];
+
+    parts.forEach((part) => {
+      // A part like "CAL-001" may be a SKU rather than a name
+      const match = findProduct({ name: part, sku: part });
+      if (match) productIds.add(match.product.id);
+      else unmatched.push(part);
+    });
+
+    if (unmatched.length === parts.length) return;
+    links.push({ visit, productIds: [...productIds], remainingText: unmatched.join(", ") });
+  });
+
+  return links;
+};
+
+export const applyProductLink = ({ visit, productIds, remainingText }) => ({
+  ...visit,
+  productIds,
+  products: remainingText
+});
+
+// Catalog names and any leftover free text, for display and export
+export const visitProductNames = (visit, productsById) => [
+  ...(visit.productIds || []).map((id) => productsById.get(id)?.name).filter(Boolean),
+  ...splitProductText(visit.products)
+];
+
+// Autocomplete: names / SKUs containing every typed word, name-prefix matches first
+export const searchProducts = (products, query, limit = 8) => {
+  const words = normalizeName(query).split(" ").filter(Boolean);
+  if (words.length === 0) return [];
+
+  return products
+    .filter((p) => {
+      const haystack = `${normalizeName(p.name)} ${normalizeSku(p.sku).toLowerCase()}`;
+      return words.every((word) => haystack.includes(word));
+    })
+    .sort((a, b) => {
+      const aPrefix = normalizeName(a.name).startsWith(words[0]) ? 0 : 1;
+      const bPrefix = normalizeName(b.name).startsWith(words[0]) ? 0 : 1;
+      return aPrefix - bPrefix || a.name.localeCompare(b.name);
+    })
+    .slice(0, limit);
+};
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  splitProductText,
+  buildProductMatcher,
+  planProductLinks,
+  applyProductLink,
+  visitProductNames,
+  searchProducts
+} from "./products.js";
+
+const products = [
+  { id: 1, name: "Calacatta Avenza", sku: "CAL-001" },
+  { id: 2, name: "Statuario", sku: "STA-002" },
+  { id: 3, name: "Harmony Gold", sku: "" }
+];
+
+describe("splitProductText", () => {
+  it("splits on commas, semicolons, slashes, plus signs and newlines", () => {
+    expect(splitProductText("Calacatta Avenza, Harmony gold; Statuario / Nero + Bianco\nGrigio")).toEqual([
+      "Calacatta Avenza",
+      "Harmony gold",
+      "Statuario",
+      "Nero",
+      "Bianco",
+      "Grigio"
+    ]);
+    expect(splitProductText(undefined)).toEqual([]);
+  });
+});
+
+describe("buildProductMatcher", () => {
+  const find = buildProductMatcher(products);
+
+  it("matches by SKU first, ignoring case and punctuation", () => {
+    expect(find({ name: "Something else", sku: "cal 001" })).toEqual({ product: products[0], matchedOn: "SKU" });
+  });
+
+  it("falls back to the normalized name", () => {
+    expect(find({ name: "harmony  GOLD" })).toEqual({ product: products[2], matchedOn: "name" });
+    expect(find({ name: "Nero Marquina", sku: "NER-9" })).toBe(null);
+  });
+});
+
+describe("planProductLinks / applyProductLink", () => {
+  it("links the catalog products a visit mentions and keeps the rest as text", () => {
+    const visits = [
+      { id: 10, products: "Statuario, remnants, CAL-001", productIds: [3] },
+      { id: 11, products: "Nothing in the catalog" },
+      { id: 12 }
+    ];
+
+    const links = planProductLinks(visits, products);
+    expect(links).toEqual([{ visit: visits[0], productIds: [3, 2, 1], remainingText: "remnants" }]);
+    expect(applyProductLink(links[0])).toEqual({ id: 10, products: "remnants", productIds: [3, 2, 1] });
+  });
+});
+
+describe("visitProductNames", () => {
+  it("lists catalog names, then the free text, skipping deleted products", () => {
+    const productsById = new Map(products.map((p) => [p.id, p]));
+    expect(visitProductNames({ productIds: [2, 99], products: "Remnants" }, productsById)).toEqual([
+      "Statuario",
+      "Remnants"
+    ]);
+  });
+});
+
+describe("searchProducts", () => {
+  it("matches every word against names and SKUs, name prefixes first", () => {
+    expect(searchProducts(products, "a").map((p) => p.id)).toEqual([1, 3, 2]);
+    expect(searchProducts(products, "sta 002").map((p) => p.id)).toEqual([2]);
+    expect(searchProducts(products, "  ")).toEqual([]);
+    expect(searchProducts(products, "a", 1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,97 @@
+import { addDays, daysBetween, isDateKey, formatDate } from "./dates.js";
+
+// =========================
+// Quotes and samples
+// =========================
+// A quote sent or a sample dropped off, logged from a visit. Pending items
+// with a valid-until date get a follow-up on the dashboard shortly before
+// they expire, and flip to "expired" once the date has passed.
+
+export const QUOTE_KINDS = [
+  { key: "quote", label: "Quote" },
+  { key: "sample", label: "Sample" }
+];
+
+export const QUOTE_STATUSES = [
+  { key: "pending", label: "Pending" },
+  { key: "accepted", label: "Accepted" },
+  { key: "rejected", label: "Rejected" },
+  { key: "expired", label: "Expired" }
+];
+
+// The reminder is created once the expiry is this close...
+export const QUOTE_EXPIRY_LEAD_DAYS = 7;
+// ...and is due this many days before the expiry (or today, if that's later)
+const REMINDER_DAYS_BEFORE = 2;
+
+export const kindLabel = (kind) => QUOTE_KINDS.find((k) => k.key === kind)?.label || kind;
+export const quoteStatusLabel = (status) => QUOTE_STATUSES.find((s) => s.key === status)?.label || status;
+
+export const emptyQuoteItem = () => ({ productId: null, description: "", quantity: 1, unitPrice: "" });
+
+export const emptyQuote = (clientId, visitId = null) => ({
+  clientId,
+  visitId,
+  kind: "quote",
+  status: "pending",
+  items: [emptyQuoteItem()],
+  validUntil: "",
+  notes: ""
+});
+
+export const quoteTotal = (quote) =>
+  (quote.items || []).reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), 0);
+
+// "2 × Calacatta Avenza, Statuario"
+export const describeItems = (quote) =>
+  (quote.items || [])
+    .filter((item) => item.description)
+    .map((item) => (Number(item.quantity) > 1 ? `${item.quantity} × ${item.description}` : item.description))
+    .join(", ");
+
+// Days left before a pending quote expires (negative once past), or null
+export const daysUntilExpiry = (quote, today) =>
+  quote.status === "pending" && isDateKey(quote.validUntil) ? daysBetween(today, quote.validUntil) : null;
+
+// What the startup sweep should write:
+//   expire    – pending quotes whose valid-until date has passed
+//   reminders – pending quotes expiring soon that have no reminder yet, with
+//               the follow-up visit to create for each
+export const planQuoteSweep = (quotes, today) => {
+  const expire = [];
+  const reminders = [];
+
+  quotes.forEach((quote) => {
+    const daysLeft = daysUntilExpiry(quote, today);
+    if (daysLeft === null) return;
+
+    if (daysLeft < 0) {
+      expire.push({ ...quote, status: "expired" });
+      return;
+    }
+
+    if (daysLeft <= QUOTE_EXPIRY_LEAD_DAYS && !quote.reminderVisitId) {
+      const dueDate = addDays(quote.validUntil, -REMINDER_DAYS_BEFORE);
+      reminders.push({
+        quote,
+        visit: {
+          clientId: quote.clientId,
+          date: today,
+          touchType: "Reminder",
+          outcome: "",
+          products: "",
+          signal: "",
+          note: `${kindLabel(quote.kind)} expires ${formatDate(quote.validUntil)}: ${describeItems(quote) || "no items listed"}`,
+          nextAction: `Follow up on ${quote.kind === "sample" ? "sample" : "quote"} before it expires`,
+          followUpDate: dueDate > today ? dueDate : today,
+          followUpTime: "",
+          completed: false,
+          priority: "high",
+          quoteId: quote.id
+        }
+      });
+    }
+  });
+
+  return { expire, reminders };
+};
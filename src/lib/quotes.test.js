@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { quoteTotal, describeItems, daysUntilExpiry, planQuoteSweep } from "./quotes.js";
+
+const quote = (fields) => ({ id: 1, clientId: 4, kind: "quote", status: "pending", items: [], ...fields });
+
+describe("quoteTotal / describeItems", () => {
+  const items = [
+    { description: "Calacatta Avenza", quantity: 2, unitPrice: "45.5" },
+    { description: "Statuario", quantity: 1, unitPrice: 30 },
+    { description: "", quantity: "", unitPrice: 10 }
+  ];
+
+  it("adds up quantity × unit price, treating blanks as zero", () => {
+    expect(quoteTotal(quote({ items }))).toBe(121);
+    expect(quoteTotal({})).toBe(0);
+  });
+
+  it("lists the described items with their quantities", () => {
+    expect(describeItems(quote({ items }))).toBe("2 × Calacatta Avenza, Statuario");
+  });
+});
+
+describe("daysUntilExpiry", () => {
+  it("counts days left on a pending quote, negative once past", () => {
+    expect(daysUntilExpiry(quote({ validUntil: "2025-03-10" }), "2025-03-01")).toBe(9);
+    expect(daysUntilExpiry(quote({ validUntil: "2025-02-27" }), "2025-03-01")).toBe(-2);
+  });
+
+  it("is null without a date or once the quote is settled", () => {
+    expect(daysUntilExpiry(quote({ validUntil: "" }), "2025-03-01")).toBe(null);
+    expect(daysUntilExpiry(quote({ validUntil: "2025-03-10", status: "accepted" }), "2025-03-01")).toBe(null);
+  });
+});
+
+describe("planQuoteSweep", () => {
+  const today = "2025-03-01";
+
+  it("expires pending quotes whose date has passed", () => {
+    const { expire, reminders } = planQuoteSweep([quote({ validUntil: "2025-02-28" })], today);
+    expect(expire).toEqual([expect.objectContaining({ id: 1, status: "expired" })]);
+    expect(reminders).toEqual([]);
+  });
+
+  it("plans one high-priority reminder two days before a quote expiring soon", () => {
+    const { reminders } = planQuoteSweep([quote({ kind: "sample", validUntil: "2025-03-06" })], today);
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].visit).toMatchObject({
+      clientId: 4,
+      date: today,
+      followUpDate: "2025-03-04",
+      priority: "high",
+      completed: false,
+      quoteId: 1,
+      nextAction: "Follow up on sample before it expires"
+    });
+  });
+
+  it("makes a reminder due today when the expiry is less than two days off", () => {
+    const { reminders } = planQuoteSweep([quote({ validUntil: "2025-03-02" })], today);
+    expect(reminders[0].visit.followUpDate).toBe(today);
+  });
+
+  it("leaves quotes with a reminder, far-off expiries and settled quotes alone", () => {
+    const quotes = [
+      quote({ validUntil: "2025-03-05", reminderVisitId: 8 }),
+      quote({ validUntil: "2025-03-20" }),
+      quote({ validUntil: "2025-02-01", status: "rejected" })
+    ];
+    expect(planQuoteSweep(quotes, today)).toEqual({ expire: [], reminders: [] });
+  });
+});
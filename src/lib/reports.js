@@ -0,0 +1,187 @@
+import { addDays, daysBetween, weekdayOf, compareDateKeys, parseDateKey, getDisplayLocale } from "./dates.js";
+
+// =========================
+// Reports: visit activity and client coverage
+// =========================
+// Everything is computed on the device from the clients and visits already in
+// memory. A report covers a date range ({ from, to } date keys, both
+// inclusive); activity charts are bucketed by week for short ranges and by
+// month for long ones.
+
+export const REPORT_RANGES = [
+  { key: "days30", label: "Last 30 days", from: (today) => addDays(today, -29) },
+  { key: "days90", label: "Last 90 days", from: (today) => addDays(today, -89) },
+  { key: "year", label: "This year", from: (today) => `${today.slice(0, 4)}-01-01` },
+  {
+    key: "months12",
+    label: "Last 12 months",
+    // This month plus the 11 before it
+    from: (today) => nextPeriod(`${Number(today.slice(0, 4)) - 1}${today.slice(4, 8)}01`, "month")
+  },
+  { key: "all", label: "All time", from: () => null },
+  { key: "custom", label: "Custom…", from: () => null }
+];
+
+// Follow-ups created for expiring quotes are not activity
+const isActivity = (visit) => visit.touchType !== "Reminder";
+
+const inRange = (key, { from, to }) => !!key && (!from || key >= from) && (!to || key <= to);
+
+// rangeKey: a REPORT_RANGES key; custom: { from, to } used for "custom".
+// "All time" starts at the earliest visit.
+export const resolveRange = (rangeKey, today, visits, custom = {}) => {
+  if (rangeKey === "custom") return { from: custom.from || null, to: custom.to || today };
+
+  const preset = REPORT_RANGES.find((r) => r.key === rangeKey) || REPORT_RANGES[0];
+  const earliest = visits.reduce((min, v) => (v.date && (!min || v.date < min) ? v.date : min), null);
+  return { from: preset.from(today) || earliest, to: today };
+};
+
+export const visitsInRange = (visits, range) => visits.filter((v) => isActivity(v) && inRange(v.date, range));
+
+// More than ~4 months of weekly bars gets unreadable on a phone
+const WEEKLY_MAX_DAYS = 120;
+
+export const periodUnit = ({ from, to }) => (from && to && daysBetween(from, to) > WEEKLY_MAX_DAYS ? "month" : "week");
+
+// Weeks start on Monday
+const weekStart = (key) => addDays(key, -((weekdayOf(key) + 6) % 7));
+
+const periodKey = (key, unit) => (unit === "month" ? `${key.slice(0, 7)}-01` : weekStart(key));
+
+const nextPeriod = (key, unit) => {
+  if (unit === "week") return addDays(key, 7);
+  const [year, month] = key.split("-").map(Number);
+  return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, "0")}-01`;
+};
+
+// Chart label: "Oct 13" for the week starting then, "Oct 26" for a month
+export const formatPeriod = (key, unit, locale = getDisplayLocale()) =>
+  parseDateKey(key).toLocaleDateString(
+    locale === "system" ? undefined : locale,
+    unit === "month" ? { month: "short", year: "2-digit" } : { month: "short", day: "numeric" }
+  );
+
+/**
+ * Counts visits per period and per value of `keyOf(visit)`, with a row for
+ * every period in the range (empty ones included, so gaps show on the chart).
+ * Returns { unit, series: [values, most common first], rows: [{ period, counts, total }] }.
+ */
+export const countByPeriod = (visits, range, keyOf) => {
+  const unit = periodUnit(range);
+  const inPeriod = visitsInRange(visits, range);
+  const rows = new Map();
+
+  if (range.from && range.to) {
+    for (let period = periodKey(range.from, unit); period <= range.to; period = nextPeriod(period, unit)) {
+      rows.set(period, { period, counts: {}, total: 0 });
+    }
+  }
+
+  const totals = {};
+  inPeriod.forEach((visit) => {
+    const period = periodKey(visit.date, unit);
+    if (!rows.has(period)) rows.set(period, { period, counts: {}, total: 0 });
+    const row = rows.get(period);
+    const key = keyOf(visit) || "Not set";
+    row.counts[key] = (row.counts[key] || 0) + 1;
+    row.total += 1;
+    totals[key] = (totals[key] || 0) + 1;
+  });
+
+  return {
+    unit,
+    series: Object.keys(totals).sort((a, b) => totals[b] - totals[a]),
+    rows: [...rows.values()].sort((a, b) => compareDateKeys(a.period, b.period))
+  };
+};
+
+export const visitsByTouchType = (visits, range) => countByPeriod(visits, range, (v) => v.touchType);
+
+export const SIGNALS = ["Hot", "Warm", "Cold"];
+
+export const signalMix = (visits, range) => {
+  const mix = countByPeriod(visits, range, (v) => v.signal);
+  // Always hot → cold, whatever is most common
+  mix.series = [...SIGNALS, "Not set"].filter((s) => mix.series.includes(s));
+  return mix;
+};
+
+export const COVERAGE_THRESHOLDS = [30, 60, 90];
+
+/**
+ * Clients whose last visit is at least N days before today (never visited
+ * counts too), for each threshold. Inactive clients are left out: nobody is
+ * expected to call on them. Longest gap first.
+ */
+export const uncontactedClients = (clients, visits, today) => {
+  const lastVisit = new Map();
+  visits.filter(isActivity).forEach((v) => {
+    if (v.date && v.date <= today && (!lastVisit.has(v.clientId) || v.date > lastVisit.get(v.clientId))) {
+      lastVisit.set(v.clientId, v.date);
+    }
+  });
+
+  const entries = clients
+    .filter((c) => c.status !== "Inactive")
+    .map((client) => {
+      const last = lastVisit.get(client.id) || null;
+      return { client, lastVisitDate: last, daysSince: last ? daysBetween(last, today) : null };
+    })
+    .sort((a, b) => (b.daysSince ?? Infinity) - (a.daysSince ?? Infinity));
+
+  return COVERAGE_THRESHOLDS.map((days) => ({
+    days,
+    clients: entries.filter((e) => e.daysSince === null || e.daysSince >= days)
+  }));
+};
+
+/**
+ * Follow-ups that fell due in the range (up to today): how many were done,
+ * and how late the ones still open are. Visits don't record when a follow-up
+ * was completed, so "done" means done by now.
+ */
+export const followUpStats = (visits, range, today) => {
+  const dueRange = { from: range.from, to: range.to && range.to < today ? range.to : today };
+  const due = visits.filter((v) => inRange(v.followUpDate, dueRange));
+  const completed = due.filter((v) => v.completed).length;
+  const overdue = due.filter((v) => !v.completed && v.followUpDate < today);
+  const totalDaysOverdue = overdue.reduce((sum, v) => sum + daysBetween(v.followUpDate, today), 0);
+
+  return {
+    due: due.length,
+    completed,
+    completionRate: due.length > 0 ? completed / due.length : null,
+    overdue: overdue.length,
+    averageDaysOverdue: overdue.length > 0 ? totalDaysOverdue / overdue.length : null
+  };
+};
+
+const cityLabel = (client) => [client.city, client.state].filter(Boolean).join(", ");
+
+export const ACTIVITY_GROUPS = [
+  { key: "segment", label: "Segments", labelOf: (client) => client.segment },
+  { key: "city", label: "Cities", labelOf: cityLabel }
+];
+
+// Visit count and distinct clients visited per segment / city, busiest first
+export const topGroups = (visits, clients, range, groupKey, limit = 5) => {
+  const { labelOf } = ACTIVITY_GROUPS.find((g) => g.key === groupKey);
+  const clientsById = new Map(clients.map((c) => [c.id, c]));
+  const groups = new Map();
+
+  visitsInRange(visits, range).forEach((visit) => {
+    const client = clientsById.get(visit.clientId);
+    if (!client) return;
+    const label = labelOf(client) || "Not set";
+    if (!groups.has(label)) groups.set(label, { label, visits: 0, clientIds: new Set() });
+    const group = groups.get(label);
+    group.visits += 1;
+    group.clientIds.add(client.id);
+  });
+
+  return [...groups.values()]
+    .map(({ label, visits: count, clientIds }) => ({ label, visits: count, clients: clientIds.size }))
+    .sort((a, b) => b.visits - a.visits || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
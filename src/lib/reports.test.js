@@ -0,0 +1,150 @@
+import { describe, it, expect } from "vitest";
+import {
+  resolveRange,
+  visitsInRange,
+  periodUnit,
+  countByPeriod,
+  signalMix,
+  uncontactedClients,
+  followUpStats,
+  topGroups
+} from "./reports.js";
+
+const today = "2025-03-15";
+
+describe("resolveRange", () => {
+  const visits = [{ date: "2024-06-02" }, { date: "2023-11-20" }, {}];
+
+  it("counts presets back from today, both ends included", () => {
+    expect(resolveRange("days30", today, visits)).toEqual({ from: "2025-02-14", to: today });
+    expect(resolveRange("year", today, visits)).toEqual({ from: "2025-01-01", to: today });
+    expect(resolveRange("months12", today, visits)).toEqual({ from: "2024-04-01", to: today });
+  });
+
+  it("starts all time at the earliest visit, and a custom range ends today by default", () => {
+    expect(resolveRange("all", today, visits)).toEqual({ from: "2023-11-20", to: today });
+    expect(resolveRange("custom", today, visits, { from: "2025-01-10" })).toEqual({ from: "2025-01-10", to: today });
+    expect(resolveRange("unknown", today, visits)).toEqual(resolveRange("days30", today, visits));
+  });
+});
+
+describe("visitsInRange / periodUnit", () => {
+  it("keeps visits in the range and leaves out quote reminders", () => {
+    const visits = [
+      { id: 1, date: "2025-03-01" },
+      { id: 2, date: "2025-03-01", touchType: "Reminder" },
+      { id: 3, date: "2025-01-01" }
+    ];
+    expect(visitsInRange(visits, { from: "2025-02-01", to: today }).map((v) => v.id)).toEqual([1]);
+  });
+
+  it("switches from weeks to months past about four months", () => {
+    expect(periodUnit({ from: "2025-01-01", to: "2025-05-01" })).toBe("week");
+    expect(periodUnit({ from: "2025-01-01", to: "2025-05-02" })).toBe("month");
+    expect(periodUnit({ from: null, to: today })).toBe("week");
+  });
+});
+
+describe("countByPeriod", () => {
+  it("buckets visits into Monday weeks, empty weeks included", () => {
+    const visits = [
+      { date: "2025-03-03", touchType: "Visit" },
+      { date: "2025-03-09", touchType: "Call" },
+      { date: "2025-03-09", touchType: "Call" },
+      { date: "2025-03-14" }
+    ];
+    const { unit, series, rows } = countByPeriod(visits, { from: "2025-02-26", to: today }, (v) => v.touchType);
+
+    expect(unit).toBe("week");
+    expect(series).toEqual(["Call", "Visit", "Not set"]);
+    expect(rows).toEqual([
+      { period: "2025-02-24", counts: {}, total: 0 },
+      { period: "2025-03-03", counts: { Visit: 1, Call: 2 }, total: 3 },
+      { period: "2025-03-10", counts: { "Not set": 1 }, total: 1 }
+    ]);
+  });
+
+  it("buckets long ranges by month, across the new year", () => {
+    const { unit, rows } = countByPeriod([{ date: "2025-01-20" }], { from: "2024-11-01", to: today }, () => "x");
+    expect(unit).toBe("month");
+    expect(rows.map((r) => r.period)).toEqual(["2024-11-01", "2024-12-01", "2025-01-01", "2025-02-01", "2025-03-01"]);
+    expect(rows[2].total).toBe(1);
+  });
+
+  it("orders signals hot to cold whatever is most common", () => {
+    const visits = [
+      { date: today, signal: "Cold" },
+      { date: today, signal: "Cold" },
+      { date: today, signal: "Hot" }
+    ];
+    expect(signalMix(visits, { from: today, to: today }).series).toEqual(["Hot", "Cold"]);
+  });
+});
+
+describe("uncontactedClients", () => {
+  it("lists active clients not visited for 30, 60 and 90 days, longest gap first", () => {
+    const clients = [
+      { id: 1, name: "Recent" },
+      { id: 2, name: "Two months" },
+      { id: 3, name: "Never" },
+      { id: 4, name: "Inactive", status: "Inactive" }
+    ];
+    const visits = [
+      { clientId: 1, date: "2025-03-01" },
+      { clientId: 2, date: "2025-01-10" },
+      { clientId: 2, date: "2025-04-01" },
+      { clientId: 1, date: "2024-01-01", touchType: "Reminder" }
+    ];
+
+    const [days30, days60, days90] = uncontactedClients(clients, visits, today);
+    expect(days30.clients.map((e) => e.client.id)).toEqual([3, 2]);
+    expect(days30.clients[1]).toMatchObject({ lastVisitDate: "2025-01-10", daysSince: 64 });
+    expect(days60.clients.map((e) => e.client.id)).toEqual([3, 2]);
+    expect(days90.clients.map((e) => e.client.id)).toEqual([3]);
+  });
+});
+
+describe("followUpStats", () => {
+  it("counts follow-ups due in the range up to today, and how late the open ones are", () => {
+    const visits = [
+      { followUpDate: "2025-03-01", completed: true },
+      { followUpDate: "2025-03-05" },
+      { followUpDate: "2025-03-13" },
+      { followUpDate: today },
+      { followUpDate: "2025-03-20" },
+      { followUpDate: "2025-01-01" }
+    ];
+    expect(followUpStats(visits, { from: "2025-02-14", to: "2025-12-31" }, today)).toEqual({
+      due: 4,
+      completed: 1,
+      completionRate: 0.25,
+      overdue: 2,
+      averageDaysOverdue: 6
+    });
+  });
+
+  it("has no rates when nothing fell due", () => {
+    expect(followUpStats([], { from: null, to: today }, today)).toMatchObject({
+      completionRate: null,
+      averageDaysOverdue: null
+    });
+  });
+});
+
+describe("topGroups", () => {
+  it("counts visits and distinct clients per segment or city, busiest first", () => {
+    const clients = [
+      { id: 1, segment: "Fabricator", city: "Edison", state: "NJ" },
+      { id: 2, segment: "Fabricator", city: "Newark", state: "NJ" },
+      { id: 3, city: "Edison", state: "NJ" }
+    ];
+    const visits = [1, 1, 2, 3, 99].map((clientId) => ({ clientId, date: today }));
+    const range = { from: today, to: today };
+
+    expect(topGroups(visits, clients, range, "segment")).toEqual([
+      { label: "Fabricator", visits: 3, clients: 2 },
+      { label: "Not set", visits: 1, clients: 1 }
+    ]);
+    expect(topGroups(visits, clients, range, "city", 1)).toEqual([{ label: "Edison, NJ", visits: 3, clients: 2 }]);
+  });
+});
@@ -0,0 +1,123 @@
+import { distanceKm } from "./geo.js";
+
+// =========================
+// Visit route planning
+// =========================
+// Orders a day's stops so the drive is short, using straight-line distances
+// on the device: nearest neighbour to get a route, then 2-opt (reverse any
+// stretch that makes the route shorter) until nothing improves. Good to a few
+// percent of optimal for the dozen or so stops of a field day, instantly.
+//
+// Stops are { lat, lng, ... }; the route ends at the last stop.
+
+const pathLength = (points) => points.slice(1).reduce((sum, point, i) => sum + distanceKm(points[i], point), 0);
+
+const nearestNeighbour = (start, stops) => {
+  const remaining = [...stops];
+  const route = [];
+  let current = start;
+
+  while (remaining.length > 0) {
+    let best = 0;
+    remaining.forEach((stop, i) => {
+      if (distanceKm(current, stop) < distanceKm(current, remaining[best])) best = i;
+    });
+    current = remaining.splice(best, 1)[0];
+    route.push(current);
+  }
+  return route;
+};
+
+// Reversing route[i..j] only changes the two links at its ends; a missing
+// neighbour (the ends of the route) costs nothing. `fixedStart`: the first
+// point stays put (it is where the day starts).
+const twoOpt = (points, fixedStart) => {
+  const route = [...points];
+  const link = (a, b) => (a && b ? distanceKm(a, b) : 0);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = fixedStart ? 1 : 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const [before, after] = [route[i - 1], route[j + 1]];
+        const change = link(before, route[j]) + link(route[i], after) - link(before, route[i]) - link(route[j], after);
+        if (change < -1e-9) {
+          route.splice(i, j - i + 1, ...route.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return route;
+};
+
+/**
+ * @param {Object[]} stops places to visit, each with lat / lng
+ * @param {{ start?: { lat: number, lng: number } }} [options] where the day
+ *   starts (e.g. the current position); without it the route may start at any stop
+ * @returns {{ stops: Object[], legs: number[], totalKm: number }} stops in visiting
+ *   order; legs[i] is the km driven to reach stops[i] (0 for the first stop
+ *   without a start)
+ */
+export const planRoute = (stops, { start } = {}) => {
+  if (stops.length === 0) return { stops: [], legs: [], totalKm: 0 };
+
+  let ordered;
+  if (start) {
+    ordered = twoOpt([start, ...nearestNeighbour(start, stops)], true).slice(1);
+  } else {
+    // Without a fixed start, seed from the stop whose nearest-neighbour route is
+    // shortest and run 2-opt once on that; 2-opt from every stop is too slow for a long day
+    const others = (first) => stops.filter((s) => s !== first);
+    const seeds = stops.map((first) => [first, ...nearestNeighbour(first, others(first))]);
+    const shortest = seeds.reduce((best, route) => (pathLength(route) < pathLength(best) ? route : best));
+    ordered = twoOpt(shortest, false);
+  }
+
+  const legs = ordered.map((stop, i) => {
+    const from = i === 0 ? start : ordered[i - 1];
+    return from ? distanceKm(from, stop) : 0;
+  });
+  return { stops: ordered, legs, totalKm: legs.reduce((sum, leg) => sum + leg, 0) };
+};
+
+// Google Maps takes up to 9 waypoints between origin and destination
+const MAX_POINTS_PER_LINK = 11;
+
+const coordinates = ({ lat, lng }) => `${lat.toFixed(6)},${lng.toFixed(6)}`;
+
+/**
+ * Google Maps directions links (they open the Maps app on phones) for the
+ * route; a long route is split into legs that each pick up where the last
+ * one ended.
+ */
+export const mapsLinks = (stops, { start } = {}) => {
+  const points = start ? [start, ...stops] : stops;
+  if (points.length === 0) return [];
+  if (points.length === 1) return [directionsLink(points[0])];
+
+  const links = [];
+  for (let from = 0; from < points.length - 1; from += MAX_POINTS_PER_LINK - 1) {
+    const part = points.slice(from, from + MAX_POINTS_PER_LINK);
+    const params = new URLSearchParams({
+      api: "1",
+      origin: coordinates(part[0]),
+      destination: coordinates(part[part.length - 1]),
+      travelmode: "driving"
+    });
+    if (part.length > 2) params.set("waypoints", part.slice(1, -1).map(coordinates).join("|"));
+    links.push(`https://www.google.com/maps/dir/?${params}`);
+  }
+  return links;
+};
+
+// From wherever the phone is to one place, or to an address when there are no coordinates
+export const directionsLink = (destination) => {
+  const params = new URLSearchParams({
+    api: "1",
+    destination: typeof destination === "string" ? destination : coordinates(destination),
+    travelmode: "driving"
+  });
+  return `https://www.google.com/maps/dir/?${params}`;
+};
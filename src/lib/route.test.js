@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { distanceKm } from "./geo.js";
+import { planRoute, mapsLinks, directionsLink } from "./route.js";
+
+// Stops along one line of latitude, so the best order is obvious
+const stop = (name, lng) => ({ name, lat: 40, lng });
+const names = (route) => route.stops.map((s) => s.name);
+
+describe("planRoute", () => {
+  const stops = [stop("c", -74.3), stop("a", -74.1), stop("d", -74.4), stop("b", -74.2)];
+
+  it("starts from the given point and drives out along the line", () => {
+    const route = planRoute(stops, { start: { lat: 40, lng: -74 } });
+    expect(names(route)).toEqual(["a", "b", "c", "d"]);
+    expect(route.legs).toHaveLength(4);
+    expect(route.legs.every((leg) => leg > 0)).toBe(true);
+    expect(route.totalKm).toBeCloseTo(
+      route.legs.reduce((sum, leg) => sum + leg, 0),
+      9
+    );
+  });
+
+  it("picks the best first stop when there is no start", () => {
+    const route = planRoute(stops);
+    expect(names(route)).toEqual(expect.arrayContaining(["a", "b", "c", "d"]));
+    expect([names(route).join(""), names(route).reverse().join("")]).toContain("abcd");
+    expect(route.legs[0]).toBe(0);
+  });
+
+  it("leaves no stretch of the route that would be shorter driven backwards", () => {
+    const start = { lat: 40.5187, lng: -74.4121 };
+    const day = [
+      { name: "Newark", lat: 40.7357, lng: -74.1724 },
+      { name: "Princeton", lat: 40.3573, lng: -74.6672 },
+      { name: "Freehold", lat: 40.2601, lng: -74.2737 },
+      { name: "Morristown", lat: 40.7968, lng: -74.4815 },
+      { name: "Hoboken", lat: 40.744, lng: -74.0324 },
+      { name: "Somerville", lat: 40.5743, lng: -74.6099 }
+    ];
+    const length = (order) =>
+      order.reduce((sum, point, i) => sum + distanceKm(i === 0 ? start : order[i - 1], point), 0);
+
+    const route = planRoute(day, { start });
+    expect(route.totalKm).toBeCloseTo(length(route.stops), 9);
+    expect(route.totalKm).toBeLessThanOrEqual(length(day));
+    route.stops.forEach((_, i) =>
+      route.stops.slice(i + 1).forEach((__, offset) => {
+        const j = i + 1 + offset;
+        const reversed = [
+          ...route.stops.slice(0, i),
+          ...route.stops.slice(i, j + 1).reverse(),
+          ...route.stops.slice(j + 1)
+        ];
+        expect(length(reversed)).toBeGreaterThanOrEqual(route.totalKm - 1e-9);
+      })
+    );
+  });
+
+  it("leaves no stretch shorter driven backwards when there is no start either", () => {
+    const day = Array.from({ length: 12 }, (_, i) => ({
+      name: String(i),
+      lat: 40 + ((i * 7) % 12) / 20,
+      lng: -74.5 + ((i * 5) % 12) / 20
+    }));
+    const length = (order) => order.slice(1).reduce((sum, point, i) => sum + distanceKm(order[i], point), 0);
+
+    const route = planRoute(day);
+    expect(names(route).sort()).toEqual(day.map((s) => s.name).sort());
+    expect(route.totalKm).toBeCloseTo(length(route.stops), 9);
+    for (let i = 0; i < day.length; i++) {
+      for (let j = i + 1; j < day.length; j++) {
+        const reversed = [
+          ...route.stops.slice(0, i),
+          ...route.stops.slice(i, j + 1).reverse(),
+          ...route.stops.slice(j + 1)
+        ];
+        expect(length(reversed)).toBeGreaterThanOrEqual(route.totalKm - 1e-9);
+      }
+    }
+  });
+
+  it("handles no stops", () => {
+    expect(planRoute([])).toEqual({ stops: [], legs: [], totalKm: 0 });
+  });
+});
+
+describe("mapsLinks", () => {
+  it("puts the stops between origin and destination", () => {
+    const [link] = mapsLinks([stop("a", -74.1), stop("b", -74.2)], { start: { lat: 40, lng: -74 } });
+    const params = new URL(link).searchParams;
+    expect(params.get("origin")).toBe("40.000000,-74.000000");
+    expect(params.get("waypoints")).toBe("40.000000,-74.100000");
+    expect(params.get("destination")).toBe("40.000000,-74.200000");
+  });
+
+  it("splits long routes into links that pick up where the last one ended", () => {
+    const stops = Array.from({ length: 15 }, (_, i) => stop(`s${i}`, -74 - i / 100));
+    const links = mapsLinks(stops).map((link) => new URL(link).searchParams);
+    expect(links).toHaveLength(2);
+    expect(links[0].get("waypoints").split("|")).toHaveLength(9);
+    expect(links[1].get("origin")).toBe(links[0].get("destination"));
+    expect(links[1].get("destination")).toBe("40.000000,-74.140000");
+  });
+
+  it("links a single place, or an address, as plain directions", () => {
+    expect(mapsLinks([stop("a", -74)])).toEqual([directionsLink(stop("a", -74))]);
+    expect(new URL(directionsLink("1 Main St, Edison NJ")).searchParams.get("destination")).toBe(
+      "1 Main St, Edison NJ"
+    );
+  });
+});
@@ -0,0 +1,104 @@
+// =========================
+// URL routes for the app views
+// =========================
+// The app still switches screens with a `currentView` name; these helpers map
+// each view to a URL and back so the browser history, refresh and home-screen
+// shortcuts all land on the same screen.
+
+// Order matters: fixed paths before the `:clientId` pattern they would otherwise match
+const ROUTES = [
+  { view: "home", path: "/followups" },
+  { view: "clients", path: "/clients" },
+  { view: "addClient", path: "/clients/new" },
+  { view: "duplicates", path: "/clients/duplicates" },
+  { view: "search", path: "/clients/search" },
+  { view: "map", path: "/clients/map" },
+  { view: "clientDetail", path: "/clients/:clientId" },
+  { view: "editClient", path: "/clients/:clientId/edit" },
+  { view: "addVisit", path: "/clients/:clientId/visits/new" },
+  { view: "addOpportunity", path: "/clients/:clientId/opportunities/new" },
+  { view: "editVisit", path: "/visits/:visitId" },
+  { view: "pipeline", path: "/pipeline" },
+  { view: "editOpportunity", path: "/opportunities/:opportunityId" },
+  { view: "reports", path: "/reports" },
+  { view: "addQuote", path: "/clients/:clientId/quotes/new" },
+  { view: "editQuote", path: "/quotes/:quoteId" },
+  { view: "importClients", path: "/import/clients" },
+  { view: "importVisits", path: "/import/visits" },
+  { view: "importProducts", path: "/import/products" },
+  { view: "products", path: "/products" },
+  { view: "addProduct", path: "/products/new" },
+  { view: "productDetail", path: "/products/:productId" },
+  { view: "backup", path: "/backup" },
+  { view: "settings", path: "/settings" }
+];
+
+const HOME_PATH = "/followups";
+
+const toPattern = (path) => new RegExp(`^${path.replace(/:(\w+)/g, "(?<$1>\\d+)")}/?$`);
+
+const COMPILED_ROUTES = ROUTES.map((route) => ({ ...route, pattern: toPattern(route.path) }));
+
+// Record ids a URL can carry (besides clientId): the list to look the id up
+// in, the key it is returned under, and where to go if the record is gone
+const RECORD_PARAMS = [
+  { param: "visitId", collection: "visits", key: "visit", fallback: "clients" },
+  { param: "opportunityId", collection: "opportunities", key: "opportunity", fallback: "pipeline" },
+  { param: "productId", collection: "products", key: "product", fallback: "products" },
+  { param: "quoteId", collection: "quotes", key: "quote", fallback: "clients" }
+];
+
+// params: { clientId, visitId, ... }. Returns null when the view needs an id that isn't known.
+export const pathForView = (view, params = {}) => {
+  const route = ROUTES.find((r) => r.view === view);
+  if (!route) return HOME_PATH;
+
+  let isComplete = true;
+  const path = route.path.replace(/:(\w+)/g, (match, name) => {
+    if (params[name] == null) isComplete = false;
+    return encodeURIComponent(params[name]);
+  });
+  return isComplete ? path : null;
+};
+
+// { view, clientId?, visitId?, ... } for a pathname, or null for an unknown URL
+export const matchPath = (pathname) => {
+  if (pathname === "/" || pathname === "") return { view: "home" };
+
+  for (const route of COMPILED_ROUTES) {
+    const match = route.pattern.exec(pathname);
+    if (!match) continue;
+
+    const ids = Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, Number(value)]));
+    return { view: route.view, ...ids };
+  }
+  return null;
+};
+
+// Looks up the records a URL points at (`data` holds the clients, visits, ...
+// lists). A link to a deleted record, or an unknown URL, falls back to a list
+// screen; `path` is the canonical URL of whatever will actually be shown.
+export const resolveLocation = (pathname, data) => {
+  const route = matchPath(pathname);
+  if (!route) return { view: "home", path: HOME_PATH };
+
+  const target = { view: route.view };
+  let ownerClientId = route.clientId;
+
+  for (const { param, collection, key, fallback } of RECORD_PARAMS) {
+    if (route[param] === undefined) continue;
+
+    const record = data[collection].find((r) => r.id === route[param]);
+    if (!record) return { view: fallback, path: pathForView(fallback) };
+    target[key] = record;
+    ownerClientId = ownerClientId ?? record.clientId;
+  }
+
+  if (ownerClientId !== undefined) {
+    target.client = data.clients.find((c) => c.id === ownerClientId);
+    if (!target.client) return { view: "clients", path: pathForView("clients") };
+  }
+
+  target.path = pathForView(route.view, route);
+  return target;
+};
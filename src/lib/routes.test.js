@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { pathForView, matchPath, resolveLocation } from "./routes.js";
+
+describe("pathForView / matchPath", () => {
+  it("round-trips every kind of route", () => {
+    [
+      ["home", {}, "/followups"],
+      ["clients", {}, "/clients"],
+      ["addClient", {}, "/clients/new"],
+      ["clientDetail", { clientId: 12 }, "/clients/12"],
+      ["addVisit", { clientId: 12 }, "/clients/12/visits/new"],
+      ["editVisit", { visitId: 7 }, "/visits/7"],
+      ["addOpportunity", { clientId: 12 }, "/clients/12/opportunities/new"],
+      ["editOpportunity", { opportunityId: 3 }, "/opportunities/3"],
+      ["productDetail", { productId: 5 }, "/products/5"],
+      ["addQuote", { clientId: 12 }, "/clients/12/quotes/new"],
+      ["editQuote", { quoteId: 9 }, "/quotes/9"]
+    ].forEach(([view, ids, path]) => {
+      expect(pathForView(view, ids)).toBe(path);
+      expect(matchPath(path)).toEqual({ view, ...ids });
+    });
+  });
+
+  it("does not read fixed paths as a client id", () => {
+    expect(matchPath("/clients/duplicates")).toEqual({ view: "duplicates" });
+    expect(matchPath("/clients/12/")).toEqual({ view: "clientDetail", clientId: 12 });
+    expect(matchPath("/products/new")).toEqual({ view: "addProduct" });
+  });
+
+  it("has no path for a view missing its id, and no route for unknown URLs", () => {
+    expect(pathForView("clientDetail")).toBe(null);
+    expect(pathForView("nowhere")).toBe("/followups");
+    expect(matchPath("/")).toEqual({ view: "home" });
+    expect(matchPath("/clients/abc")).toBe(null);
+  });
+});
+
+describe("resolveLocation", () => {
+  const data = {
+    clients: [{ id: 1, name: "ABC Granite" }],
+    visits: [{ id: 7, clientId: 1 }],
+    opportunities: [{ id: 3, clientId: 1 }],
+    products: [{ id: 5, name: "Calacatta" }],
+    quotes: [{ id: 9, clientId: 1 }]
+  };
+
+  it("finds the client and visit a URL points at", () => {
+    expect(resolveLocation("/visits/7", data)).toEqual({
+      view: "editVisit",
+      client: data.clients[0],
+      visit: data.visits[0],
+      path: "/visits/7"
+    });
+    expect(resolveLocation("/opportunities/3", data)).toMatchObject({
+      view: "editOpportunity",
+      client: data.clients[0]
+    });
+    expect(resolveLocation("/quotes/9", data)).toEqual({
+      view: "editQuote",
+      client: data.clients[0],
+      quote: data.quotes[0],
+      path: "/quotes/9"
+    });
+  });
+
+  it("falls back to a list for a deleted record, and home for unknown URLs", () => {
+    expect(resolveLocation("/clients/2", data)).toEqual({ view: "clients", path: "/clients" });
+    expect(resolveLocation("/visits/8", data)).toEqual({ view: "clients", path: "/clients" });
+    expect(resolveLocation("/opportunities/4", data)).toEqual({ view: "pipeline", path: "/pipeline" });
+    expect(resolveLocation("/products/6", data)).toEqual({ view: "products", path: "/products" });
+    expect(resolveLocation("/quotes/10", data)).toEqual({ view: "clients", path: "/clients" });
+    expect(resolveLocation("/nowhere", data)).toEqual({ view: "home", path: "/followups" });
+  });
+});
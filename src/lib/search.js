@@ -0,0 +1,298 @@
+import { levenshtein } from "./clients.js";
+import { visitProductNames } from "./products.js";
+
+// =========================
+// Full-text search over clients and visits
+// =========================
+// An inverted index (word → the records and fields it appears in) kept in
+// memory. updateSearchIndex only re-reads records whose `updatedAt` moved, so
+// after the first build a reload costs a pass over the ids, not a re-index.
+//
+// A query word matches an indexed word exactly, as a prefix (for typing
+// as-you-go) or within one or two typos. Results are grouped by client: the
+// client's own fields plus its visits, ranked by how many of the query words
+// the group covers, then by how well they matched.
+
+const CLIENT_FIELDS = {
+  name: 3,
+  contact: 2,
+  city: 2,
+  state: 1,
+  phone: 2,
+  email: 2,
+  segment: 1,
+  notes: 1,
+  address: 1,
+  zip: 1
+};
+
+const VISIT_FIELDS = {
+  products: 2,
+  note: 1,
+  outcome: 1,
+  nextAction: 1
+};
+
+// Too common to say anything about which record is meant
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from had has have he her his i in is it its me my of on or our she " +
+    "that the their them they this to was we were who with you"
+  ).split(" ")
+);
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+// Shortest query word matched by prefix or with a typo
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// "Édison" and "edison" are the same word
+const normalize = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export const tokenize = (text) => normalize(text).match(WORD_PATTERN) || [];
+
+// Phone numbers are also indexed as one run of digits, whole and without the
+// area code: "7325550100" and "5550100"
+const fieldWords = (name, text) => {
+  const words = tokenize(text);
+  const digits = name === "phone" ? String(text || "").replace(/\D/g, "") : "";
+  return digits.length > 7 ? [...words, digits, digits.slice(-7)] : digits.length > 4 ? [...words, digits] : words;
+};
+
+const clientKey = (id) => `client:${id}`;
+const visitKey = (id) => `visit:${id}`;
+
+export const createSearchIndex = () => ({
+  docs: new Map(),
+  postings: new Map(),
+  // Query word → the indexed words it matches; cleared whenever the vocabulary changes
+  expansions: new Map(),
+  productsVersion: null
+});
+
+const removeDoc = (index, key) => {
+  const doc = index.docs.get(key);
+  if (!doc) return;
+  doc.words.forEach((word) => {
+    const docs = index.postings.get(word);
+    docs.delete(key);
+    if (docs.size === 0) {
+      index.postings.delete(word);
+      index.expansions.clear();
+    }
+  });
+  index.docs.delete(key);
+};
+
+const addDoc = (index, key, doc, fields) => {
+  removeDoc(index, key);
+  const words = new Set();
+
+  Object.entries(fields).forEach(([name, text]) =>
+    fieldWords(name, text).forEach((word) => {
+      if (!index.postings.has(word)) {
+        index.postings.set(word, new Map());
+        index.expansions.clear();
+      }
+      const docs = index.postings.get(word);
+      if (!docs.has(key)) docs.set(key, new Set());
+      docs.get(key).add(name);
+      words.add(word);
+    })
+  );
+
+  index.docs.set(key, { ...doc, words });
+};
+
+const pick = (record, names) => Object.fromEntries(Object.keys(names).map((name) => [name, record[name]]));
+
+// Catalog names count as the visit's products, so a visit changes when a
+// product it links to is renamed
+const visitFields = (visit, productsById) => ({
+  ...pick(visit, VISIT_FIELDS),
+  products: visitProductNames(visit, productsById).join(", ")
+});
+
+// Any add, rename or delete changes the count or the latest updatedAt
+const productsVersionOf = (products) =>
+  `${products.length}/${products.reduce((latest, p) => Math.max(latest, p.updatedAt || 0), 0)}`;
+
+/**
+ * Brings the index in line with the current records: new and changed ones
+ * are (re-)indexed, deleted ones dropped. Mutates and returns `index`.
+ */
+export const updateSearchIndex = (index, { clients, visits, products = [] }) => {
+  const productsById = new Map(products.map((p) => [p.id, p]));
+  const productsVersion = productsVersionOf(products);
+  const productsChanged = productsVersion !== index.productsVersion;
+  index.productsVersion = productsVersion;
+
+  const live = new Set();
+  const refresh = (key, record, makeDoc, makeFields, force = false) => {
+    live.add(key);
+    const indexed = index.docs.get(key);
+    if (indexed && !force && indexed.version === record.updatedAt && record.updatedAt !== undefined) return;
+    addDoc(index, key, { ...makeDoc(record), version: record.updatedAt }, makeFields(record));
+  };
+
+  clients.forEach((client) =>
+    refresh(
+      clientKey(client.id),
+      client,
+      (c) => ({ type: "client", id: c.id, clientId: c.id }),
+      (c) => pick(c, CLIENT_FIELDS)
+    )
+  );
+  visits.forEach((visit) =>
+    refresh(
+      visitKey(visit.id),
+      visit,
+      (v) => ({ type: "visit", id: v.id, clientId: v.clientId }),
+      (v) => visitFields(v, productsById),
+      productsChanged && (visit.productIds || []).length > 0
+    )
+  );
+
+  [...index.docs.keys()].filter((key) => !live.has(key)).forEach((key) => removeDoc(index, key));
+  return index;
+};
+
+// Typos allowed for a word of this length
+const maxEdits = (length) => (length < MIN_FUZZY_LENGTH ? 0 : length < 8 ? 1 : 2);
+
+// Indexed words matching a query word, with how well: [[word, quality]]
+const expand = (index, queryWord) => {
+  if (index.expansions.has(queryWord)) return index.expansions.get(queryWord);
+
+  const edits = maxEdits(queryWord.length);
+  const matches = [];
+  index.postings.forEach((_, word) => {
+    if (word === queryWord) matches.push([word, MATCH_QUALITY.exact]);
+    else if (queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord)) {
+      matches.push([word, MATCH_QUALITY.prefix]);
+    } else if (
+      edits > 0 &&
+      Math.abs(word.length - queryWord.length) <= edits &&
+      levenshtein(word, queryWord) <= edits
+    ) {
+      matches.push([word, MATCH_QUALITY.fuzzy]);
+    }
+  });
+
+  index.expansions.set(queryWord, matches);
+  return matches;
+};
+
+// The query as typed inside the client's name or city: catches what word
+// matching can't, a single letter or the middle of a word ("ison" for Edison)
+export const containsClientText = (client, query) => {
+  const text = normalize(query).trim();
+  return text !== "" && [client.name, client.city].some((value) => normalize(value).includes(text));
+};
+
+// Stop words only count when the query has nothing else
+export const queryWords = (query) => {
+  const words = [...new Set(tokenize(query))];
+  const meaningful = words.filter((word) => !STOP_WORDS.has(word));
+  return meaningful.length > 0 ? meaningful : words;
+};
+
+const emptyHit = (doc) => ({ id: doc.id, score: 0, fields: new Set(), covered: new Set() });
+
+/**
+ * Searches the index. Returns { words, matchedWords, groups } where each group
+ * is { clientId, score, coverage, client: hit | null, visits: [hit] } and a
+ * hit is { id, score, fields: Set of matched field names, covered: Set of
+ * query words it matched }. `matchedWords` holds every indexed word that
+ * matched, for highlighting.
+ */
+export const searchIndex = (index, query, { limit = 30 } = {}) => {
+  const words = queryWords(query);
+  const matchedWords = new Set();
+  const hits = new Map();
+
+  words.forEach((queryWord) =>
+    expand(index, queryWord).forEach(([word, quality]) => {
+      matchedWords.add(word);
+      index.postings.get(word).forEach((fields, key) => {
+        const doc = index.docs.get(key);
+        if (!hits.has(key)) hits.set(key, { doc, hit: emptyHit(doc), best: new Map() });
+        const entry = hits.get(key);
+        const weights = doc.type === "client" ? CLIENT_FIELDS : VISIT_FIELDS;
+
+        fields.forEach((field) => {
+          entry.hit.fields.add(field);
+          const score = quality * weights[field];
+          if (score > (entry.best.get(queryWord) || 0)) entry.best.set(queryWord, score);
+        });
+        entry.hit.covered.add(queryWord);
+      });
+    })
+  );
+
+  const groups = new Map();
+  hits.forEach(({ doc, hit, best }) => {
+    hit.score = [...best.values()].reduce((sum, score) => sum + score, 0);
+    if (!groups.has(doc.clientId)) {
+      groups.set(doc.clientId, { clientId: doc.clientId, client: null, visits: [], best: new Map() });
+    }
+    const group = groups.get(doc.clientId);
+    if (doc.type === "client") group.client = hit;
+    else group.visits.push(hit);
+    best.forEach((score, queryWord) => group.best.set(queryWord, Math.max(score, group.best.get(queryWord) || 0)));
+  });
+
+  const ranked = [...groups.values()]
+    .filter((group) => index.docs.has(clientKey(group.clientId)))
+    .map(({ best, ...group }) => ({
+      ...group,
+      coverage: best.size,
+      score: [...best.values()].reduce((sum, score) => sum + score, 0),
+      visits: group.visits.sort((a, b) => b.covered.size - a.covered.size || b.score - a.score)
+    }))
+    .sort((a, b) => b.coverage - a.coverage || b.score - a.score)
+    .slice(0, limit);
+
+  return { words, matchedWords, groups: ranked };
+};
+
+/**
+ * Splits text into [{ text, isMatch }] parts for highlighting the words in
+ * `matchedWords`. Long text is cut to a window around the first match.
+ */
+export const highlightText = (text, matchedWords, maxLength = Infinity) => {
+  const value = String(text ?? "");
+  const isMatch = (word) => matchedWords.has(normalize(word));
+
+  let window = value;
+  let prefix = "";
+  let suffix = "";
+  if (value.length > maxLength) {
+    const first = [...value.matchAll(WORD_PATTERN)].find((match) => isMatch(match[0]));
+    const start = Math.max(0, Math.min((first?.index ?? 0) - Math.floor(maxLength / 3), value.length - maxLength));
+    window = value.slice(start, start + maxLength);
+    prefix = start > 0 ? "…" : "";
+    suffix = start + maxLength < value.length ? "…" : "";
+  }
+
+  const parts = [];
+  let last = 0;
+  [...window.matchAll(WORD_PATTERN)].forEach((match) => {
+    if (!isMatch(match[0])) return;
+    if (match.index > last) parts.push({ text: window.slice(last, match.index), isMatch: false });
+    parts.push({ text: match[0], isMatch: true });
+    last = match.index + match[0].length;
+  });
+  if (last < window.length) parts.push({ text: window.slice(last), isMatch: false });
+
+  if (prefix) parts.unshift({ text: prefix, isMatch: false });
+  if (suffix) parts.push({ text: suffix, isMatch: false });
+  return parts;
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import {
+  tokenize,
+  createSearchIndex,
+  updateSearchIndex,
+  queryWords,
+  searchIndex,
+  containsClientText,
+  highlightText
+} from "./search.js";
+
+const clients = [
+  { id: 1, name: "ABC Granite", city: "Édison", phone: "(732) 555-0100", updatedAt: 1 },
+  { id: 2, name: "Stone World", city: "Newark", notes: "Granite yard", updatedAt: 1 }
+];
+const visits = [
+  { id: 10, clientId: 2, note: "Left Calacatta samples", updatedAt: 1 },
+  { id: 11, clientId: 1, note: "Talked about the showroom", productIds: [5], updatedAt: 1 }
+];
+const products = [{ id: 5, name: "Statuario", updatedAt: 1 }];
+
+const buildIndex = () => updateSearchIndex(createSearchIndex(), { clients, visits, products });
+const clientIds = (result) => result.groups.map((g) => g.clientId);
+
+describe("tokenize / queryWords", () => {
+  it("splits into lowercase words without accents", () => {
+    expect(tokenize("Édison, NJ 08817")).toEqual(["edison", "nj", "08817"]);
+  });
+
+  it("drops stop words unless nothing else is left", () => {
+    expect(queryWords("the granite of the yard")).toEqual(["granite", "yard"]);
+    expect(queryWords("the")).toEqual(["the"]);
+  });
+});
+
+describe("searchIndex", () => {
+  it("ranks by how many query words a client and its visits cover", () => {
+    const result = searchIndex(buildIndex(), "granite samples");
+    expect(clientIds(result)).toEqual([2, 1]);
+    expect(result.groups[0]).toMatchObject({ coverage: 2, visits: [expect.objectContaining({ id: 10 })] });
+    expect(result.groups[0].client.fields).toEqual(new Set(["notes"]));
+  });
+
+  it("matches prefixes, accents, typos and phone digits", () => {
+    const index = buildIndex();
+    expect(clientIds(searchIndex(index, "gra"))).toEqual([1, 2]);
+    expect(clientIds(searchIndex(index, "edison"))).toEqual([1]);
+    expect(clientIds(searchIndex(index, "calcatta"))).toEqual([2]);
+    expect(clientIds(searchIndex(index, "5550100"))).toEqual([1]);
+    expect(clientIds(searchIndex(index, "7325550100"))).toEqual([1]);
+  });
+
+  it("finds visits by the names of their catalog products", () => {
+    expect(clientIds(searchIndex(buildIndex(), "statuario"))).toEqual([1]);
+  });
+
+  it("allows no typos in short words", () => {
+    expect(searchIndex(buildIndex(), "abd").groups).toEqual([]);
+  });
+});
+
+describe("updateSearchIndex", () => {
+  it("re-indexes changed records and drops deleted ones", () => {
+    const index = buildIndex();
+    updateSearchIndex(index, {
+      clients: [clients[0], { ...clients[1], name: "Marble World", notes: "", updatedAt: 2 }],
+      visits: [visits[1]],
+      products
+    });
+
+    expect(clientIds(searchIndex(index, "marble"))).toEqual([2]);
+    expect(clientIds(searchIndex(index, "granite"))).toEqual([1]);
+    expect(searchIndex(index, "calacatta").groups).toEqual([]);
+  });
+
+  it("re-indexes visits whose catalog products were renamed", () => {
+    const index = buildIndex();
+    updateSearchIndex(index, { clients, visits, products: [{ id: 5, name: "Nero Marquina", updatedAt: 2 }] });
+    expect(clientIds(searchIndex(index, "marquina"))).toEqual([1]);
+    expect(searchIndex(index, "statuario").groups).toEqual([]);
+  });
+});
+
+describe("containsClientText", () => {
+  it("finds a single letter or the middle of a word in the name or city", () => {
+    expect(containsClientText(clients[0], "ison")).toBe(true);
+    expect(containsClientText(clients[0], "B")).toBe(true);
+    expect(containsClientText(clients[0], "732")).toBe(false);
+    expect(containsClientText(clients[0], "  ")).toBe(false);
+  });
+});
+
+describe("highlightText", () => {
+  it("marks the matched words, whatever their case or accents", () => {
+    expect(highlightText("ABC Granite, Édison", new Set(["granite", "edison"]))).toEqual([
+      { text: "ABC ", isMatch: false },
+      { text: "Granite", isMatch: true },
+      { text: ", ", isMatch: false },
+      { text: "Édison", isMatch: true }
+    ]);
+  });
+
+  it("cuts long text to a window around the first match", () => {
+    const text = `${"x ".repeat(50)}granite${" y".repeat(50)}`;
+    const parts = highlightText(text, new Set(["granite"]), 30);
+    expect(parts[0]).toEqual({ text: "…", isMatch: false });
+    expect(parts.at(-1)).toEqual({ text: "…", isMatch: false });
+    expect(parts.find((part) => part.isMatch).text).toBe("granite");
+    expect(
+      parts
+        .slice(1, -1)
+        .map((part) => part.text)
+        .join("")
+    ).toHaveLength(30);
+  });
+});
@@ -0,0 +1,181 @@
+// =========================
+// Multi-device sync: settings, change stamping and merging
+// =========================
+// Sync is optional and stays off until an endpoint is set in Settings. While it
+// is on, every write to a synced store records which fields changed, and when,
+// in an outbox. A sync pushes the outbox to the endpoint, then pulls whatever
+// other devices pushed since the last pull.
+//
+// Conflicts are settled per field: the latest change wins (device clocks are
+// trusted), so two phones editing different fields of the same client both
+// keep their edit. A delete wins over any edit.
+//
+// On the wire a record is identified by its `uuid`, and fields pointing at
+// other records (clientId, productIds, …) carry the other record's uuid: the
+// numeric ids are only meaningful on the device that assigned them.
+//
+// Protocol (see server/sync-server.js for a reference endpoint):
+//   POST {endpoint}/push  { deviceId, changes: [Change] }
+//   GET  {endpoint}/pull?since=<cursor>  → { changes: [Change], cursor, more }
+//   Change = { store, uuid, fields: { name: { value, at } }, deletedAt? }
+
+// Records referenced by others come first, so a pull creates them first
+export const SYNCED_STORES = ["clients", "products", "opportunities", "visits", "quotes"];
+
+// Device-local bookkeeping, never sent
+const LOCAL_FIELDS = new Set(["id", "uuid", "updatedAt", "fieldTimes"]);
+
+// Fields that hold ids of other records: field → store it points into.
+// "items.productId" is the productId of every entry in `items`.
+const REFERENCES = {
+  visits: { clientId: "clients", opportunityId: "opportunities", productIds: "products", quoteId: "quotes" },
+  opportunities: { clientId: "clients" },
+  quotes: { clientId: "clients", visitId: "visits", reminderVisitId: "visits", "items.productId": "products" }
+};
+
+const SYNC_STORAGE_KEY = "fieldcrm.sync";
+
+const DEFAULT_SETTINGS = { endpoint: "", token: "", deviceId: "", cursor: 0, lastSyncAt: null, lastError: null };
+
+export const getSyncSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSyncSettings = (changes) => {
+  const settings = { ...getSyncSettings(), ...changes };
+  localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+export const isSyncEnabled = () => !!getSyncSettings().endpoint;
+
+// Records only hold plain JSON data, so equal JSON means equal values
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Compares the stored record (undefined for a new one) with the record about
+ * to be written. Returns the record with its uuid / updatedAt / fieldTimes
+ * filled in, and the changed fields as { name: { value, at } } (null when
+ * nothing changed). A removed field is sent as null.
+ */
+export const stampRecord = (stored, next, now) => {
+  const fieldTimes = { ...stored?.fieldTimes };
+  const changes = {};
+
+  new Set([...Object.keys(stored || {}), ...Object.keys(next)]).forEach((name) => {
+    if (LOCAL_FIELDS.has(name) || sameValue(stored?.[name], next[name])) return;
+    fieldTimes[name] = now;
+    changes[name] = { value: next[name] ?? null, at: now };
+  });
+
+  const hasChanges = Object.keys(changes).length > 0;
+  return {
+    record: {
+      ...next,
+      uuid: stored?.uuid || next.uuid || crypto.randomUUID(),
+      updatedAt: hasChanges || !stored ? now : stored.updatedAt,
+      fieldTimes
+    },
+    changes: hasChanges ? changes : null
+  };
+};
+
+// Every field of a record, for the first push after sync is turned on
+export const snapshotFields = (record) => {
+  const fields = {};
+  Object.entries(record).forEach(([name, value]) => {
+    if (LOCAL_FIELDS.has(name)) return;
+    fields[name] = { value, at: record.fieldTimes?.[name] || record.updatedAt || 0 };
+  });
+  return fields;
+};
+
+// Outbox entries → one change per record, keeping the latest value of each field
+export const collapseOutbox = (entries) => {
+  const byRecord = new Map();
+
+  entries.forEach(({ store, uuid, fields, deletedAt }) => {
+    const key = `${store}/${uuid}`;
+    if (!byRecord.has(key)) byRecord.set(key, { store, uuid, fields: {} });
+    const change = byRecord.get(key);
+
+    Object.entries(fields || {}).forEach(([name, field]) => {
+      if (!change.fields[name] || field.at >= change.fields[name].at) change.fields[name] = field;
+    });
+    if (deletedAt) change.deletedAt = deletedAt;
+  });
+
+  return [...byRecord.values()];
+};
+
+// null / undefined stay as they are; a reference `convert` can't resolve becomes null
+// (or is dropped from a list)
+const convertReference = (value, target, convert) => {
+  if (Array.isArray(value)) return value.map((v) => convert(target, v)).filter((v) => v != null);
+  return value == null ? value : convert(target, value);
+};
+
+/**
+ * Rewrites the reference fields in { name: { value, at } } with
+ * `convert(storeName, key)`: local id → uuid before a push, uuid → local id
+ * after a pull.
+ */
+export const translateReferences = (storeName, fields, convert) => {
+  const translated = { ...fields };
+
+  Object.entries(REFERENCES[storeName] || {}).forEach(([path, target]) => {
+    const [name, nested] = path.split(".");
+    const field = translated[name];
+    if (!field) return;
+
+    const value = nested
+      ? (field.value || []).map((entry) => ({ ...entry, [nested]: convertReference(entry[nested], target, convert) }))
+      : convertReference(field.value, target, convert);
+    translated[name] = { ...field, value };
+  });
+
+  return translated;
+};
+
+/**
+ * Applies pulled fields (references already translated) to the local record,
+ * or creates it when `local` is undefined. A remote field only wins when it
+ * changed after the local one. Returns the record to write, or null when
+ * nothing changed.
+ */
+export const mergeRemoteFields = (local, fields) => {
+  const merged = { ...local, fieldTimes: { ...local?.fieldTimes } };
+  let changed = !local;
+
+  Object.entries(fields).forEach(([name, { value, at }]) => {
+    if (LOCAL_FIELDS.has(name)) return;
+    if (local && at <= (local.fieldTimes?.[name] || 0)) return;
+    merged[name] = value;
+    merged.fieldTimes[name] = at;
+    changed = true;
+  });
+
+  if (!changed) return null;
+  merged.updatedAt = Math.max(local?.updatedAt || 0, ...Object.values(merged.fieldTimes));
+  return merged;
+};
+
+// One request to the sync endpoint; throws with the server's message on failure
+export const syncRequest = async ({ endpoint, token }, method, path, body) => {
+  const response = await fetch(`${endpoint.replace(/\/+$/, "")}${path}`, {
+    method,
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Sync server answered ${response.status}`);
+  return data;
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { stampRecord, snapshotFields, collapseOutbox, translateReferences, mergeRemoteFields } from "./sync.js";
+
+describe("stampRecord", () => {
+  it("gives a new record a uuid and sends every field", () => {
+    const { record, changes } = stampRecord(undefined, { name: "ABC Granite" }, 100);
+    expect(record).toMatchObject({ name: "ABC Granite", uuid: expect.any(String), updatedAt: 100 });
+    expect(changes).toEqual({ name: { value: "ABC Granite", at: 100 } });
+  });
+
+  it("sends only the fields that changed, and a removed field as null", () => {
+    const stored = { id: 1, uuid: "u1", name: "ABC", city: "Edison", updatedAt: 50, fieldTimes: { name: 50 } };
+    const { record, changes } = stampRecord(stored, { id: 1, name: "ABC", notes: "New" }, 100);
+
+    expect(changes).toEqual({ city: { value: null, at: 100 }, notes: { value: "New", at: 100 } });
+    expect(record).toMatchObject({ uuid: "u1", updatedAt: 100, fieldTimes: { name: 50, city: 100, notes: 100 } });
+  });
+
+  it("leaves updatedAt alone when nothing changed", () => {
+    const stored = { id: 1, uuid: "u1", name: "ABC", updatedAt: 50, fieldTimes: {} };
+    expect(stampRecord(stored, { ...stored }, 100)).toMatchObject({ record: { updatedAt: 50 }, changes: null });
+  });
+});
+
+describe("snapshotFields / collapseOutbox", () => {
+  it("snapshots every field with the time it last changed", () => {
+    const record = { id: 1, uuid: "u1", name: "ABC", city: "Edison", updatedAt: 80, fieldTimes: { name: 60 } };
+    expect(snapshotFields(record)).toEqual({ name: { value: "ABC", at: 60 }, city: { value: "Edison", at: 80 } });
+  });
+
+  it("folds outbox entries into one change per record, latest field value first", () => {
+    const entries = [
+      { store: "clients", uuid: "u1", fields: { name: { value: "A", at: 100 } } },
+      { store: "clients", uuid: "u2", fields: { name: { value: "B", at: 100 } } },
+      { store: "clients", uuid: "u1", fields: { name: { value: "AA", at: 200 }, city: { value: "X", at: 200 } } },
+      { store: "clients", uuid: "u2", deletedAt: 300 }
+    ];
+    expect(collapseOutbox(entries)).toEqual([
+      { store: "clients", uuid: "u1", fields: { name: { value: "AA", at: 200 }, city: { value: "X", at: 200 } } },
+      { store: "clients", uuid: "u2", fields: { name: { value: "B", at: 100 } }, deletedAt: 300 }
+    ]);
+  });
+});
+
+describe("translateReferences", () => {
+  const uuids = { clients: { 1: "c1" }, products: { 5: "p5" } };
+  const toUuid = (store, id) => uuids[store]?.[id] ?? null;
+
+  it("rewrites plain, list and nested references, dropping what it can't resolve", () => {
+    const visit = {
+      clientId: { value: 1, at: 10 },
+      productIds: { value: [5, 6], at: 10 },
+      opportunityId: { value: null, at: 10 },
+      note: { value: "Samples", at: 10 }
+    };
+    expect(translateReferences("visits", visit, toUuid)).toEqual({
+      clientId: { value: "c1", at: 10 },
+      productIds: { value: ["p5"], at: 10 },
+      opportunityId: { value: null, at: 10 },
+      note: { value: "Samples", at: 10 }
+    });
+
+    const quote = { items: { value: [{ productId: 5, description: "Slab" }, { productId: null }], at: 10 } };
+    expect(translateReferences("quotes", quote, toUuid).items.value).toEqual([
+      { productId: "p5", description: "Slab" },
+      { productId: null }
+    ]);
+  });
+});
+
+describe("mergeRemoteFields", () => {
+  const local = {
+    id: 1,
+    uuid: "u1",
+    name: "ABC",
+    city: "Edison",
+    updatedAt: 100,
+    fieldTimes: { name: 100, city: 100 }
+  };
+
+  it("takes a remote field only when it changed later than the local one", () => {
+    const merged = mergeRemoteFields(local, { name: { value: "Old", at: 50 }, city: { value: "Newark", at: 150 } });
+    expect(merged).toMatchObject({ id: 1, name: "ABC", city: "Newark", updatedAt: 150 });
+    expect(mergeRemoteFields(local, { name: { value: "Old", at: 100 } })).toBe(null);
+  });
+
+  it("creates a record that isn't on this device yet, ignoring device-local fields", () => {
+    const merged = mergeRemoteFields(undefined, { name: { value: "New", at: 70 }, id: { value: 9, at: 70 } });
+    expect(merged).toEqual({ name: "New", fieldTimes: { name: 70 }, updatedAt: 70 });
+  });
+});
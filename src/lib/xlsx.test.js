@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { buildXlsx } from "./xlsx.js";
+
+// Reads the stored (uncompressed) entries back out of the zip
+const unzip = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  const files = new Map();
+  let offset = 0;
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength;
+    files.set(name, decoder.decode(bytes.subarray(start, start + size)));
+    offset = start + size;
+  }
+  return { files, centralDirectoryAt: offset };
+};
+
+describe("buildXlsx", () => {
+  const sheets = [
+    {
+      name: "Clients",
+      rows: [
+        ["Client", "Open Follow-ups"],
+        ["ABC <Granite> & Co", 2],
+        ["Édison Stone", ""]
+      ]
+    },
+    { name: "Visits: 2025/03", rows: [["Date"]] }
+  ];
+
+  it("writes a zip with the workbook parts and one worksheet per sheet", () => {
+    const { files, centralDirectoryAt } = unzip(buildXlsx(sheets));
+
+    expect([...files.keys()]).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/worksheets/sheet1.xml",
+      "xl/worksheets/sheet2.xml"
+    ]);
+    const bytes = buildXlsx(sheets);
+    expect(new DataView(bytes.buffer).getUint32(centralDirectoryAt, true)).toBe(0x02014b50);
+  });
+
+  it("writes text as escaped inline strings, numbers as numbers and skips empty cells", () => {
+    const sheet = unzip(buildXlsx(sheets)).files.get("xl/worksheets/sheet1.xml");
+
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Client</t></is></c>');
+    expect(sheet).toContain("ABC &lt;Granite&gt; &amp; Co");
+    expect(sheet).toContain('<c r="B2"><v>2</v></c>');
+    expect(sheet).toContain("Édison Stone");
+    expect(sheet).not.toContain('r="B3"');
+  });
+
+  it("cleans sheet names Excel would reject", () => {
+    const workbook = unzip(buildXlsx(sheets)).files.get("xl/workbook.xml");
+    expect(workbook).toContain('<sheet name="Visits  2025 03" sheetId="2" r:id="rId2"/>');
+  });
+});
@@ -0,0 +1,27 @@
+import { IDBFactory } from "fake-indexeddb";
+import { openDatabase, closeDatabase } from "../db/database.js";
+import { MemoryStorage } from "./setup.js";
+
+// Drops the shared connection and starts from an empty IndexedDB and
+// localStorage, e.g. in beforeEach
+export const resetDevice = () => {
+  closeDatabase();
+  globalThis.indexedDB = new IDBFactory();
+  localStorage.clear();
+};
+
+export const freshDatabase = () => {
+  resetDevice();
+  return openDatabase();
+};
+
+// Sync tests play several devices in one process: each has its own IndexedDB
+// and localStorage, and switchToDevice swaps them in
+export const createDevice = () => ({ indexedDB: new IDBFactory(), localStorage: new MemoryStorage() });
+
+export const switchToDevice = (device) => {
+  closeDatabase();
+  globalThis.indexedDB = device.indexedDB;
+  globalThis.localStorage = device.localStorage;
+  return openDatabase();
+};
@@ -0,0 +1,23 @@
+import "fake-indexeddb/auto";
+
+// =========================
+// Test environment
+// =========================
+// Node has no localStorage; the app only ever stores strings in it
+export class MemoryStorage {
+  #items = new Map();
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+  clear() {
+    this.#items.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
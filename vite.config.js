@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Generates manifest.webmanifest and a service worker that precaches the
+    // whole app shell, so the app opens with no signal. registerType "prompt":
+    // a new deploy waits until the user taps "Reload" (see UpdatePrompt.jsx).
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['favicon.svg', 'apple-touch-icon.png'],
+      manifest: {
+        name: 'IGM CRM',
+        short_name: 'IGM CRM',
+        description: 'Field sales CRM: log visits and never miss a follow-up',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'portrait',
+        background_color: '#f9fafb',
+        theme_color: '#f9fafb',
+        // Long-press shortcuts on the home-screen icon (see src/lib/routes.js)
+        shortcuts: [
+          { name: 'Follow-ups', url: '/followups' },
+          { name: 'Clients', url: '/clients' },
+        ],
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,webmanifest}'],
+        navigateFallback: 'index.html',
+      },
+    }),
+  ],
 })
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react'
+
+// Unit tests run in Node against fake-indexeddb (see src/test/setup.js);
+// component tests (*.test.jsx) opt into jsdom per file. Of the app's Vite
+// plugins only React's JSX transform is needed.
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    include: ['src/**/*.test.{js,jsx}', 'server/**/*.test.js'],
+    setupFiles: ['./src/test/setup.js'],
+  },
+})